@@ -1,4 +1,4 @@
-const { serverMode, executeOption } = require("./config/server.js");
+const { serverMode, executeOption, shutdownTimeout } = require("./config/server.js");
 
 function bindRoutes(app) {
     //app.use("/api/xxxx", require("./routes/xxxx.js"));
@@ -10,7 +10,7 @@ module.exports = serverMode !== executeOption.cluster ? bindRoutes : port => {
     if (cluster.isSpawn) {
         const express = require("express");
 
-        const app = new express();
+        const app = new express({ requestId: true });
 
         app.use(express.logger("dev"));
         app.use(express.compression());
@@ -18,5 +18,8 @@ module.exports = serverMode !== executeOption.cluster ? bindRoutes : port => {
         bindRoutes(app);
 
         app.listen(port);
+
+        // Drain in-flight requests when the main thread kills this worker.
+        process.once("SIGTERM", () => app.close({ timeout: shutdownTimeout }).then(() => process.exit(0)));
     }
 };
@@ -1,6 +1,6 @@
 const express = require("express");
 
-const app = new express();
+const app = new express({ requestId: true });
 
 app.use(express.logger("dev"));
 app.use(express.compression());
@@ -31,6 +31,25 @@ const config = {
         serverModeCache = mode;
     },
 
+    /**
+     * Max time in ms to wait for in-flight requests on SIGTERM/SIGINT before exiting.
+     * @type {number}
+     */
+    shutdownTimeout: 10000,
+
+    /**
+     * TLS configuration, HTTPS is served when both key and cert paths are set, paths are
+     * relative to the project root.
+     * @example
+     * TLS_KEY=test/fixtures/agent2-key.pem TLS_CERT=test/fixtures/agent2-cert.pem HTTP2=true npm run dev
+     */
+    tlsConfig: {
+        key: process.env["TLS_KEY"],
+        cert: process.env["TLS_CERT"],
+        http2: process.env["HTTP2"] === "true",
+        allowHTTP1: true
+    },
+
     /**
      * Cluster general configuration.
      * Note: Cannot use workers and rules as thread name.
@@ -1,4 +1,4 @@
-const { serverMode, executeOption } = require("./config/server.js");
+const { serverMode, executeOption, shutdownTimeout } = require("./config/server.js");
 const { static, views } = require("express");
 const path = require("node:path");
 
@@ -13,7 +13,7 @@ module.exports = serverMode !== executeOption.cluster ? bindResource : port => {
     if (cluster.isSpawn) {
         const { express, logger, compression } = require("express");
 
-        const app = new express();
+        const app = new express({ requestId: true });
 
         app.use(logger("dev"));
         app.use(compression());
@@ -21,5 +21,8 @@ module.exports = serverMode !== executeOption.cluster ? bindResource : port => {
         bindResource(app);
 
         app.listen(port);
+
+        // Drain in-flight requests when the main thread kills this worker.
+        process.once("SIGTERM", () => app.close({ timeout: shutdownTimeout }).then(() => process.exit(0)));
     }
 }
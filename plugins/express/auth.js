@@ -0,0 +1,296 @@
+const debug = require("debug")("express:auth");
+const { createHmac, createPublicKey, createPrivateKey, sign, verify, timingSafeEqual, KeyObject } = require("node:crypto");
+
+const CHALLENGES = Symbol("auth#challenges");
+
+const jwtAlgorithms = {
+    HS256: {
+        sign: (data, secret) => createHmac("sha256", secret).update(data).digest(),
+        verify: (data, signature, secret) => safeEqual(createHmac("sha256", secret).update(data).digest(), signature)
+    },
+    RS256: {
+        sign: (data, privateKey) => sign("sha256", Buffer.from(data), createPrivateKey(privateKey)),
+        verify: (data, signature, publicKey) => verify("sha256", Buffer.from(data), publicKey, signature)
+    }
+};
+
+/**
+ * Create an authentication middleware trying the strategies in order. The first one finding
+ * credentials sets `ctx.state.user`, invalid credentials fail with `401 Unauthorized` and the
+ * `WWW-Authenticate` challenge of the strategy. Requests without credentials pass through,
+ * guard the routes with {@link requireAuth}.
+ * @example
+ *    app.use(auth(
+ *        auth.bearer({ secret: process.env.JWT_SECRET, issuer: "shaderlab" }),
+ *        auth.apiKey({ verify: key => keys.find(key) })
+ *    ));
+ *    router.get("/api/me", auth.requireAuth(), ctx => ctx.body = ctx.state.user);
+ *    router.delete("/api/shaders/:id", auth.requireRole("admin", "moderator"), remove);
+ * @param {...object} strategies Created by {@link basic}, {@link bearer}, {@link apiKey} or `{ name, challenge, authenticate(ctx) }`
+ * @return {function} middleware
+ */
+function auth(...strategies) {
+    if (!strategies.length) throw new TypeError("auth requires at least one strategy");
+    for (const strategy of strategies)
+        if (!strategy || typeof strategy.authenticate !== "function")
+            throw new TypeError("auth strategy must have an authenticate(ctx) method");
+
+    return async function auth(ctx, next) {
+        ctx[CHALLENGES] = strategies.map(strategy => strategy.challenge).filter(Boolean);
+        for (const strategy of strategies) {
+            const user = await strategy.authenticate(ctx);
+            if (user === undefined) continue;
+            if (!user) ctx.throw(401, "Invalid credentials", { headers: challengeHeaders(strategy.challenge) });
+            debug("%s authenticated %s", strategy.name, user.id ?? '');
+            ctx.state.user = user;
+            ctx.state.authStrategy = strategy.name;
+            break;
+        }
+        return next();
+    }
+}
+
+/**
+ * Create a guard rejecting unauthenticated requests with `401 Unauthorized`, challenging
+ * with the strategies of {@link auth}.
+ * @param {object} [options]
+ * @param {string} [options.message="Please login!"]
+ * @return {function} middleware
+ */
+function requireAuth({ message = "Please login!" } = {}) {
+    return function requireAuth(ctx, next) {
+        if (!ctx.state.user) ctx.throw(401, message, { headers: challengeHeaders(ctx[CHALLENGES]) });
+        return next();
+    }
+}
+
+/**
+ * Create a guard rejecting users without one of the roles with `403 Forbidden`, read from
+ * `user.roles` or `user.role`. Unauthenticated requests fail like {@link requireAuth}.
+ * @param {...string} roles
+ * @return {function} middleware
+ */
+function requireRole(...roles) {
+    if (!roles.length) throw new TypeError("requireRole requires at least one role");
+    const authenticated = requireAuth();
+    return function requireRole(ctx, next) {
+        return authenticated(ctx, () => {
+            const { user } = ctx.state;
+            const granted = [].concat(user.roles ?? user.role ?? []);
+            if (!roles.some(role => granted.includes(role))) ctx.throw(403, "Insufficient role");
+            return next();
+        });
+    }
+}
+
+/**
+ * HTTP Basic strategy.
+ * @example
+ *    auth.basic({ verify: async (username, password) => {
+ *        const user = await users.find(username);
+ *        return user && await user.checkPassword(password) ? user : null;
+ *    } });
+ * @param {object} options
+ * @param {function} options.verify `fn(username, password, ctx)` resolving the user, or a falsy value
+ * @param {string} [options.realm="ShaderLab"]
+ * @return {object} strategy
+ */
+function basic({ verify, realm = "ShaderLab" } = {}) {
+    if (typeof verify !== "function") throw new TypeError("basic strategy requires a verify function");
+    return {
+        name: "basic",
+        challenge: `Basic realm="${quote(realm)}", charset="UTF-8"`,
+        async authenticate(ctx) {
+            const credentials = getAuthorization(ctx, "Basic");
+            if (credentials === undefined) return;
+            const decoded = Buffer.from(credentials, "base64").toString("utf-8");
+            const index = decoded.indexOf(":");
+            if (index === -1) return null;
+            return await verify(decoded.slice(0, index), decoded.slice(index + 1), ctx) || null;
+        }
+    };
+}
+
+/**
+ * Bearer token strategy verifying JWTs, signed with HS256 by `secret` or RS256 by the private
+ * key of `publicKey`. The user is the payload unless `verify` maps it. Invalid tokens fail with
+ * `error_description="invalid token"`, the reason is only logged by `debug`.
+ * @example
+ *    auth.bearer({ publicKey: fs.readFileSync("jwt.pub"), audience: "api", verify: payload => users.get(payload.sub) });
+ * @param {object} options
+ * @param {string|Buffer} [options.secret] HS256 secret
+ * @param {string|Buffer|KeyObject} [options.publicKey] RS256 public key
+ * @param {string} [options.issuer] Expected `iss`
+ * @param {string} [options.audience] Expected in `aud`
+ * @param {number} [options.clockTolerance=0] Seconds of tolerance for `exp` and `nbf`
+ * @param {function} [options.verify] `fn(payload, ctx)` resolving the user, or a falsy value
+ * @param {string} [options.realm="ShaderLab"]
+ * @return {object} strategy
+ */
+function bearer({ secret, publicKey, issuer, audience, clockTolerance = 0, verify = payload => payload, realm = "ShaderLab" } = {}) {
+    if (!secret && !publicKey) throw new TypeError("bearer strategy requires a secret or a publicKey");
+    // each key only verifies its own algorithm, a public key must never be used as HMAC secret
+    const keys = {};
+    if (secret) keys.HS256 = secret;
+    if (publicKey) keys.RS256 = publicKey instanceof KeyObject && publicKey.type === "public" ? publicKey : createPublicKey(publicKey);
+    const challenge = `Bearer realm="${quote(realm)}"`;
+    return {
+        name: "bearer",
+        challenge,
+        async authenticate(ctx) {
+            const token = getAuthorization(ctx, "Bearer");
+            if (token === undefined) return;
+            let payload;
+            try {
+                payload = verifyJWT(token, keys, { issuer, audience, clockTolerance });
+            } catch (err) {
+                // the reason may contain token content or key errors, keep it out of the response
+                debug("invalid token %o", err.message);
+                ctx.throw(401, "Invalid token", {
+                    headers: { "WWW-Authenticate": `${challenge}, error="invalid_token", error_description="invalid token"` }
+                });
+            }
+            return await verify(payload, ctx) || null;
+        }
+    };
+}
+
+/**
+ * API key strategy, reading the key from a header or the query string.
+ * @param {object} options
+ * @param {function} options.verify `fn(key, ctx)` resolving the user, or a falsy value
+ * @param {string} [options.header="X-Api-Key"]
+ * @param {string|false} [options.query="api_key"] Query parameter, `false` to only accept the header
+ * @return {object} strategy
+ */
+function apiKey({ verify, header = "X-Api-Key", query = "api_key" } = {}) {
+    if (typeof verify !== "function") throw new TypeError("apiKey strategy requires a verify function");
+    return {
+        name: "apiKey",
+        challenge: `ApiKey header="${quote(header)}"`,
+        async authenticate(ctx) {
+            const key = ctx.get(header) || (query && ctx.query[query]) || undefined;
+            if (key === undefined) return;
+            if (typeof key !== "string") return null;
+            return await verify(key, ctx) || null;
+        }
+    };
+}
+
+/**
+ * Sign a JWT.
+ * @example
+ *    signJWT({ sub: user.id, roles: user.roles }, secret, { expiresIn: 3600 });
+ * @param {object} payload
+ * @param {string|Buffer|KeyObject} key HS256 secret or RS256 private key
+ * @param {object} [options]
+ * @param {string} [options.algorithm="HS256"] "HS256" or "RS256"
+ * @param {number} [options.expiresIn] Seconds until `exp`
+ * @return {string}
+ */
+function signJWT(payload, key, { algorithm = "HS256", expiresIn } = {}) {
+    if (!jwtAlgorithms[algorithm]) throw new TypeError(`Unsupported algorithm "${algorithm}"`);
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { iat: now, ...payload };
+    if (expiresIn != null) claims.exp = now + expiresIn;
+    const data = `${encode({ alg: algorithm, typ: "JWT" })}.${encode(claims)}`;
+    return `${data}.${jwtAlgorithms[algorithm].sign(data, key).toString("base64url")}`;
+}
+
+/**
+ * Verify a JWT signature and its `exp`, `nbf`, `iss` and `aud` claims.
+ * @param {string} token
+ * @param {object} keys Keys by algorithm, e.g. `{ HS256: secret }`
+ * @param {object} [options]
+ * @param {string} [options.issuer]
+ * @param {string} [options.audience]
+ * @param {number} [options.clockTolerance=0] Seconds
+ * @return {object} payload
+ * @throws {Error} when the token is invalid
+ */
+function verifyJWT(token, keys, { issuer, audience, clockTolerance = 0 } = {}) {
+    const parts = token.split(".");
+    if (parts.length !== 3) throw new Error("Malformed token");
+    let header, payload;
+    try {
+        header = JSON.parse(Buffer.from(parts[0], "base64url").toString());
+        payload = JSON.parse(Buffer.from(parts[1], "base64url").toString());
+    } catch {
+        throw new Error("Malformed token");
+    }
+    if (!payload || typeof payload !== "object") throw new Error("Malformed token");
+    const algorithm = header && header.alg;
+    if (!Object.hasOwn(keys, algorithm) || !jwtAlgorithms[algorithm]) throw new Error(`Unexpected algorithm "${algorithm}"`);
+    const signature = Buffer.from(parts[2], "base64url");
+    if (!jwtAlgorithms[algorithm].verify(`${parts[0]}.${parts[1]}`, signature, keys[algorithm])) throw new Error("Invalid signature");
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp === "number" && now >= payload.exp + clockTolerance) throw new Error("Token expired");
+    if (typeof payload.nbf === "number" && now < payload.nbf - clockTolerance) throw new Error("Token not active");
+    if (issuer != null && payload.iss !== issuer) throw new Error("Unexpected issuer");
+    if (audience != null && ![].concat(payload.aud).includes(audience)) throw new Error("Unexpected audience");
+    return payload;
+}
+
+/**
+ * Compare secrets in constant time.
+ * @param {string|Buffer} a
+ * @param {string|Buffer} b
+ * @return {boolean}
+ */
+function safeEqual(a, b) {
+    a = Buffer.from(a);
+    b = Buffer.from(b);
+    // compare anyway to not leak the length through timing
+    return timingSafeEqual(a, a.length === b.length ? b : a) && a.length === b.length;
+}
+
+/**
+ * Get the credentials of an Authorization header scheme.
+ * @param {Context} ctx
+ * @param {string} scheme
+ * @return {string|undefined} undefined when the request uses another scheme
+ */
+function getAuthorization(ctx, scheme) {
+    const [type, credentials] = ctx.get("Authorization").split(" ");
+    if (!type || type.toLowerCase() !== scheme.toLowerCase()) return;
+    return credentials || '';
+}
+
+/**
+ * Get the WWW-Authenticate header of challenges.
+ * @param {string|string[]} [challenges]
+ * @return {object}
+ */
+function challengeHeaders(challenges) {
+    challenges = [].concat(challenges || []);
+    return challenges.length ? { "WWW-Authenticate": challenges.length === 1 ? challenges[0] : challenges } : {};
+}
+
+/**
+ * Escape a quoted string value.
+ * @param {string} value
+ * @return {string}
+ */
+function quote(value) {
+    return String(value).replace(/["\\]/g, "\\$&");
+}
+
+/**
+ * Encode a JWT segment.
+ * @param {object} value
+ * @return {string}
+ */
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+module.exports = auth;
+module.exports.auth = auth;
+module.exports.requireAuth = requireAuth;
+module.exports.requireRole = requireRole;
+module.exports.basic = basic;
+module.exports.bearer = bearer;
+module.exports.apiKey = apiKey;
+module.exports.signJWT = signJWT;
+module.exports.verifyJWT = verifyJWT;
+module.exports.safeEqual = safeEqual;
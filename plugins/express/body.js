@@ -0,0 +1,207 @@
+const debug = require("debug")("express:body");
+const { createGunzip, createInflate, createBrotliDecompress } = require("node:zlib");
+const { parse } = require("node:querystring");
+const { toNumber } = require("../../utils/size.js");
+
+const STRICT_JSON_REGEXP = /^[\x20\x09\x0a\x0d]*([\[{])/;
+
+const defaultTypes = {
+    json: ["application/json", "application/json-patch+json", "application/vnd.api+json", "application/csp-report", "application/reports+json"],
+    form: ["application/x-www-form-urlencoded"],
+    text: ["text/plain"],
+    raw: ["application/octet-stream"]
+};
+
+const decoders = {
+    gzip: createGunzip,
+    deflate: createInflate,
+    br: createBrotliDecompress
+};
+
+/**
+ * Create a body parser middleware, parsed data is stored at `ctx.request.body`
+ * and the unparsed text at `ctx.request.rawBody`.
+ * @example
+ *    app.use(bodyParser({ enableTypes: ["json", "form"], jsonLimit: "2mb" }));
+ * @param {object} [options]
+ * @param {string[]} [options.enableTypes] Parsers to enable, from "json", "form", "text" and "raw"
+ * @param {string|number} [options.limit="1mb"] Default size limit for every parser
+ * @param {string|number} [options.jsonLimit] Size limit of json body
+ * @param {string|number} [options.formLimit="56kb"] Size limit of urlencoded body
+ * @param {string|number} [options.textLimit] Size limit of text body
+ * @param {string|number} [options.rawLimit] Size limit of raw body
+ * @param {string} [options.encoding="utf-8"] Fallback charset when the request declares none
+ * @param {boolean} [options.strict=true] Only accept arrays and objects as json body
+ * @param {object} [options.extendTypes] Extra mime types for each parser
+ * @param {function} [options.onerror] Custom handler for parse errors, fn(err, ctx)
+ * @return {function} middleware
+ */
+function bodyParser(options = {}) {
+    const {
+        enableTypes = ["json", "form", "text", "raw"],
+        limit = "1mb",
+        formLimit = "56kb",
+        encoding = "utf-8",
+        strict = true,
+        extendTypes = {},
+        onerror
+    } = options;
+    const limits = {
+        json: toNumber(options.jsonLimit ?? limit),
+        form: toNumber(formLimit),
+        text: toNumber(options.textLimit ?? limit),
+        raw: toNumber(options.rawLimit ?? limit)
+    };
+    const types = {};
+    for (const type of enableTypes) {
+        if (!defaultTypes[type]) throw new TypeError(`Invalid body type "${type}", please select from "json", "form", "text" and "raw"`);
+        types[type] = defaultTypes[type].concat(extendTypes[type] || []);
+    }
+
+    return async function bodyParser(ctx, next) {
+        if (ctx.request.body !== undefined || ctx.disableBodyParser) return next();
+        try {
+            const { body, raw } = await parseBody(ctx);
+            ctx.request.body = body;
+            if (raw !== undefined) ctx.request.rawBody = raw;
+        } catch (err) {
+            if (!onerror) throw err;
+            onerror(err, ctx);
+        }
+        return next();
+    }
+
+    /**
+     * Parse body by the first matched parser.
+     * @param {Context} ctx
+     * @return {Promise<{body:*,raw:string|Buffer}>}
+     */
+    async function parseBody(ctx) {
+        if (types.json && ctx.is(types.json)) {
+            const raw = await readBody(ctx, { limit: limits.json, encoding });
+            return { body: parseJSON(ctx, raw), raw };
+        }
+        if (types.form && ctx.is(types.form)) {
+            const raw = await readBody(ctx, { limit: limits.form, encoding });
+            return { body: parse(raw), raw };
+        }
+        if (types.text && ctx.is(types.text)) {
+            const raw = await readBody(ctx, { limit: limits.text, encoding });
+            return { body: raw, raw };
+        }
+        if (types.raw && ctx.is(types.raw)) {
+            const raw = await readBody(ctx, { limit: limits.raw, encoding: false });
+            return { body: raw, raw };
+        }
+        return { body: {} };
+    }
+
+    /**
+     * Parse json text with strict mode support.
+     * @param {Context} ctx
+     * @param {string} str
+     * @return {*}
+     */
+    function parseJSON(ctx, str) {
+        if (!str) return {};
+        if (strict && !STRICT_JSON_REGEXP.test(str))
+            ctx.throw(400, "invalid JSON, only supports object and array", { type: "entity.parse.failed", body: str });
+        try {
+            return JSON.parse(str);
+        } catch (err) {
+            ctx.throw(400, `invalid JSON, ${err.message}`, { type: "entity.parse.failed", body: str });
+        }
+    }
+}
+
+/**
+ * Read the whole request body, decoding the content encoding and charset. Reading stops
+ * when `ctx.signal` is aborted.
+ * @param {Context} ctx
+ * @param {object} [opts]
+ * @param {number} [opts.limit] Max decoded size in bytes
+ * @param {string|false} [opts.encoding="utf-8"] Fallback charset, `false` to return a Buffer
+ * @return {Promise<string|Buffer>}
+ */
+async function readBody(ctx, { limit = Infinity, encoding = "utf-8" } = {}) {
+    const { req, signal } = ctx;
+    if (signal.aborted) throw signal.reason;
+    const contentEncoding = (ctx.get("Content-Encoding") || "identity").toLowerCase();
+    const expected = contentEncoding === "identity" ? ctx.request.length : undefined;
+    debug("read %s body, limit %s", contentEncoding, limit);
+
+    if (expected !== undefined && expected > limit)
+        ctx.throw(413, "request entity too large", { expected, limit, type: "entity.too.large" });
+
+    let decoder = null;
+    if (encoding !== false) {
+        const charset = (ctx.request.charset || encoding).toLowerCase();
+        try {
+            decoder = new TextDecoder(charset, { fatal: false });
+        } catch {
+            ctx.throw(415, `unsupported charset "${charset.toUpperCase()}"`, { charset, type: "charset.unsupported" });
+        }
+    }
+
+    let stream = req;
+    if (contentEncoding !== "identity") {
+        if (!decoders[contentEncoding])
+            ctx.throw(415, `unsupported content encoding "${contentEncoding}"`, { encoding: contentEncoding, type: "encoding.unsupported" });
+        stream = req.pipe(decoders[contentEncoding]());
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0, complete = false;
+
+        const done = (err, value) => {
+            if (complete) return;
+            complete = true;
+            stream.removeListener("data", onData);
+            stream.removeListener("end", onEnd);
+            stream.removeListener("error", onError);
+            req.removeListener("aborted", onAborted);
+            signal.removeEventListener("abort", onAbort);
+            if (err) {
+                if (stream !== req) stream.destroy();
+                req.unpipe && req.unpipe();
+                req.resume();
+                return reject(err);
+            }
+            resolve(value);
+        }
+        // fail with the error of ctx.throw()
+        const fail = (...args) => {
+            try {
+                ctx.throw(...args);
+            } catch (err) {
+                done(err);
+            }
+        }
+        const onData = chunk => {
+            received += chunk.length;
+            if (received > limit) return fail(413, "request entity too large", { limit, received, type: "entity.too.large" });
+            chunks.push(chunk);
+        }
+        const onEnd = () => {
+            if (expected !== undefined && received !== expected)
+                return fail(400, "request size did not match content length", { expected, received, type: "request.size.invalid" });
+            const buffer = Buffer.concat(chunks);
+            done(null, decoder ? decoder.decode(buffer) : buffer);
+        }
+        const onError = err => fail(400, err.message, { type: stream === req ? "request.error" : "encoding.invalid" });
+        const onAborted = () => fail(400, "request aborted", { expected, received, type: "request.aborted" });
+        const onAbort = () => done(signal.reason);
+
+        stream.on("data", onData);
+        stream.once("end", onEnd);
+        stream.once("error", onError);
+        req.once("aborted", onAborted);
+        signal.addEventListener("abort", onAbort, { once: true });
+    });
+}
+
+module.exports = bodyParser;
+module.exports.bodyParser = bodyParser;
+module.exports.readBody = readBody;
+module.exports.types = defaultTypes;
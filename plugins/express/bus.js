@@ -0,0 +1,44 @@
+const debug = require("debug")("express:bus");
+const { randomBytes } = require("node:crypto");
+const cluster = require("node:cluster");
+
+/**
+ * Join a channel of the event bus shared by the workers, the thread plugin's
+ * `cluster.onEvent`/`cluster.sendEvent` by default. Messages carry the origin of the sender so
+ * a worker ignores its own. The bus can't remove its listeners, a closed channel stops sending
+ * and ignores the messages instead.
+ * @example
+ *    const channel = joinChannel({ channel: "express.session" }, payload => store.apply(payload));
+ *    channel.send({ action: "destroy", key });
+ * @param {object} options
+ * @param {{on:function,send:function}} [options.bus] Event bus, listeners are called with (eventName, payload)
+ * @param {string} options.channel Event name
+ * @param {function} receive `fn(payload)` called with the messages of the other workers
+ * @return {{origin: string, closed: boolean, send: function(object), close: function}}
+ */
+function joinChannel({ bus, channel }, receive) {
+    if (!bus) {
+        if (typeof cluster.onEvent !== "function" || typeof cluster.sendEvent !== "function")
+            throw new TypeError("ClusterStore requires the thread plugin to be started or an event `bus`");
+        bus = { on: cluster.onEvent, send: cluster.sendEvent };
+    }
+    const member = {
+        origin: `${process.pid}:${randomBytes(4).toString("hex")}`,
+        closed: false,
+        send(payload) {
+            if (!member.closed) bus.send(channel, { ...payload, origin: member.origin });
+        },
+        close() {
+            member.closed = true;
+        }
+    };
+    bus.on(channel, (eventName, payload) => {
+        if (member.closed || !payload || payload.origin === member.origin) return;
+        debug("receive %s from %s", channel, payload.origin);
+        receive(payload);
+    });
+    return member;
+}
+
+module.exports = joinChannel;
+module.exports.joinChannel = joinChannel;
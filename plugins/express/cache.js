@@ -0,0 +1,319 @@
+const debug = require("debug")("express:cache");
+const { IncomingMessage, ServerResponse } = require("node:http");
+const { Stream, Duplex, Transform, pipeline } = require("node:stream");
+const { toNumber } = require("../../utils/size.js");
+const { serialize, serializable } = require("./serializers.js");
+
+const REVALIDATE = Symbol("cache#revalidate");
+// request handlers of the applications for revalidations, built once
+const handlers = new WeakMap();
+const CACHEABLE_STATUS = [200, 203, 204, 300, 301, 404, 410];
+const EXCLUDED_HEADERS = ["connection", "keep-alive", "transfer-encoding", "set-cookie", "date", "age", "x-cache"];
+const CONDITIONAL_HEADERS = ["if-none-match", "if-modified-since", "if-match", "if-unmodified-since", "if-range", "range", "cache-control", "pragma"];
+
+class LRUStore {
+    /**
+     * Initialize an in-memory store evicting the least recently used entries over `maxSize` bytes.
+     * @param {object} [options]
+     * @param {string|number} [options.maxSize="64mb"] Max total size of the entries
+     */
+    constructor({ maxSize = "64mb" } = {}) {
+        this.maxSize = toNumber(maxSize);
+        this.size = 0;
+        this.entries = new Map();
+        this.tags = new Map();
+    }
+
+    /**
+     * Get an entry, undefined when missing or expired.
+     * @param {string} key
+     * @return {*}
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        if (entry.expires <= Date.now()) return void this.delete(key);
+        // move to the most recently used end
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Set an entry, ignored when larger than the store.
+     * @param {string} key
+     * @param {*} value
+     * @param {object} options
+     * @param {number} options.size Size in bytes
+     * @param {number} options.ttl Time to live in ms
+     * @param {string[]} [options.tags] Tags to purge the entry with
+     */
+    set(key, value, { size, ttl, tags = [] }) {
+        this.delete(key);
+        if (size > this.maxSize) return debug("entry %s too large", key);
+        this.entries.set(key, { value, size, tags, expires: Date.now() + ttl });
+        this.size += size;
+        for (const tag of tags) {
+            if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+            this.tags.get(tag).add(key);
+        }
+        for (const oldest of this.entries.keys()) {
+            if (this.size <= this.maxSize) break;
+            debug("evict %s", oldest);
+            this.delete(oldest);
+        }
+    }
+
+    /**
+     * Delete an entry.
+     * @param {string} key
+     */
+    delete(key) {
+        const entry = this.entries.get(key);
+        if (!entry) return;
+        this.entries.delete(key);
+        this.size -= entry.size;
+        for (const tag of entry.tags) {
+            const keys = this.tags.get(tag);
+            keys.delete(key);
+            if (!keys.size) this.tags.delete(tag);
+        }
+    }
+
+    /**
+     * Delete every entry with a tag.
+     * @param {string} tag
+     * @return {number} Number of entries deleted
+     */
+    purge(tag) {
+        const keys = [...this.tags.get(tag) || []];
+        keys.forEach(key => this.delete(key));
+        return keys.length;
+    }
+}
+
+/**
+ * Create a response cache middleware. GET responses are cached with their status, headers and
+ * body, streamed bodies while they are sent, for the freshness of their `Cache-Control`
+ * (`s-maxage`, `max-age`) or `maxAge`. `no-store`, `private`, `no-cache` and `Set-Cookie`
+ * responses are not cached. Requests with `Authorization` only share responses with `public` or
+ * `s-maxage`, requests with `Cookie` bypass the cache unless `cookies` is set. Requests with
+ * `no-cache` or `max-age=0` skip the cache, `no-store` bypasses it and `only-if-cached` fails
+ * with 504 on a miss. Stale entries within
+ * `stale-while-revalidate` are served while a request in the background refreshes them.
+ * Mount it inside `compression()` to cache the identity body.
+ * @example
+ *    const gallery = cache({ maxAge: 60, staleWhileRevalidate: 300 });
+ *    router.get("/gallery", gallery, ctx => {
+ *        ctx.state.cacheTags = ["gallery"];
+ *        ctx.body = await shaders.list(ctx.query);
+ *    });
+ *    router.put("/shaders/:id", async ctx => {
+ *        ...
+ *        await gallery.purge("gallery");
+ *    });
+ * @param {object} [options]
+ * @param {LRUStore} [options.store] Store with `get`, `set`, `delete` and `purge`, may be async
+ * @param {string|number} [options.maxSize="64mb"] Size of the default store
+ * @param {string|number} [options.maxEntrySize="1mb"] Max size of a cached body
+ * @param {number} [options.maxAge=0] Freshness in seconds of responses without `Cache-Control`
+ * @param {number} [options.staleWhileRevalidate=0] Seconds a stale response can be served while refreshed
+ * @param {function} [options.key] Key of a request `fn(ctx)`, defaults to the hostname and url
+ * @param {function} [options.tags] Tags of a response `fn(ctx)`, defaults to `ctx.state.cacheTags`
+ * @param {boolean} [options.cookies=false] Cache requests with cookies, when the responses don't depend on them
+ * @return {function} middleware
+ */
+function cache(options = {}) {
+    const {
+        maxSize = "64mb",
+        store = new LRUStore({ maxSize }),
+        maxEntrySize = "1mb",
+        maxAge = 0,
+        staleWhileRevalidate = 0,
+        key: getKey = ctx => `${ctx.hostname}${ctx.url}`,
+        tags: getTags = ctx => ctx.state.cacheTags || [],
+        cookies = false
+    } = options;
+    const entryLimit = toNumber(maxEntrySize);
+    const revalidating = new Set();
+
+    const middleware = async function cache(ctx, next) {
+        if (ctx.method !== "GET" && ctx.method !== "HEAD") return next();
+        const directives = parseCacheControl(ctx.get("Cache-Control"));
+        if (directives["no-store"]) return next();
+        // responses to requests with cookies may be personalized
+        if (!cookies && ctx.get("Cookie")) return next();
+        // responses to authorized requests are only shared when explicitly allowed, rfc9111 3.5
+        const authorized = !!ctx.get("Authorization");
+        const base = await getKey(ctx);
+        const revalidation = ctx.req[REVALIDATE];
+        const skip = revalidation || directives["no-cache"] || directives["max-age"] === 0 || /no-cache/i.test(ctx.get("Pragma"));
+
+        if (!skip) {
+            const variants = await store.get(base);
+            const key = variants && variantKey(ctx, base, variants.vary);
+            const entry = key && await store.get(key);
+            if (entry && (!authorized || entry.shared)) {
+                const age = Date.now() - entry.created;
+                const stale = age >= entry.ttl;
+                debug("%s %s", stale ? "stale" : "hit", key);
+                ctx.status = entry.status;
+                ctx.set(entry.headers);
+                ctx.set("Age", String(Math.floor(age / 1000)));
+                ctx.set("X-Cache", stale ? "STALE" : "HIT");
+                ctx.body = entry.status === 204 ? null : entry.body;
+                if (stale && !revalidating.has(key)) {
+                    revalidating.add(key);
+                    revalidate(ctx, () => revalidating.delete(key));
+                }
+                return;
+            }
+            else if (directives["only-if-cached"]) ctx.throw(504, "Not cached");
+        }
+
+        await next();
+
+        if (ctx.method === "HEAD") return;
+        // store the negotiated representation, with its type and Vary
+        if (serializable(ctx.body)) ctx.body = serialize(ctx, ctx.body);
+        const headers = storableHeaders(ctx);
+        const ttl = freshness(ctx, headers, maxAge);
+        if (!ttl) return;
+        const vary = (ctx.response.get("Vary") || '').toLowerCase().split(",").map(field => field.trim()).filter(Boolean);
+        if (vary.includes("*")) return;
+        const responseDirectives = parseCacheControl(ctx.response.get("Cache-Control"));
+        const shared = !!responseDirectives["public"] || responseDirectives["s-maxage"] !== undefined;
+        if (authorized && !shared) return;
+        const swr = (responseDirectives["stale-while-revalidate"] ?? staleWhileRevalidate) * 1000;
+        const key = variantKey(ctx, base, vary);
+        const tags = await getTags(ctx);
+        const save = async body => {
+            const entry = { status: ctx.status, headers, body, created: Date.now(), ttl, shared };
+            const size = body.length + JSON.stringify(headers).length;
+            await store.set(base, { vary }, { size: base.length, ttl: ttl + swr, tags });
+            await store.set(key, entry, { size, ttl: ttl + swr, tags });
+            debug("store %s for %dms", key, ttl);
+        }
+        if (!revalidation) ctx.set("X-Cache", "MISS");
+
+        const { body } = ctx;
+        if (body instanceof Stream) {
+            const length = ctx.response.length;
+            if (length > entryLimit) return;
+            // collect the chunks while they are sent, the last one is held back until the entry
+            // is stored so a following request finds it
+            const chunks = [];
+            let received = 0, last = null;
+            const tee = new Transform({
+                transform(chunk, encoding, callback) {
+                    if (received <= entryLimit) chunks.push(chunk);
+                    received += chunk.length;
+                    const previous = last;
+                    last = chunk;
+                    callback(null, previous);
+                },
+                flush(callback) {
+                    if (received > entryLimit) return callback(null, last);
+                    save(Buffer.concat(chunks)).then(() => callback(null, last), callback);
+                }
+            });
+            const stream = pipeline(body, tee, () => {});
+            // keep the file of the body for the stats of etag()
+            if (typeof body.path === "string") stream.path = body.path;
+            ctx.body = stream;
+            if (length != null) ctx.length = length;
+            return;
+        }
+        const buffer = body == null ? Buffer.alloc(0) : Buffer.isBuffer(body) ? body : Buffer.from(body);
+        if (buffer.length <= entryLimit) await save(buffer);
+    }
+    middleware.store = store;
+    middleware.purge = tag => store.purge(tag);
+    return middleware;
+}
+
+/**
+ * Parse a Cache-Control header, numeric directives as numbers and the others as `true`.
+ * @example
+ *    parseCacheControl("public, max-age=60"); // => { public: true, "max-age": 60 }
+ * @param {string} value
+ * @return {object}
+ */
+function parseCacheControl(value) {
+    const directives = {};
+    for (const part of (value || '').split(",")) {
+        const [name, arg] = part.trim().toLowerCase().split("=");
+        if (!name) continue;
+        const number = arg === undefined ? NaN : parseInt(arg.replace(/"/g, ''), 10);
+        directives[name] = arg === undefined ? true : Number.isNaN(number) ? arg : number;
+    }
+    return directives;
+}
+
+/**
+ * Get the freshness of a response in ms, 0 when it must not be cached.
+ * @param {Context} ctx
+ * @param {object} headers
+ * @param {number} maxAge Default freshness in seconds
+ * @return {number}
+ */
+function freshness(ctx, headers, maxAge) {
+    if (!CACHEABLE_STATUS.includes(ctx.status) || ctx.response.has("Set-Cookie")) return 0;
+    const directives = parseCacheControl(ctx.response.get("Cache-Control"));
+    if (directives["no-store"] || directives["private"] || directives["no-cache"]) return 0;
+    const seconds = directives["s-maxage"] ?? directives["max-age"] ?? maxAge;
+    return typeof seconds === "number" && seconds > 0 ? seconds * 1000 : 0;
+}
+
+/**
+ * Get the response headers worth storing.
+ * @param {Context} ctx
+ * @return {object}
+ */
+function storableHeaders(ctx) {
+    const excluded = [...EXCLUDED_HEADERS];
+    if (ctx.app.requestId) excluded.push(ctx.app.requestId.header.toLowerCase());
+    const headers = {};
+    for (const [name, value] of Object.entries(ctx.response.headers))
+        if (!excluded.includes(name)) headers[name] = value;
+    return headers;
+}
+
+/**
+ * Get the key of the variant of a response selected by the `Vary` request headers.
+ * @param {Context} ctx
+ * @param {string} base
+ * @param {string[]} vary
+ * @return {string}
+ */
+function variantKey(ctx, base, vary) {
+    return vary.reduce((key, field) => `${key}\n${field}:${ctx.get(field)}`, `${base}\n`);
+}
+
+/**
+ * Refresh a stale entry in the background, with a copy of the request through the whole
+ * application. The copy skips the cache lookup and stores the fresh response.
+ * @param {Context} ctx
+ * @param {function} done
+ */
+function revalidate(ctx, done) {
+    debug("revalidate %s", ctx.url);
+    const socket = new Duplex({ read() {}, write: (chunk, encoding, callback) => callback() });
+    const req = new IncomingMessage(socket);
+    Object.assign(req, { method: "GET", url: ctx.originalUrl, httpVersion: "1.1", httpVersionMajor: 1, httpVersionMinor: 1 });
+    req.headers = { ...ctx.req.headers };
+    for (const name of CONDITIONAL_HEADERS) delete req.headers[name];
+    req[REVALIDATE] = true;
+    req.push(null);
+    const res = new ServerResponse(req);
+    res.assignSocket(socket);
+    res.once("close", done);
+    res.once("finish", () => socket.destroy());
+    if (!handlers.has(ctx.app)) handlers.set(ctx.app, ctx.app.callback());
+    handlers.get(ctx.app)(req, res);
+}
+
+module.exports = cache;
+module.exports.cache = cache;
+module.exports.LRUStore = LRUStore;
+module.exports.parseCacheControl = parseCacheControl;
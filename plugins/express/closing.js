@@ -0,0 +1,30 @@
+const debug = require("debug")("express:closing");
+
+const RESOURCES = Symbol("closing#resources");
+
+/**
+ * Close a long-lived resource like a stream or a WebSocket when the application is closing.
+ * Open resources share a single "closing" listener, removed when the last one closed.
+ * @param {Application} app
+ * @param {EventEmitter} resource Emitting "close" once closed
+ * @param {function} close Close the resource
+ */
+function closeWithApp(app, resource, close) {
+    let resources = app[RESOURCES];
+    if (!resources) {
+        resources = app[RESOURCES] = new Map();
+        resources.listener = () => {
+            debug("close %d resources", resources.size);
+            for (const close of [...resources.values()]) close();
+        };
+    }
+    if (!resources.size) app.on("closing", resources.listener);
+    resources.set(resource, close);
+    resource.once("close", () => {
+        resources.delete(resource);
+        if (!resources.size) app.removeListener("closing", resources.listener);
+    });
+}
+
+module.exports = closeWithApp;
+module.exports.closeWithApp = closeWithApp;
@@ -3,6 +3,8 @@ const { Stream } = require("node:stream");
 const { formatSize } = require("../../utils/size.js");
 const createError = require("http-errors");
 const compressible = require("compressible");
+const { serialize, serializable } = require("./serializers.js");
+const { runSendHooks } = require("./hooks.js");
 
 const emptyBodyStatues = new Set([204, 205, 304]);
 
@@ -91,9 +93,14 @@ function compress(options = {}) {
     async function compressMiddleware(ctx, next) {
         ctx.vary("Accept-Encoding");
         await next();
+        // the hooks transform the identity body
+        await runSendHooks(ctx);
+        // the type and length of objects depend on the negotiated serializer
+        if (serializable(ctx.body) && ctx.respond !== false && ctx.writable && !ctx.res.headersSent)
+            ctx.body = serialize(ctx, ctx.body);
         let { body } = ctx;
         if (!body || ctx.res.headersSent || !ctx.writable || ctx.compress === false || ctx.request.method === "HEAD" ||
-            emptyBodyStatues.has(+ctx.response.status) || ctx.response.get("Content-Encoding") ||
+            emptyBodyStatues.has(+ctx.response.status) || ctx.response.get("Content-Encoding") || ctx.response.has("Content-Range") ||
             !(ctx.compress === true || filter(ctx.response.type)) || NO_TRANSFORM_REGEX.test(ctx.response.get("Cache-Control")) ||
             (threshold && ctx.response.length < threshold)) return;
 
@@ -107,10 +114,6 @@ function compress(options = {}) {
 
         /** compression logic */
 
-        // json
-        if (!!body && typeof body !== "string" && typeof body.pipe !== "function" && !Buffer.isBuffer(body))
-            body = ctx.body = JSON.stringify(body);
-
         ctx.set("Content-Encoding", encoding);
         ctx.res.removeHeader("Content-Length");
 
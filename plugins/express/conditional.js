@@ -0,0 +1,176 @@
+const debug = require("debug")("express:conditional");
+const { createHash } = require("node:crypto");
+const { stat } = require("node:fs/promises");
+const { Stats } = require("node:fs");
+const { Stream } = require("node:stream");
+const { serialize } = require("./serializers.js");
+
+const EMPTY_ENTITY_TAG = '"0-2jmj7l5rSw0yVb/vlWAYkK/YBwk"';
+
+/**
+ * Generate an entity tag of a string, Buffer or `fs.Stats`.
+ * File stats produce a weak tag by default since they only reflect size and mtime.
+ * @example
+ *    entityTag("void main() {}"); // => "\"e-...\""
+ *    entityTag(await stat(path)); // => "W/\"1a-18b...\""
+ * @param {string|Buffer|Stats} entity
+ * @param {object} [options]
+ * @param {boolean} [options.weak]
+ * @return {string}
+ */
+function entityTag(entity, { weak } = {}) {
+    if (entity == null) throw new TypeError("argument entity is required");
+    const isStats = isStatsLike(entity);
+    if (!isStats && typeof entity !== "string" && !Buffer.isBuffer(entity))
+        throw new TypeError("argument entity must be string, Buffer, or fs.Stats");
+    const tag = isStats ? statTag(entity) : hashTag(entity);
+    return (weak ?? isStats) ? `W/${tag}` : tag;
+}
+
+/**
+ * Create an ETag middleware, hashing string, Buffer and JSON bodies, and using size and mtime
+ * for file streams from `send()`. Use it inside `compression()` so it tags the identity body.
+ * @example
+ *    app.use(compression());
+ *    app.use(conditional());
+ *    app.use(etag());
+ * @param {object} [options]
+ * @param {boolean} [options.weak=false] Generate weak tags for hashed bodies
+ * @return {function} middleware
+ */
+function etag(options = {}) {
+    return async function etag(ctx, next) {
+        await next();
+        const entity = await getResponseEntity(ctx);
+        if (entity === undefined) return;
+        ctx.response.etag = entityTag(entity, isStatsLike(entity) ? {} : options);
+    }
+}
+
+/**
+ * Create a conditional request middleware. Fresh GET and HEAD requests are answered with
+ * `304 Not Modified` and an empty body, failed `If-Match`/`If-Unmodified-Since`
+ * preconditions with `412 Precondition Failed`.
+ * For unsafe methods the validators of the current resource are checked before the resource
+ * is modified, the downstream middleware are skipped with `412 Precondition Failed` when a
+ * precondition fails. Without `validators` it's up to the handlers, through `ctx.preconditionFailed`.
+ * @example
+ *    router.put("/shaders/:id", conditional({
+ *        validators: async ctx => {
+ *            const shader = await shaders.get(ctx.params.id);
+ *            return shader && { etag: shader.revision, lastModified: shader.updatedAt };
+ *        }
+ *    }), update);
+ * @param {object} [options]
+ * @param {function} [options.validators] `fn(ctx)` resolving the `{ etag, lastModified }` of the resource, or nothing when missing
+ * @return {function} middleware
+ */
+function conditional({ validators } = {}) {
+    if (validators != null && typeof validators !== "function") throw new TypeError("conditional validators must be a function");
+    return async function conditional(ctx, next) {
+        const { method } = ctx;
+        if (method !== "GET" && method !== "HEAD") {
+            if (validators && (ctx.get("If-Match") || ctx.get("If-Unmodified-Since")) && preconditionFailed(ctx.request, await validators(ctx))) {
+                debug("precondition failed %s %s", method, ctx.path);
+                ctx.throw(412);
+            }
+            return next();
+        }
+        await next();
+        const { status } = ctx;
+        if (status < 200 || status >= 300) return;
+        if (ctx.preconditionFailed) {
+            debug("precondition failed %s", ctx.path);
+            ctx.body = null;
+            ctx.status = 412;
+        } else if (ctx.fresh) {
+            debug("not modified %s", ctx.path);
+            ctx.status = 304;
+            ctx.body = null;
+        }
+    }
+}
+
+/**
+ * Check if the "If-Match" or "If-Unmodified-Since" precondition of a request fails against the
+ * validators of a resource, as per rfc7232 section 6. `If-Match: *` matches any existing
+ * resource, entity tags are compared strongly.
+ * @param {Request} request
+ * @param {{etag: string, lastModified: Date|string|number}} [resource] Nothing when the resource doesn't exist
+ * @return {boolean}
+ */
+function preconditionFailed(request, resource) {
+    const ifMatch = request.get("If-Match");
+    if (ifMatch) {
+        if (ifMatch.trim() === "*") return !resource;
+        let etag = resource && resource.etag;
+        // weak tags never match
+        if (!etag || etag.startsWith("W/")) return true;
+        if (!etag.startsWith('"')) etag = `"${etag}"`;
+        return !ifMatch.split(/\s*,\s*/).some(tag => tag === etag);
+    }
+    const ifUnmodifiedSince = Date.parse(request.get("If-Unmodified-Since"));
+    const lastModified = resource && resource.lastModified ? new Date(resource.lastModified).getTime() : NaN;
+    if (isNaN(ifUnmodifiedSince) || isNaN(lastModified)) return false;
+    return lastModified > ifUnmodifiedSince;
+}
+
+/**
+ * Get the entity to tag from the response body.
+ * @param {Context} ctx
+ * @return {Promise<string|Buffer|Stats|undefined>}
+ */
+async function getResponseEntity(ctx) {
+    const { body, status } = ctx;
+    if (body == null || ctx.response.has("ETag")) return;
+    if (status < 200 || status >= 300) return;
+    if (typeof body === "string" || Buffer.isBuffer(body)) return body;
+    if (body instanceof Stream) {
+        if (typeof body.path !== "string") return;
+        try {
+            return await stat(body.path);
+        } catch {
+            return;
+        }
+    }
+    // tag the negotiated representation
+    return ctx.body = serialize(ctx, body);
+}
+
+/**
+ * Tag by content hash.
+ * @param {string|Buffer} entity
+ * @return {string}
+ */
+function hashTag(entity) {
+    if (entity.length === 0) return EMPTY_ENTITY_TAG;
+    const hash = createHash("sha1").update(entity, "utf-8").digest("base64").substring(0, 27);
+    const length = typeof entity === "string" ? Buffer.byteLength(entity, "utf-8") : entity.length;
+    return `"${length.toString(16)}-${hash}"`;
+}
+
+/**
+ * Tag by file size and mtime.
+ * @param {Stats} stats
+ * @return {string}
+ */
+function statTag(stats) {
+    return `"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`;
+}
+
+/**
+ * Check the entity is a `fs.Stats` or looks like one.
+ * @param {*} entity
+ * @return {boolean}
+ */
+function isStatsLike(entity) {
+    if (entity instanceof Stats) return true;
+    return !!entity && typeof entity === "object" && "mtime" in entity && entity.mtime instanceof Date &&
+        typeof entity.size === "number" && typeof entity.ino === "number";
+}
+
+module.exports = conditional;
+module.exports.conditional = conditional;
+module.exports.etag = etag;
+module.exports.entityTag = entityTag;
+module.exports.preconditionFailed = preconditionFailed;
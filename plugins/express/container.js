@@ -0,0 +1,167 @@
+const debug = require("debug")("express:container");
+const { AsyncLocalStorage } = require("node:async_hooks");
+
+const SCOPE = Symbol("container#scope");
+const SCOPES = ["singleton", "request"];
+// services being constructed by the current factory, followed through async factories
+const resolution = new AsyncLocalStorage();
+
+class Container {
+    /**
+     * Initialize a service container. Services are constructed on first injection, singletons
+     * once for the application and request services once per request.
+     */
+    constructor() {
+        this.providers = new Map();
+        this.overrides = new Map();
+        this.singletons = createScope();
+        this.pending = new Set();
+    }
+
+    /**
+     * Register a service factory.
+     * @param {string} name
+     * @param {function} factory `fn(app)` for singletons and `fn(ctx)` for request services, may be async
+     * @param {object} [options]
+     * @param {string} [options.scope="singleton"] "singleton" or "request"
+     * @param {function} [options.dispose] `fn(instance)` releasing the service, defaults to its `Symbol.asyncDispose` or `Symbol.dispose`
+     */
+    provide(name, factory, { scope = "singleton", dispose } = {}) {
+        if (typeof factory !== "function") throw new TypeError(`service "${name}" factory must be a function`);
+        if (!SCOPES.includes(scope)) throw new TypeError(`Invalid scope "${scope}", please select "singleton" or "request"`);
+        if (this.providers.has(name)) throw new Error(`service "${name}" is already provided`);
+        this.providers.set(name, { name, factory, scope, dispose });
+    }
+
+    /**
+     * Replace the factory of a service, e.g. with a stub in tests. The scope is kept, the
+     * singleton is disposed and constructed again at the next injection.
+     * @param {string} name
+     * @param {function} factory
+     * @param {object} [options]
+     * @param {function} [options.dispose]
+     * @return {Promise<Error[]>} Errors thrown while disposing the singleton
+     */
+    override(name, factory, { dispose } = {}) {
+        const provider = this.providers.get(name);
+        if (!provider) throw new Error(`Unknown service "${name}"`);
+        if (typeof factory !== "function") throw new TypeError(`service "${name}" factory must be a function`);
+        this.overrides.set(name, { name, factory, scope: provider.scope, dispose });
+        return this.evict([name]);
+    }
+
+    /**
+     * Remove the override of a service, or of every service.
+     * @param {string} [name]
+     * @return {Promise<Error[]>} Errors thrown while disposing the singletons
+     */
+    restore(name) {
+        const names = name === undefined ? [...this.overrides.keys()] : [name];
+        return this.evict(names.filter(key => this.overrides.delete(key)));
+    }
+
+    /**
+     * Dispose the constructed singletons of services.
+     * @param {string[]} names
+     * @return {Promise<Error[]>}
+     */
+    evict(names) {
+        const scope = createScope();
+        for (const name of names) {
+            const entry = this.singletons.instances.get(name);
+            if (!entry) continue;
+            this.singletons.instances.delete(name);
+            scope.instances.set(name, entry);
+        }
+        return this.disposeScope(scope);
+    }
+
+    /**
+     * Get a service, constructing it in its scope when missing.
+     * @param {string} name
+     * @param {object} owner Application or context, the argument of the factory
+     * @param {object} [scope] Instances of the request, request services can't be injected without
+     * @return {*} The instance, or a promise of it for async factories
+     */
+    resolve(name, owner, scope) {
+        const provider = this.overrides.get(name) || this.providers.get(name);
+        if (!provider) throw new Error(`Unknown service "${name}"`);
+        if (provider.scope === "request" && !scope) throw new Error(`Request service "${name}" can only be injected in a request`);
+        const target = provider.scope === "singleton" ? this.singletons : scope;
+        const entry = target.instances.get(name);
+        if (entry && !entry.pending) return entry.value;
+        // a factory waiting for itself, possibly after an await, would never settle
+        const chain = resolution.getStore() || [];
+        if (chain.includes(name)) throw new Error(`Circular dependency: ${[...chain, name].join(" -> ")}`);
+        if (entry) return entry.value;
+        debug("construct %s service %s", provider.scope, name);
+        const value = resolution.run([...chain, name], () => provider.factory(provider.scope === "singleton" ? owner.app || owner : owner));
+        const constructed = { value, provider, pending: value instanceof Promise };
+        // forget rejected constructions so the next injection retries
+        if (constructed.pending) value.then(() => constructed.pending = false, () => {
+            constructed.pending = false;
+            if (target.instances.get(name) === constructed) target.instances.delete(name);
+        });
+        target.instances.set(name, constructed);
+        return value;
+    }
+
+    /**
+     * Dispose the instances of a scope in reverse order of construction.
+     * @param {object} scope
+     * @return {Promise<Error[]>} Errors thrown while disposing
+     */
+    disposeScope(scope) {
+        const instances = [...scope.instances.values()].reverse();
+        scope.instances.clear();
+        const disposal = (async () => {
+            const errors = [];
+            for (const { value, provider } of instances) {
+                try {
+                    const instance = await value;
+                    const dispose = provider.dispose || disposer(instance);
+                    if (dispose) await dispose(instance);
+                } catch (err) {
+                    errors.push(err);
+                }
+            }
+            return errors;
+        })();
+        this.pending.add(disposal);
+        disposal.finally(() => this.pending.delete(disposal));
+        return disposal;
+    }
+
+    /**
+     * Wait for the request disposals, then dispose the singletons.
+     * @return {Promise<Error[]>}
+     */
+    async dispose() {
+        await Promise.all(this.pending);
+        return this.disposeScope(this.singletons);
+    }
+}
+
+/**
+ * Create the instances of a scope.
+ * @return {{instances: Map}}
+ */
+function createScope() {
+    return { instances: new Map() };
+}
+
+/**
+ * Get the dispose method of an instance.
+ * @param {*} instance
+ * @return {function|undefined}
+ */
+function disposer(instance) {
+    if (instance == null || (typeof instance !== "object" && typeof instance !== "function")) return;
+    const method = instance[Symbol.asyncDispose] || instance[Symbol.dispose];
+    if (typeof method === "function") return () => method.call(instance);
+}
+
+module.exports = Container;
+module.exports.Container = Container;
+module.exports.createScope = createScope;
+module.exports.SCOPE = SCOPE;
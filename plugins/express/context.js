@@ -3,8 +3,38 @@ const { inspect, format } = require("node:util");
 const createError = require("http-errors");
 const statuses = require("statuses");
 const Cookies = require("cookies");
+const onFinished = require("on-finished");
+const sse = require("./sse.js");
+const { escapeHtml } = require("../../utils/html.js");
 
 const COOKIES = Symbol("context#cookies");
+const ABORT = Symbol("context#abort");
+
+/**
+ * Default error renderers keyed by the negotiated type, fn(err, ctx) returning the body.
+ * Override them with the `errorRenderers` application option.
+ */
+const errorRenderers = {
+    text(err, ctx) {
+        return errorMessage(err, ctx);
+    },
+    json(err, ctx) {
+        // RFC 7807 problem details
+        ctx.type = "application/problem+json";
+        const problem = { type: "about:blank", title: statuses.message[ctx.status], status: ctx.status };
+        if (err.expose) problem.detail = err.message;
+        // extension member, e.g. validation errors
+        if (err.expose && Array.isArray(err.errors)) problem.errors = err.errors;
+        if (ctx.app.env === "development") problem.stack = err.stack;
+        return problem;
+    },
+    html(err, ctx) {
+        const title = escapeHtml(`${ctx.status} ${statuses.message[ctx.status]}`);
+        const stack = ctx.app.env === "development" && err.stack ? `<pre>${escapeHtml(err.stack)}</pre>` : '';
+        return `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${title}</title></head>` +
+            `<body><h1>${title}</h1><p>${escapeHtml(errorMessage(err, ctx))}</p>${stack}</body></html>`;
+    }
+};
 
 const proto = module.exports = {
     /**
@@ -28,10 +58,28 @@ const proto = module.exports = {
         this[COOKIES] = value;
     },
 
+    /**
+     * Get the request signal, aborted when the client disconnects or by `.abort()`.
+     * @example
+     *    const shader = await shaders.find(this.params.id, { signal: this.signal });
+     * @return {AbortSignal}
+     */
+    get signal() {
+        return abortController(this).signal;
+    },
+
+    /**
+     * Abort the request signal, e.g. on timeout.
+     * @param {*} [reason]
+     */
+    abort(reason) {
+        abortController(this).abort(reason);
+    },
+
     /**
      * Similar to .throw(), adds assertion.
      * @example
-     *    this.assert(this.user, 401, "Please login!");
+     *    this.assert(this.state.user, 401, "Please login!");
      * See: https://github.com/jshttp/http-assert
      * @param {object} value
      * @param {string|number|Error} args
@@ -59,7 +107,32 @@ const proto = module.exports = {
     },
 
     /**
-     * Default error handling.
+     * Get a service provided by `app.provide()`, request services are shared by the request.
+     * @example
+     *    const db = await this.inject("db");
+     * @param {string} name
+     * @return {*} The service, or a promise of it for async factories
+     */
+    inject(name) {
+        return this.app.inject(name, this);
+    },
+
+    /**
+     * Switch the response to a Server-Sent Events stream.
+     * @example
+     *    const stream = this.sse({ retry: 3000 });
+     *    stream.send({ progress: 0.5 }, { event: "compile", id: 1 });
+     * @param {object} [options]
+     * @param {number} [options.retry] Reconnection time sent to the client in ms
+     * @param {number|false} [options.heartbeat=15000] Interval of heartbeat comments in ms, false to disable
+     * @return {EventStream}
+     */
+    sse(options) {
+        return sse(this, options);
+    },
+
+    /**
+     * Default error handling, the response format is negotiated between the error renderers.
      * @param {Error} err
      */
     onerror(err) {
@@ -84,12 +157,10 @@ const proto = module.exports = {
         // first unset all headers
         res.getHeaderNames().forEach(name => res.removeHeader(name));
 
-        // then set those specified
+        // then set those specified, keeping the request id
+        if (this.id) this.set(this.app.requestId.header, this.id);
         this.set(err.headers);
 
-        // force text/plain
-        this.type = "text";
-
         let statusCode = err.status || err.statusCode;
 
         // ENOENT support
@@ -97,12 +168,26 @@ const proto = module.exports = {
 
         // default to 500
         if (typeof statusCode !== "number" || !statuses.message[statusCode]) statusCode = 500;
+        this.status = err.status = statusCode;
+
+        // negotiate the error format, falling back to text/plain
+        const renderers = { ...errorRenderers, ...this.app.errorRenderers };
+        const types = Object.keys(renderers).filter(type => typeof renderers[type] === "function");
+        const type = this.accepts(types) || "text";
+        this.type = type;
 
         // respond
-        const msg = err.expose ? err.message : statuses.message[statusCode];
-        this.status = err.status = statusCode;
-        this.length = Buffer.byteLength(msg);
-        res.end(msg);
+        let body;
+        try {
+            body = (renderers[type] || errorRenderers.text)(err, this);
+        } catch (renderError) {
+            debug("render %s error failed: %s", type, renderError.message);
+            this.type = "text";
+            body = errorRenderers.text(err, this);
+        }
+        if (typeof body !== "string" && !Buffer.isBuffer(body)) body = JSON.stringify(body);
+        this.length = Buffer.byteLength(body);
+        res.end(body);
     },
 
     /**
@@ -133,6 +218,33 @@ const proto = module.exports = {
     }
 }
 
+/**
+ * Get the abort controller of a context, created on first use.
+ * @param {Context} ctx
+ * @return {AbortController}
+ */
+function abortController(ctx) {
+    if (!ctx[ABORT]) {
+        const controller = ctx[ABORT] = new AbortController();
+        onFinished(ctx.res, () => {
+            if (ctx.res.writableEnded || controller.signal.aborted) return;
+            debug("client disconnected");
+            controller.abort(createError(400, "request aborted", { type: "request.aborted" }));
+        });
+    }
+    return ctx[ABORT];
+}
+
+/**
+ * Get the message of an error which is safe to send to the client.
+ * @param {Error} err
+ * @param {Context} ctx
+ * @return {string}
+ */
+function errorMessage(err, ctx) {
+    return err.expose ? err.message : statuses.message[ctx.status];
+}
+
 /**
  * Delegate register.
  * @param {object} holder delegate holder
@@ -181,6 +293,6 @@ void function(holder, delegate) {
     request: {
         method: ["acceptsLanguages", "acceptsEncodings", "acceptsCharsets", "accepts", "get", "is"],
         access: ["querystring", "idempotent", "socket", "search", "method", "query", "path", "url", "accept"],
-        getter: ["origin", "href", "subdomains", "protocol", "host", "hostname", "URL", "header", "headers", "secure", "stale", "fresh", "ips", "ip"]
+        getter: ["origin", "href", "subdomains", "protocol", "host", "hostname", "URL", "header", "headers", "secure", "stale", "fresh", "preconditionFailed", "ips", "ip"]
     }
 });
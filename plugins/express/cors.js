@@ -0,0 +1,110 @@
+const debug = require("debug")("express:cors");
+const { routerMethods } = require("./router.js");
+
+const DEFAULT_METHODS = ["GET", "HEAD", "PUT", "POST", "DELETE", "PATCH"];
+
+/**
+ * Create a CORS middleware. Preflight requests are answered without running the downstream
+ * middleware, `Access-Control-Allow-Methods` lists the methods of the routes of the application
+ * routers matching the path, falling back to `allowMethods`. Mount it before the routers and
+ * authentication.
+ * @example
+ *    app.use(cors({ origin: ["https://editor.example.com", /\.shaderlab\.dev$/], credentials: true }));
+ *    app.use(router.routes());
+ *    app.use(router.allowedMethods());
+ * @param {object} [options]
+ * @param {string|RegExp|function|Array} [options.origin="*"] Allowed origins, `fn(origin, ctx)` may return a boolean,
+ * the origin to allow or a promise of them
+ * @param {boolean} [options.credentials=false] Allow cookies and authorization headers, requires explicit origins
+ * @param {string[]} [options.exposeHeaders] Response headers readable by the client
+ * @param {string[]} [options.allowHeaders] Request headers allowed on preflight, defaults to the requested ones
+ * @param {string[]} [options.allowMethods] Methods allowed on preflight when no route matched
+ * @param {number} [options.maxAge] Time in seconds the preflight response can be cached
+ * @param {boolean} [options.privateNetworkAccess=false] Allow requests from public to private networks
+ * @return {function} middleware
+ */
+function cors(options = {}) {
+    const {
+        origin = "*",
+        credentials = false,
+        exposeHeaders = [],
+        allowHeaders,
+        allowMethods = DEFAULT_METHODS,
+        maxAge,
+        privateNetworkAccess = false
+    } = options;
+    if (credentials && origin === "*") throw new TypeError("cors credentials cannot be used with origin \"*\"");
+    if (maxAge != null && (!Number.isInteger(maxAge) || maxAge < 0)) throw new TypeError("cors maxAge must be a non-negative integer");
+    const matchOrigin = compileOrigin(origin);
+
+    return async function cors(ctx, next) {
+        const requestOrigin = ctx.get("Origin");
+        // the response depends on the origin unless every origin gets the same answer
+        if (origin !== "*") ctx.vary("Origin");
+        if (!requestOrigin) return next();
+
+        const allowed = await matchOrigin(requestOrigin, ctx);
+        if (!allowed) {
+            debug("origin %s not allowed", requestOrigin);
+            return next();
+        }
+        const headers = { "Access-Control-Allow-Origin": allowed };
+        if (credentials) headers["Access-Control-Allow-Credentials"] = "true";
+
+        if (ctx.method !== "OPTIONS" || !ctx.get("Access-Control-Request-Method")) {
+            if (exposeHeaders.length) headers["Access-Control-Expose-Headers"] = exposeHeaders.join(", ");
+            ctx.set(headers);
+            try {
+                return await next();
+            } catch (err) {
+                // error responses unset every header, keep CORS so the client can read the error
+                if (err && typeof err === "object") err.headers = { ...headers, ...err.headers };
+                throw err;
+            }
+        }
+
+        // preflight, the routes only tell their methods
+        const methods = routerMethods(ctx);
+        headers["Access-Control-Allow-Methods"] = (methods.length ? methods : allowMethods).join(", ");
+        const requestHeaders = ctx.get("Access-Control-Request-Headers");
+        if (allowHeaders) {
+            headers["Access-Control-Allow-Headers"] = allowHeaders.join(", ");
+        } else if (requestHeaders) {
+            headers["Access-Control-Allow-Headers"] = requestHeaders;
+            ctx.vary("Access-Control-Request-Headers");
+        }
+        if (maxAge != null) headers["Access-Control-Max-Age"] = String(maxAge);
+        if (privateNetworkAccess && ctx.get("Access-Control-Request-Private-Network") === "true")
+            headers["Access-Control-Allow-Private-Network"] = "true";
+        debug("preflight %s %s", ctx.path, headers["Access-Control-Allow-Methods"]);
+        ctx.set(headers);
+        ctx.status = 204;
+        ctx.body = null;
+    }
+}
+
+/**
+ * Compile the origin option into a matcher resolving the allowed origin or false.
+ * @param {string|RegExp|function|Array} origin
+ * @return {function(string, Context): Promise<string|false>}
+ */
+function compileOrigin(origin) {
+    if (origin === "*") return async () => "*";
+    if (typeof origin === "function") return async (requestOrigin, ctx) => {
+        const result = await origin(requestOrigin, ctx);
+        return result === true ? requestOrigin : typeof result === "string" && result ? result : false;
+    };
+    const rules = [].concat(origin);
+    for (const rule of rules)
+        if (typeof rule !== "string" && !(rule instanceof RegExp))
+            throw new TypeError("cors origin must be a string, RegExp, function or an array of strings and RegExps");
+    return async requestOrigin => rules.some(rule => {
+        if (typeof rule === "string") return rule === requestOrigin;
+        // global and sticky patterns test from their last match
+        rule.lastIndex = 0;
+        return rule.test(requestOrigin);
+    }) ? requestOrigin : false;
+}
+
+module.exports = cors;
+module.exports.cors = cors;
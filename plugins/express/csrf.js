@@ -0,0 +1,88 @@
+const debug = require("debug")("express:csrf");
+const { createHmac, randomBytes } = require("node:crypto");
+const { safeEqual } = require("./auth.js");
+
+/**
+ * Create a CSRF protection middleware. Tokens are derived from a secret kept in the session
+ * (synchronizer token) or in a cookie signed with `app.keys` (double submit), every call of
+ * `ctx.csrfToken()` returns a new salted token. Requests with unsafe methods must send a token
+ * in the header, the `field` of the body or the query, or fail with `403 Forbidden`.
+ * `csrfToken` is also on `ctx.state` for `serveRender` templates.
+ * @example
+ *    app.use(session());
+ *    app.use(bodyParser());
+ *    app.use(csrf());
+ *    // <input type="hidden" name="_csrf" value="<%= csrfToken() %>">
+ *    // fetch("/api/shaders", { method: "POST", headers: { "X-CSRF-Token": token } })
+ * @param {object} [options]
+ * @param {string} [options.mode="session"] "session" or "cookie"
+ * @param {object} [options.cookie] Options of the secret cookie in cookie mode
+ * @param {string} [options.cookie.key="_csrf"] Cookie name
+ * @param {string} [options.header="X-CSRF-Token"] Header with the token
+ * @param {string} [options.field="_csrf"] Body and query field with the token
+ * @return {function} middleware
+ */
+function csrf({ mode = "session", cookie = {}, header = "X-CSRF-Token", field = "_csrf" } = {}) {
+    if (mode !== "session" && mode !== "cookie") throw new TypeError(`Invalid csrf mode "${mode}", please select "session" or "cookie"`);
+    const { key: cookieKey = "_csrf", ...cookieOptions } = cookie;
+    const store = mode === "session" ? {
+        get(ctx) {
+            if (!ctx.session) throw new Error("csrf requires the session() middleware in session mode");
+            return ctx.session.csrfSecret;
+        },
+        set(ctx, secret) {
+            ctx.session.csrfSecret = secret;
+        }
+    } : {
+        get: ctx => ctx.cookies.get(cookieKey, { signed: true }),
+        set(ctx, secret) {
+            ctx.cookies.set(cookieKey, secret, { httpOnly: true, sameSite: "strict", ...cookieOptions, signed: true });
+        }
+    };
+
+    return async function csrf(ctx, next) {
+        let secret = store.get(ctx);
+        ctx.csrfToken = ctx.state.csrfToken = () => {
+            if (!secret) store.set(ctx, secret = randomBytes(18).toString("base64url"));
+            return createToken(secret);
+        };
+        // PUT and DELETE are idempotent but not safe, they change state like POST
+        if (ctx.request.idempotent && ctx.method !== "PUT" && ctx.method !== "DELETE") return next();
+
+        const body = ctx.request.body;
+        const token = ctx.get(header) || (body && typeof body === "object" && body[field]) || ctx.query[field];
+        if (!token) ctx.throw(403, "Missing CSRF token", { type: "csrf.missing" });
+        if (typeof token !== "string" || !secret || !verifyToken(secret, token)) {
+            debug("invalid token for %s %s", ctx.method, ctx.path);
+            ctx.throw(403, "Invalid CSRF token", { type: "csrf.invalid" });
+        }
+        return next();
+    }
+}
+
+/**
+ * Create a token of a secret, salted so it differs on every response.
+ * @param {string} secret
+ * @param {string} [salt]
+ * @return {string}
+ */
+function createToken(secret, salt = randomBytes(8).toString("base64url")) {
+    return `${salt}.${createHmac("sha256", secret).update(salt).digest("base64url")}`;
+}
+
+/**
+ * Verify a token was created with a secret.
+ * @param {string} secret
+ * @param {string} token
+ * @return {boolean}
+ */
+function verifyToken(secret, token) {
+    const index = token.indexOf(".");
+    if (index <= 0) return false;
+    return safeEqual(createToken(secret, token.slice(0, index)), token);
+}
+
+module.exports = csrf;
+module.exports.csrf = csrf;
+module.exports.createToken = createToken;
+module.exports.verifyToken = verifyToken;
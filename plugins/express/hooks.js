@@ -0,0 +1,36 @@
+const debug = require("debug")("express:hooks");
+
+const SENT = Symbol("hooks#sent");
+
+/**
+ * Run hooks in order.
+ * @param {function[]} hooks
+ * @param {Context} ctx
+ * @return {Promise<void>}
+ */
+async function runHooks(hooks, ctx) {
+    for (const hook of hooks) await hook(ctx);
+}
+
+/**
+ * Run the `onSend` hooks of the application once per response, a returned value replaces the
+ * body. Encoding middleware like `compression()` run them before encoding the body, the
+ * application right before writing it.
+ * @param {Context} ctx
+ * @return {Promise<void>}
+ */
+async function runSendHooks(ctx) {
+    if (ctx[SENT]) return;
+    ctx[SENT] = true;
+    const hooks = ctx.app.hooks?.onSend || [];
+    if (!hooks.length || ctx.respond === false || !ctx.writable) return;
+    debug("send %s", ctx.path);
+    for (const hook of hooks) {
+        const body = await hook(ctx, ctx.body);
+        if (body !== undefined) ctx.body = body;
+    }
+}
+
+module.exports = runHooks;
+module.exports.runHooks = runHooks;
+module.exports.runSendHooks = runSendHooks;
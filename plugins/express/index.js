@@ -1,7 +1,10 @@
 const debug = require("debug")("express:application");
 const { inspect, format } = require("node:util");
 const { EventEmitter } = require("node:events");
-const { createServer } = require("node:http");
+const { randomUUID } = require("node:crypto");
+const http = require("node:http");
+const https = require("node:https");
+const http2 = require("node:http2");
 const { Stream } = require("node:stream");
 const { HttpError } = require("http-errors");
 const onFinished = require("on-finished");
@@ -10,6 +13,24 @@ const compose = require("./compose.js");
 const context = require("./context.js");
 const request = require("./request.js");
 const response = require("./response.js");
+const upgrade = require("./websocket.js");
+const timeout = require("./timeout.js");
+const Router = require("./router.js");
+const { Container, createScope, SCOPE } = require("./container.js");
+const { serialize, serializable } = require("./serializers.js");
+const { runHooks, runSendHooks } = require("./hooks.js");
+
+const SERVERS = Symbol("application#servers");
+const INFLIGHT = Symbol("application#inflight");
+const CLOSING = Symbol("application#closing");
+const DRAINED = Symbol("application#drained");
+const CONTAINER = Symbol("application#container");
+const WS_ROUTER = Symbol("application#wsRouter");
+const SESSIONS = Symbol("server#sessions");
+const SOCKETS = Symbol("server#sockets");
+const HOOKS = ["onRequest", "preHandler", "onSend", "onResponse"];
+// printable and short enough to be safe in logs
+const REQUEST_ID_REGEXP = /^[\w.:@\/+=-]{1,200}$/;
 
 class Application extends EventEmitter {
     /**
@@ -22,6 +43,13 @@ class Application extends EventEmitter {
      * @param {number} [options.subdomainOffset] Subdomain offset
      * @param {string} [options.proxyIpHeader] Proxy IP header, defaults to X-Forwarded-For
      * @param {number} [options.maxIpsCount] Max IPs read from proxy IP header, default to 0 (means infinity)
+     * @param {object} [options.errorRenderers] Error renderers keyed by type, e.g. `{ json: (err, ctx) => body }`
+     * @param {object} [options.serializers] Object body serializers keyed by type and negotiated by `Accept`, e.g. `{ yaml: (body, ctx) => yaml.dump(body) }`
+     * @param {number} [options.timeout] Time in ms every request must settle in, else it fails with 503
+     * @param {boolean|object} [options.requestId] Read or generate a request id as `ctx.id`, and set it on the response
+     * @param {string} [options.requestId.header="X-Request-Id"] Header read from the request and set on the response
+     * @param {function} [options.requestId.generate] Generate an id when the request has none, defaults to a UUID
+     * @param {boolean|object} [options.querystring] Parse nested query strings, `true` or the options of `querystring.parse()` and `querystring.stringify()`
      */
     constructor(options = {}) {
         super();
@@ -32,24 +60,161 @@ class Application extends EventEmitter {
         this.env = options.env || process.env.NODE_ENV || "development";
         this.compose = options.compose || compose;
         if (options.keys) this.keys = options.keys;
+        this.errorRenderers = Object.assign({}, options.errorRenderers);
+        this.serializers = Object.assign({}, options.serializers);
+        this.timeout = options.timeout || 0;
+        this.requestId = options.requestId ? { header: "X-Request-Id", generate: randomUUID, ...options.requestId } : null;
+        this.querystring = options.querystring === true ? {} : options.querystring || null;
         this.middleware = [];
+        this.hooks = Object.fromEntries(HOOKS.map(name => [name, []]));
         this.context = Object.create(context);
         this.request = Object.create(request);
         this.response = Object.create(response);
+        this[SERVERS] = new Set();
+        this[INFLIGHT] = new Set();
+        this[CLOSING] = null;
+        this[DRAINED] = null;
+        this[CONTAINER] = new Container();
     }
 
     /**
+     * Create a server and listen, an object with `tls` or `http2` as first argument selects
+     * a HTTPS or HTTP/2 server, the rest of its keys are passed to `server.listen()`.
      * @example
-     *    http.createServer(app.callback()).listen(...)
+     *    app.listen(3000);
+     *    app.listen({ tls: { key, cert }, port: 3000 });
+     *    app.listen({ tls: { key, cert }, http2: true, allowHTTP1: true }, 3000);
      * @param {*} args
      * @return {Server}
      */
     listen(...args) {
-        debug("listen");
-        const server = createServer(this.callback());
+        let options = {};
+        if (args[0] && typeof args[0] === "object" && ("tls" in args[0] || "http2" in args[0])) {
+            const { tls, http2, allowHTTP1, ...listenOptions } = args.shift();
+            options = { tls, http2, allowHTTP1 };
+            if (Object.keys(listenOptions).length) args.unshift(listenOptions);
+        }
+        debug("listen %s", options.http2 ? "http2" : options.tls ? "https" : "http");
+        const server = createServer(options, this.callback());
+        server.on("upgrade", this.upgradeCallback());
+        this[SERVERS].add(server);
+        server.once("close", () => this[SERVERS].delete(server));
         return server.listen(...args);
     }
 
+    /**
+     * Whether the application is closing.
+     * @return {boolean}
+     */
+    get closing() {
+        return !!this[CLOSING];
+    }
+
+    /**
+     * Gracefully close the servers created by `listen()`, they stop accepting connections,
+     * idle keep-alive sockets are closed and in-flight requests are waited for. Sockets still
+     * busy after `timeout` are destroyed, then the services are disposed. Emits "closing" and "closed".
+     * @example
+     *    process.once("SIGTERM", () => app.close({ timeout: 5000 }).then(() => process.exit()));
+     * @param {object} [options]
+     * @param {number} [options.timeout=10000] Max time to wait for in-flight requests in ms
+     * @return {Promise<void>}
+     */
+    close({ timeout = 10000 } = {}) {
+        if (this[CLOSING]) return this[CLOSING];
+        debug("close with %d requests in flight", this[INFLIGHT].size);
+        this.emit("closing");
+        const servers = [...this[SERVERS]];
+        for (const { req, res } of this[INFLIGHT])
+            if (req.httpVersionMajor < 2 && !res.headersSent) res.setHeader("Connection", "close");
+        const drained = new Promise(resolve => {
+            this[DRAINED] = resolve;
+            if (!this[INFLIGHT].size) resolve();
+        });
+        const closed = Promise.all(servers.map(server => new Promise(resolve => {
+            server.close(() => resolve());
+            closeIdleConnections(server);
+        })));
+        let timer;
+        const expired = new Promise(resolve => {
+            timer = setTimeout(() => {
+                debug("close timeout, destroy %d requests in flight", this[INFLIGHT].size);
+                servers.forEach(closeAllConnections);
+                for (const { req } of this[INFLIGHT]) req.socket?.destroy();
+                resolve();
+            }, timeout);
+        });
+        return this[CLOSING] = Promise.race([Promise.all([drained, closed]), expired]).then(async () => {
+            clearTimeout(timer);
+            const errors = await this[CONTAINER].dispose();
+            errors.forEach(err => this.emit("error", err));
+            this.emit("closed");
+        });
+    }
+
+    /**
+     * Register a service, constructed at its first injection. Singletons are shared by the
+     * application, request services are constructed once per request and disposed when the
+     * response finishes. Services are disposed by `dispose`, or their `Symbol.asyncDispose`
+     * or `Symbol.dispose` method, singletons on `close()`.
+     * @example
+     *    app.provide("db", () => createPool(config.db), { dispose: pool => pool.end() });
+     *    app.provide("tx", async ctx => (await ctx.inject("db")).begin(), { scope: "request", dispose: tx => tx.commit() });
+     *    router.get("/shaders/:id", async ctx => {
+     *        const db = await ctx.inject("db");
+     *        ctx.body = await db.query("SELECT * FROM shaders WHERE id = ?", [ctx.params.id]);
+     *    });
+     * @param {string} name
+     * @param {function} factory `fn(app)` for singletons and `fn(ctx)` for request services, may be async
+     * @param {object} [options]
+     * @param {string} [options.scope="singleton"] "singleton" or "request"
+     * @param {function} [options.dispose] `fn(instance)` releasing the service
+     * @return {Application} self
+     */
+    provide(name, factory, options) {
+        this[CONTAINER].provide(name, factory, options);
+        return this;
+    }
+
+    /**
+     * Get a service, request services need the context, see `ctx.inject()`.
+     * @param {string} name
+     * @param {Context} [ctx]
+     * @return {*} The service, or a promise of it for async factories
+     */
+    inject(name, ctx) {
+        return this[CONTAINER].resolve(name, ctx || this, ctx && ctx[SCOPE]);
+    }
+
+    /**
+     * Replace the factory of a service in tests, keeping its scope. A constructed singleton is
+     * disposed.
+     * @example
+     *    app.override("db", () => fakeDatabase);
+     *    await request(app.callback()).get("/shaders/1").expect(200);
+     *    app.restore("db");
+     * @param {string} name
+     * @param {function} factory
+     * @param {object} [options]
+     * @param {function} [options.dispose]
+     * @return {Application} self
+     */
+    override(name, factory, options) {
+        this[CONTAINER].override(name, factory, options).then(errors => errors.forEach(err => this.emit("error", err)));
+        return this;
+    }
+
+    /**
+     * Restore the factory of an overridden service, or of every service, disposing the
+     * singletons of the overrides.
+     * @param {string} [name]
+     * @return {Application} self
+     */
+    restore(name) {
+        this[CONTAINER].restore(name).then(errors => errors.forEach(err => this.emit("error", err)));
+        return this;
+    }
+
     /**
      * Use the given middleware `fn`.
      * @param {function} func
@@ -58,16 +223,87 @@ class Application extends EventEmitter {
     use(func) {
         if (typeof func !== "function") throw new TypeError("middleware must be a function!");
         debug("use %s", func._name || func.name || "-");
+        // routers generate urls with the options of the application
+        if (func.router instanceof Router && !func.router.app) func.router.app = this;
         this.middleware.push(func);
         return this;
     }
 
+    /**
+     * Add a lifecycle hook, hooks of a name run in order and may be async. Errors are handled by
+     * `ctx.onerror()` like the errors of the middleware.
+     * - `onRequest(ctx)` runs before the middleware, which are skipped when it sets the response status or body.
+     * - `preHandler(ctx)` runs once before the middleware and handlers of the layers matched by a
+     *   router, e.g. `router.use(validate())`, with the `ctx.params` of the route.
+     * - `onSend(ctx, body)` runs before the body is written, or compressed by `compression()`,
+     *   returning a value replaces the body. Error responses skip it.
+     * - `onResponse(ctx)` runs after the response finished or the connection closed, before the
+     *   request services are disposed.
+     * @example
+     *    app.addHook("onRequest", ctx => ctx.state.start = process.hrtime.bigint());
+     *    app.addHook("preHandler", ctx => audit.log(ctx.routerName, ctx.params));
+     *    app.addHook("onSend", (ctx, body) => ctx.response.is("json") ? { data: body } : body);
+     *    app.addHook("onResponse", ctx => metrics.observe(ctx._matchedRoute, process.hrtime.bigint() - ctx.state.start));
+     * @param {string} name "onRequest", "preHandler", "onSend" or "onResponse"
+     * @param {function} hook
+     * @return {Application} self
+     */
+    addHook(name, hook) {
+        if (!HOOKS.includes(name)) throw new TypeError(`Invalid hook "${name}", please select from ${HOOKS.join(", ")}`);
+        if (typeof hook !== "function") throw new TypeError("hook must be a function!");
+        debug("hook %s %s", name, hook.name || "-");
+        this.hooks[name].push(hook);
+        return this;
+    }
+
+    /**
+     * Register a WebSocket route, the middleware run after the handshake with `ctx.websocket`
+     * except the ones before the last, which can reject the upgrade like any request. Routes
+     * share a router added to the middleware at the first call.
+     * @example
+     *    app.use(session());
+     *    app.ws("/collab/:id", requireAuth(), ctx => {
+     *        ctx.websocket.on("message", data => room(ctx.params.id).broadcast(data));
+     *    });
+     * @param {string} path
+     * @param {...function} middleware
+     * @return {Application} self
+     */
+    ws(path, ...middleware) {
+        if (!this[WS_ROUTER]) this.use((this[WS_ROUTER] = new Router()).routes());
+        this[WS_ROUTER].ws(path, ...middleware);
+        return this;
+    }
+
+    /**
+     * Return an upgrade handler callback for node's native http server, WebSocket upgrade
+     * requests run through the middleware with `ctx.upgrade()` to perform the handshake.
+     * @example
+     *    http.createServer(app.callback()).on("upgrade", app.upgradeCallback())
+     * @return {function}
+     */
+    upgradeCallback() {
+        const fn = this.compose(withTimeout(this));
+        if (!this.listenerCount("error")) this.on("error", this.onerror);
+        return (req, socket, head) => {
+            if ((req.headers.upgrade || '').toLowerCase() !== "websocket") return socket.destroy();
+            const res = new http.ServerResponse(req);
+            res.shouldKeepAlive = false;
+            res.assignSocket(socket);
+            const ctx = this.createContext(req, res);
+            ctx.upgrade = options => upgrade(ctx, socket, head, options);
+            // close the socket when the upgrade was rejected with a regular response
+            onFinished(res, () => ctx.websocket || socket.end());
+            return this.handleRequest(ctx, fn);
+        }
+    }
+
     /**
      * Return a request handler callback for node's native http server.
      * @return {function}
      */
     callback() {
-        const fn = this.compose(this.middleware);
+        const fn = this.compose(withTimeout(this));
         if (!this.listenerCount("error")) this.on("error", this.onerror);
         return (req, res) => {
             const ctx = this.createContext(req, res);
@@ -81,6 +317,10 @@ class Application extends EventEmitter {
     handleRequest(ctx, fnMiddleware) {
         const res = ctx.res;
         res.statusCode = 404;
+        if (ctx.id) res.setHeader(this.requestId.header, ctx.id);
+        this[INFLIGHT].add(ctx);
+        // ask the client not to reuse the connection while closing
+        if (this[CLOSING] && ctx.req.httpVersionMajor < 2) res.setHeader("Connection", "close");
         const onerror = err => ctx.onerror(err);
         const handleResponse = () => {
             if (ctx.respond === false) return;
@@ -98,7 +338,9 @@ class Application extends EventEmitter {
             }
 
             if (ctx.method === "HEAD") {
-                if (!res.headersSent && !ctx.response.has("Content-Length")) {
+                // the headers of the negotiated representation, as for GET
+                if (!res.headersSent && serializable(body)) serialize(ctx, body);
+                else if (!res.headersSent && !ctx.response.has("Content-Length")) {
                     const { length } = ctx.response;
                     if (Number.isInteger(length)) ctx.length = length;
                 }
@@ -126,13 +368,28 @@ class Application extends EventEmitter {
             if (typeof body === "string") return res.end(body);
             if (body instanceof Stream) return body.pipe(res);
 
-            // body: json
-            body = JSON.stringify(body);
-            if (!res.headersSent) ctx.length = Buffer.byteLength(body);
-            res.end(body);
+            // body: serialized
+            res.end(serialize(ctx, body));
+        }
+        const { onRequest, onResponse } = this.hooks;
+        const respond = async () => {
+            await runHooks(onRequest, ctx);
+            // a hook answered the request
+            if (!ctx.response._explicitStatus) await fnMiddleware(ctx);
+            await runSendHooks(ctx);
         }
         onFinished(res, onerror);
-        return fnMiddleware(ctx).then(handleResponse).catch(onerror);
+        onFinished(res, async () => {
+            await runHooks(onResponse, ctx).catch(onerror);
+            const errors = await this[CONTAINER].disposeScope(ctx[SCOPE]);
+            errors.forEach(err => this.emit("error", err, ctx));
+            this[INFLIGHT].delete(ctx);
+            if (!this[CLOSING]) return;
+            // close sockets which became idle while closing
+            this[SERVERS].forEach(closeIdleConnections);
+            if (!this[INFLIGHT].size) this[DRAINED]();
+        });
+        return respond().then(handleResponse).catch(onerror);
     }
 
     /**
@@ -149,7 +406,9 @@ class Application extends EventEmitter {
         request.response = response;
         response.request = request;
         context.originalUrl = request.originalUrl = req.url;
+        if (this.requestId) context.id = req.id = getRequestId(req, this.requestId);
         context.state = {};
+        context[SCOPE] = createScope();
         return context;
     }
 
@@ -187,16 +446,111 @@ class Application extends EventEmitter {
     }
 }
 
+/**
+ * Read the request id from the request header, generating one when missing or malformed.
+ * @param {IncomingMessage} req
+ * @param {{header: string, generate: function}} options
+ * @return {string}
+ */
+function getRequestId(req, { header, generate }) {
+    const id = req.headers[header.toLowerCase()];
+    if (typeof id === "string" && REQUEST_ID_REGEXP.test(id)) return id;
+    return String(generate(req));
+}
+
+/**
+ * Get the middleware of an application, preceded by the application timeout.
+ * @param {Application} app
+ * @return {function[]}
+ */
+function withTimeout(app) {
+    return app.timeout ? [timeout(app.timeout), ...app.middleware] : app.middleware;
+}
+
+/**
+ * Create a HTTP, HTTPS or HTTP/2 server, HTTP/2 sessions and sockets are tracked to close them
+ * since HTTP/2 servers lack `closeIdleConnections()` and `closeAllConnections()`.
+ * @param {object} options
+ * @param {object} [options.tls] TLS options like `key` and `cert`, enables HTTPS
+ * @param {boolean} [options.http2] Use HTTP/2, cleartext when `tls` is missing
+ * @param {boolean} [options.allowHTTP1=true] Accept HTTP/1 clients on secure HTTP/2 server
+ * @param {function} listener
+ * @return {Server}
+ */
+function createServer({ tls, http2: useHttp2, allowHTTP1 = true }, listener) {
+    if (!useHttp2) return tls ? https.createServer(tls, listener) : http.createServer(listener);
+    const server = tls ? http2.createSecureServer({ ...tls, allowHTTP1 }, listener) : http2.createServer(listener);
+    const sessions = server[SESSIONS] = new Set(), sockets = server[SOCKETS] = new Set();
+    server.on("session", session => {
+        sessions.add(session);
+        session.once("close", () => sessions.delete(session));
+    });
+    server.on(tls ? "secureConnection" : "connection", socket => {
+        sockets.add(socket);
+        socket.once("close", () => sockets.delete(socket));
+    });
+    return server;
+}
+
+/**
+ * Close idle connections of a server, HTTP/2 sessions close once their streams are done.
+ * @param {Server} server
+ */
+function closeIdleConnections(server) {
+    if (server[SESSIONS]) server[SESSIONS].forEach(session => session.closed || session.close());
+    else server.closeIdleConnections();
+}
+
+/**
+ * Close all connections of a server.
+ * @param {Server} server
+ */
+function closeAllConnections(server) {
+    if (!server[SESSIONS]) return server.closeAllConnections();
+    server[SESSIONS].forEach(session => session.destroy());
+    server[SOCKETS].forEach(socket => socket.destroy());
+}
+
 module.exports = Application;
 module.exports.express = Application;
 module.exports.HttpError = HttpError;
 // Binding
-const router = require("./router.js");
 const compress = require("./compress.js");
 const logger = require("./logger.js");
+const bodyParser = require("./body.js");
+const multipart = require("./multipart.js");
+const session = require("./session.js");
+const { EventStream } = require("./sse.js");
+const { WebSocket } = require("./websocket.js");
+const validate = require("./validate.js");
+const security = require("./security.js");
+const cors = require("./cors.js");
+const rateLimit = require("./ratelimit.js");
+const cache = require("./cache.js");
+const auth = require("./auth.js");
+const csrf = require("./csrf.js");
+const querystring = require("./querystring.js");
+const { conditional, etag } = require("./conditional.js");
 const { serveStatic, serveRender } = require("./serve.js");
 module.exports.logger = logger;
-module.exports.router = opts => new router(opts);
+module.exports.router = opts => new Router(opts);
 module.exports.compression = compress;
+module.exports.bodyParser = bodyParser;
+module.exports.multipart = multipart;
+module.exports.session = session;
+module.exports.EventStream = EventStream;
+module.exports.WebSocket = WebSocket;
+module.exports.timeout = timeout;
+module.exports.validate = validate;
+module.exports.security = security;
+module.exports.cors = cors;
+module.exports.rateLimit = rateLimit;
+module.exports.cache = cache;
+module.exports.auth = auth;
+module.exports.csrf = csrf;
+module.exports.querystring = querystring;
+module.exports.serialize = serialize;
+module.exports.conditional = conditional;
+module.exports.etag = etag;
 module.exports.static = serveStatic;
 module.exports.views = serveRender;
@@ -118,13 +118,18 @@ prefabFactory.format("dev", function developmentFormatLine (tokens, req, res) {
     // get colored function
     let fn = developmentFormatLine[color];
     if (!fn) fn = developmentFormatLine[color] = compile(`\x1b[0m:method :url \x1b[${color}m:status\x1b[0m :response-time ms - :res[content-length]\x1b[0m`);
-    return fn(tokens, req, res);
+    // append the request id for correlation when the application assigns one
+    return req.id ? `${fn(tokens, req, res)} - ${req.id}` : fn(tokens, req, res);
 })
 
 prefabFactory.token("url", function getUrlToken(req) {
     return req.originalUrl || req.url;
 });
 
+prefabFactory.token("request-id", function getRequestIdToken(req) {
+    return req.id;
+});
+
 prefabFactory.token("method", function getMethodToken(req) {
     return req.method;
 });
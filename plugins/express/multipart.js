@@ -0,0 +1,405 @@
+const debug = require("debug")("express:multipart");
+const { Writable, Transform, PassThrough } = require("node:stream");
+const { pipeline } = require("node:stream/promises");
+const { createWriteStream } = require("node:fs");
+const { unlink, mkdir } = require("node:fs/promises");
+const { randomBytes } = require("node:crypto");
+const { join } = require("node:path");
+const { tmpdir } = require("node:os");
+const { toNumber } = require("../../utils/size.js");
+const { is: typeis } = require("type-is");
+const contentDisposition = require("content-disposition");
+const contentType = require("content-type");
+const createError = require("http-errors");
+const onFinished = require("on-finished");
+const { UNSAFE_KEYS } = require("./querystring.js");
+
+const CRLF = Buffer.from("\r\n");
+const DOUBLE_DASH = Buffer.from("--");
+const HEADER_END = Buffer.from("\r\n\r\n");
+const MAX_HEADER_SIZE = 16 << 10;
+
+var parserState = (state => {
+    state[state["start"] = 0] = "start";
+    state[state["boundary"] = 1] = "boundary";
+    state[state["header"] = 2] = "header";
+    state[state["body"] = 3] = "body";
+    state[state["end"] = 4] = "end";
+    return state;
+})(parserState || (parserState = {}));
+
+class MultipartParser extends Writable {
+    state = parserState.start;
+    part = null;
+
+    /**
+     * Initialize a streaming multipart parser.
+     * @param {string} boundary
+     * @param {function} onPart Callback fn(part) with a readable `part.stream`, throw to reject the part
+     */
+    constructor(boundary, onPart) {
+        super();
+        this.delimiter = Buffer.from(`\r\n--${boundary}`);
+        // the first boundary is not preceded by CRLF
+        this.buffer = CRLF;
+        this.onPart = onPart;
+    }
+
+    _write(chunk, encoding, callback) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        try {
+            this.execute(callback);
+        } catch (err) {
+            callback(err);
+        }
+    }
+
+    _final(callback) {
+        if (this.state !== parserState.end)
+            return callback(createError(400, "Unexpected end of multipart data"));
+        callback();
+    }
+
+    _destroy(err, callback) {
+        if (this.part) this.part.stream.destroy(err || undefined);
+        callback(err);
+    }
+
+    /**
+     * Consume the buffer as far as possible.
+     * @param {function} callback called when the buffer is drained
+     */
+    execute(callback) {
+        const { delimiter } = this;
+        while (true) {
+            switch (this.state) {
+                case parserState.start: {
+                    const index = this.buffer.indexOf(delimiter);
+                    if (index === -1) {
+                        // preamble is discarded
+                        this.buffer = this.buffer.subarray(Math.max(0, this.buffer.length - delimiter.length));
+                        return callback();
+                    }
+                    this.buffer = this.buffer.subarray(index + delimiter.length);
+                    this.state = parserState.boundary;
+                    break;
+                }
+                case parserState.boundary: {
+                    if (this.buffer.length < 2) return callback();
+                    const suffix = this.buffer.subarray(0, 2);
+                    this.buffer = this.buffer.subarray(2);
+                    if (suffix.equals(DOUBLE_DASH)) {
+                        this.state = parserState.end;
+                    } else if (suffix.equals(CRLF)) {
+                        this.state = parserState.header;
+                    } else throw createError(400, "Malformed multipart boundary");
+                    break;
+                }
+                case parserState.header: {
+                    const index = this.buffer.indexOf(HEADER_END);
+                    if (index === -1) {
+                        if (this.buffer.length > MAX_HEADER_SIZE) throw createError(431, "Multipart header too large");
+                        return callback();
+                    }
+                    const headers = parseHeaders(this.buffer.subarray(0, index).toString("latin1"));
+                    this.buffer = this.buffer.subarray(index + HEADER_END.length);
+                    const part = createPart(headers);
+                    // a rejected part is never assigned, so it is not destroyed with the parser
+                    this.onPart(part);
+                    this.part = part;
+                    this.state = parserState.body;
+                    break;
+                }
+                case parserState.body: {
+                    const index = this.buffer.indexOf(delimiter);
+                    if (index === -1) {
+                        // keep a possible partial delimiter in the buffer
+                        const safe = this.buffer.length - delimiter.length;
+                        if (safe <= 0) return callback();
+                        const data = this.buffer.subarray(0, safe);
+                        this.buffer = this.buffer.subarray(safe);
+                        if (this.part.stream.write(data)) return callback();
+                        return this.part.stream.once("drain", callback);
+                    }
+                    const { stream } = this.part;
+                    if (index > 0) stream.write(this.buffer.subarray(0, index));
+                    stream.end();
+                    this.part = null;
+                    this.buffer = this.buffer.subarray(index + delimiter.length);
+                    this.state = parserState.boundary;
+                    break;
+                }
+                case parserState.end:
+                    // epilogue is discarded
+                    this.buffer = Buffer.alloc(0);
+                    return callback();
+            }
+        }
+    }
+}
+
+/**
+ * Parse raw part headers into a lower-cased map.
+ * @param {string} raw
+ * @return {object}
+ */
+function parseHeaders(raw) {
+    const headers = {};
+    for (const line of raw.split("\r\n")) {
+        const index = line.indexOf(":");
+        if (index <= 0) continue;
+        headers[line.substring(0, index).trim().toLowerCase()] = line.substring(index + 1).trim();
+    }
+    return headers;
+}
+
+/**
+ * Create a part descriptor from part headers.
+ * @param {object} headers
+ * @return {{name:string,filename:string|undefined,mimeType:string,encoding:string,headers:object,stream:PassThrough}}
+ */
+function createPart(headers) {
+    let disposition;
+    try {
+        disposition = contentDisposition.parse(headers["content-disposition"] || '');
+    } catch {
+        throw createError(400, "Invalid multipart Content-Disposition");
+    }
+    const { name, filename } = disposition.parameters;
+    if (disposition.type !== "form-data" || name === undefined)
+        throw createError(400, "Invalid multipart Content-Disposition");
+    let mimeType = filename === undefined ? "text/plain" : "application/octet-stream";
+    if (headers["content-type"]) mimeType = headers["content-type"].split(";", 1)[0].trim().toLowerCase();
+    return {
+        name,
+        filename,
+        mimeType,
+        encoding: headers["content-transfer-encoding"] || "7bit",
+        headers,
+        stream: new PassThrough()
+    };
+}
+
+class DiskStorage {
+    /**
+     * Store files in a directory, defaults to the os temp directory.
+     * @param {object} [options]
+     * @param {string} [options.destination]
+     * @param {function} [options.filename] fn(file) returns the stored file name
+     */
+    constructor({ destination = tmpdir(), filename } = {}) {
+        this.destination = destination;
+        this.filename = filename || (() => randomBytes(16).toString("hex"));
+    }
+
+    /**
+     * Write the file stream to disk.
+     * @param {object} file
+     * @param {Readable} stream
+     * @return {Promise<object>}
+     */
+    async handleFile(file, stream) {
+        const destination = this.destination;
+        const filename = await this.filename(file);
+        const path = join(destination, filename);
+        await mkdir(destination, { recursive: true });
+        try {
+            await pipeline(stream, createWriteStream(path));
+        } catch (err) {
+            await unlink(path).catch(() => {});
+            throw err;
+        }
+        return { destination, filename, path };
+    }
+
+    /**
+     * Remove a stored file, missing files are ignored.
+     * @param {object} file
+     * @return {Promise<void>}
+     */
+    async removeFile(file) {
+        if (!file.path) return;
+        await unlink(file.path).catch(err => { if (err.code !== "ENOENT") throw err; });
+    }
+}
+
+class MemoryStorage {
+    /**
+     * Collect the file stream into a buffer.
+     * @param {object} file
+     * @param {Readable} stream
+     * @return {Promise<object>}
+     */
+    async handleFile(file, stream) {
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+        return { buffer: Buffer.concat(chunks) };
+    }
+
+    /**
+     * Release the buffer.
+     * @param {object} file
+     */
+    async removeFile(file) {
+        delete file.buffer;
+    }
+}
+
+/**
+ * Create a multipart/form-data middleware, fields are stored at `ctx.request.fields`
+ * (and `ctx.request.body` when not parsed yet) and files at `ctx.request.files`.
+ * @example
+ *    router.post("/textures", multipart({ accept: "image/*", limits: { fileSize: "4mb" } }), upload);
+ * @param {object} [options]
+ * @param {string|object} [options.storage="disk"] "disk", "memory" or a storage with handleFile/removeFile
+ * @param {string} [options.dest] Directory of disk storage
+ * @param {string|string[]} [options.accept] Accepted file mime types, checked with type-is
+ * @param {object} [options.limits]
+ * @param {string|number} [options.limits.fileSize] Max size of each file
+ * @param {string|number} [options.limits.totalSize] Max size of the whole body
+ * @param {string|number} [options.limits.fieldSize="1mb"] Max size of each field value
+ * @param {number} [options.limits.files] Max number of files
+ * @param {number} [options.limits.fields] Max number of fields
+ * @param {boolean} [options.cleanup=true] Remove stored files when the response finished
+ * @return {function} middleware
+ */
+function multipart(options = {}) {
+    const { accept, cleanup = true, limits = {} } = options;
+    let storage = options.storage || "disk";
+    if (storage === "disk") storage = new DiskStorage({ destination: options.dest });
+    else if (storage === "memory") storage = new MemoryStorage();
+    if (typeof storage.handleFile !== "function")
+        throw new TypeError('storage must be "disk", "memory" or implement handleFile(file, stream)');
+    const accepts = accept ? [].concat(accept) : null;
+    const fileSize = toNumber(limits.fileSize ?? Infinity);
+    const totalSize = toNumber(limits.totalSize ?? Infinity);
+    const fieldSize = toNumber(limits.fieldSize ?? "1mb");
+    const maxFiles = limits.files ?? Infinity;
+    const maxFields = limits.fields ?? Infinity;
+
+    return async function multipart(ctx, next) {
+        if (ctx.request.files !== undefined || !ctx.is("multipart/form-data")) return next();
+        let boundary;
+        try {
+            boundary = contentType.parse(ctx.req).parameters.boundary;
+        } catch {}
+        if (!boundary) ctx.throw(400, "Missing multipart boundary");
+
+        const files = [];
+        if (cleanup) onFinished(ctx.res, () => {
+            for (const file of files) {
+                Promise.resolve(storage.removeFile && storage.removeFile(file)).
+                    catch(err => debug("cleanup %s failed: %s", file.filename, err.message));
+            }
+        });
+
+        const { fields, files: fileMap } = await parseForm(ctx, boundary, files);
+        ctx.request.fields = fields;
+        ctx.request.files = fileMap;
+        if (ctx.request.body === undefined) ctx.request.body = fields;
+        return next();
+    }
+
+    /**
+     * Pipe the request into the parser and collect fields and files.
+     * @param {Context} ctx
+     * @param {string} boundary
+     * @param {object[]} stored Every stored file, for cleanup
+     * @return {Promise<{fields:object,files:object}>}
+     */
+    function parseForm(ctx, boundary, stored) {
+        const { req } = ctx;
+        // without prototype so part names can't reach it
+        const fields = Object.create(null), files = Object.create(null), pending = [];
+        let fieldCount = 0, fileCount = 0, received = 0, failed = false;
+
+        return new Promise((resolve, reject) => {
+            const fail = err => {
+                if (failed) return;
+                failed = true;
+                ctx.signal.removeEventListener("abort", onAbort);
+                req.unpipe(parser);
+                req.resume();
+                parser.destroy(err);
+                Promise.allSettled(pending).then(() => reject(err));
+            }
+
+            const parser = new MultipartParser(boundary, part => {
+                if (part.filename === undefined) return readField(part);
+                if (++fileCount > maxFiles) throw createError(413, "Too many files", { type: "files.limit" });
+                if (accepts && !typeis(part.mimeType, accepts))
+                    throw createError(415, `Unsupported file type "${part.mimeType}"`, { type: "file.type.unsupported" });
+                const file = {
+                    fieldName: part.name,
+                    originalName: part.filename,
+                    encoding: part.encoding,
+                    mimeType: part.mimeType,
+                    size: 0
+                };
+                append(files, file.fieldName, file);
+                const limiter = new Transform({
+                    transform(chunk, encoding, callback) {
+                        file.size += chunk.length;
+                        if (file.size > fileSize) return callback(createError(413, `File "${file.originalName}" too large`, { type: "file.limit" }));
+                        callback(null, chunk);
+                    }
+                });
+                part.stream.on("error", err => limiter.destroy(err));
+                pending.push(storage.handleFile(file, part.stream.pipe(limiter)).then(info => {
+                    Object.assign(file, info);
+                    stored.push(file);
+                }, err => fail(err.status ? err : createError(500, err))));
+            });
+
+            const readField = part => {
+                if (++fieldCount > maxFields) throw createError(413, "Too many fields", { type: "fields.limit" });
+                const chunks = [];
+                let size = 0;
+                part.stream.once("error", fail);
+                part.stream.on("data", chunk => {
+                    size += chunk.length;
+                    if (size > fieldSize) return fail(createError(413, `Field "${part.name}" too large`, { type: "field.limit" }));
+                    chunks.push(chunk);
+                });
+                part.stream.on("end", () => append(fields, part.name, Buffer.concat(chunks).toString("utf-8")));
+            }
+
+            req.on("data", chunk => {
+                received += chunk.length;
+                if (received > totalSize) fail(createError(413, "request entity too large", { type: "entity.too.large" }));
+            });
+            req.once("aborted", () => fail(createError(400, "request aborted", { type: "request.aborted" })));
+            parser.on("error", err => fail(err.status ? err : createError(400, err)));
+            parser.once("finish", () => Promise.all(pending).then(() => {
+                ctx.signal.removeEventListener("abort", onAbort);
+                if (!failed) resolve({ fields, files });
+            }, () => {}));
+            const onAbort = () => fail(ctx.signal.reason);
+            if (ctx.signal.aborted) return onAbort();
+            ctx.signal.addEventListener("abort", onAbort, { once: true });
+            req.pipe(parser);
+        });
+    }
+}
+
+/**
+ * Append a value, repeated names become an array like `querystring.parse()`. Names touching
+ * the prototype are dropped.
+ * @param {object} target
+ * @param {string} name
+ * @param {*} value
+ */
+function append(target, name, value) {
+    if (UNSAFE_KEYS.has(name)) return debug("drop unsafe part name %s", name);
+    if (!Object.prototype.hasOwnProperty.call(target, name)) target[name] = value;
+    else if (Array.isArray(target[name])) target[name].push(value);
+    else target[name] = [target[name], value];
+}
+
+module.exports = multipart;
+module.exports.multipart = multipart;
+module.exports.MultipartParser = MultipartParser;
+module.exports.DiskStorage = DiskStorage;
+module.exports.MemoryStorage = MemoryStorage;
+module.exports.diskStorage = options => new DiskStorage(options);
+module.exports.memoryStorage = () => new MemoryStorage();
@@ -0,0 +1,166 @@
+const debug = require("debug")("express:querystring");
+
+const UNSAFE_KEYS = new Set(["__proto__", "constructor", "prototype"]);
+const ARRAY_FORMATS = ["brackets", "indices", "repeat"];
+
+/**
+ * Parse a query string into nested objects and arrays, with bracket and dot notation.
+ * Prototype keys are dropped, keys nested deeper than `depth` are kept as a literal
+ * remainder and parameters past `parameterLimit` are ignored.
+ * @example
+ *    parse("filter[tag]=noise&sort[]=likes&sort[]=date&page.size=20");
+ *    // => { filter: { tag: "noise" }, sort: ["likes", "date"], page: { size: "20" } }
+ * @param {string} str
+ * @param {object} [options]
+ * @param {number} [options.depth=5] Max nesting depth of a key
+ * @param {number} [options.parameterLimit=1000] Max number of parameters parsed
+ * @param {number} [options.arrayLimit=20] Max index parsed as array index, larger ones make an object
+ * @param {boolean} [options.allowDots=true] Parse dot notation, e.g. `page.size`
+ * @return {object}
+ */
+function parse(str, { depth = 5, parameterLimit = 1000, arrayLimit = 20, allowDots = true } = {}) {
+    const result = Object.create(null);
+    if (typeof str !== "string" || !str) return result;
+    const parts = str.replace(/^\?/, '').split("&");
+    if (parts.length > parameterLimit) debug("parameter limit %d exceeded, %d ignored", parameterLimit, parts.length - parameterLimit);
+    for (const part of parts.slice(0, parameterLimit)) {
+        if (!part) continue;
+        const index = part.indexOf("=");
+        const key = decode(index === -1 ? part : part.slice(0, index));
+        const value = index === -1 ? '' : decode(part.slice(index + 1));
+        const segments = parseKey(key, { depth, allowDots });
+        if (segments) assign(result, segments, value, arrayLimit);
+    }
+    return compact(result);
+}
+
+/**
+ * Serialize an object into a query string, nested objects use bracket notation.
+ * Undefined values and empty arrays are skipped, dates are written as ISO strings.
+ * @example
+ *    stringify({ filter: { tag: "noise" }, sort: ["likes", "date"] });
+ *    // => "filter[tag]=noise&sort[]=likes&sort[]=date"
+ * @param {object} obj
+ * @param {object} [options]
+ * @param {string} [options.arrayFormat="brackets"] One of "brackets" (`a[]=1`), "indices" (`a[0]=1`) or "repeat" (`a=1`)
+ * @param {boolean} [options.allowDots=false] Serialize nested keys with dot notation
+ * @return {string}
+ */
+function stringify(obj, { arrayFormat = "brackets", allowDots = false } = {}) {
+    if (!ARRAY_FORMATS.includes(arrayFormat)) throw new TypeError(`Invalid array format "${arrayFormat}"`);
+    if (obj == null || typeof obj !== "object") return '';
+    const pairs = [];
+    const walk = (prefix, value) => {
+        if (value === undefined || typeof value === "function") return;
+        if (value instanceof Date) value = value.toISOString();
+        if (Array.isArray(value)) {
+            value.forEach((item, i) => walk(
+                arrayFormat === "repeat" ? prefix : `${prefix}[${arrayFormat === "indices" ? i : ''}]`,
+                item
+            ));
+        } else if (value !== null && typeof value === "object") {
+            for (const key of Object.keys(value))
+                walk(allowDots ? `${prefix}.${encode(key)}` : `${prefix}[${encode(key)}]`, value[key]);
+        } else {
+            pairs.push(`${prefix}=${value === null ? '' : encode(value)}`);
+        }
+    };
+    for (const key of Object.keys(obj)) walk(encode(key), obj[key]);
+    return pairs.join("&");
+}
+
+/**
+ * Split a key into its path segments, `null` when it touches the prototype.
+ * @example
+ *    parseKey("a[b][]"); // => ["a", "b", ""]
+ * @param {string} key
+ * @param {object} options
+ * @return {string[]|null}
+ */
+function parseKey(key, { depth, allowDots }) {
+    // dots inside brackets are part of the segment
+    if (allowDots) key = key.replace(/\[[^\]]*]|\.([^.[]+)/g, (match, dotted) => dotted === undefined ? match : `[${dotted}]`);
+    const bracket = key.indexOf("[");
+    const root = bracket > 0 ? key.slice(0, bracket) : key;
+    const segments = [root];
+    if (bracket > 0) {
+        const regexp = /\[([^[\]]*)]/y;
+        let offset = regexp.lastIndex = bracket, match;
+        while (segments.length <= depth && (match = regexp.exec(key))) {
+            segments.push(match[1]);
+            offset = regexp.lastIndex;
+        }
+        // keep the remainder as a literal key instead of nesting deeper
+        if (offset < key.length) segments.push(key.slice(offset));
+    }
+    if (segments.some(segment => UNSAFE_KEYS.has(segment))) {
+        debug("unsafe key %s ignored", key);
+        return null;
+    }
+    return segments;
+}
+
+/**
+ * Assign a value at the path of segments, creating objects and arrays on the way.
+ * @param {object} target
+ * @param {string[]} segments
+ * @param {string} value
+ * @param {number} arrayLimit
+ */
+function assign(target, segments, value, arrayLimit) {
+    let parent = target, key = segments[0];
+    for (let i = 1; i < segments.length; i++) {
+        const segment = segments[i];
+        const isIndex = segment === '' || (/^\d+$/.test(segment) && Number(segment) <= arrayLimit);
+        let child = parent[key];
+        if (child === undefined || typeof child !== "object") {
+            child = isIndex ? [] : Object.create(null);
+        } else if (Array.isArray(child) && !isIndex) {
+            child = Object.assign(Object.create(null), child);
+        }
+        parent[key] = child;
+        parent = child;
+        key = segment === '' && Array.isArray(child) ? child.length : segment;
+    }
+    if (!(key in parent) || Array.isArray(parent)) parent[key] = value;
+    else if (Array.isArray(parent[key])) parent[key].push(value);
+    else if (typeof parent[key] === "string") parent[key] = [parent[key], value];
+}
+
+/**
+ * Remove holes left in arrays by sparse indices.
+ * @param {*} value
+ * @return {*}
+ */
+function compact(value) {
+    if (Array.isArray(value)) return value.filter(() => true).map(compact);
+    if (value && typeof value === "object") for (const key of Object.keys(value)) value[key] = compact(value[key]);
+    return value;
+}
+
+/**
+ * Decode a query string component, returning it as is when malformed.
+ * @param {string} str
+ * @return {string}
+ */
+function decode(str) {
+    str = str.replace(/\+/g, " ");
+    try {
+        return decodeURIComponent(str);
+    } catch {
+        return str;
+    }
+}
+
+/**
+ * Encode a query string component.
+ * @param {*} value
+ * @return {string}
+ */
+function encode(value) {
+    return encodeURIComponent(String(value));
+}
+
+module.exports.parse = parse;
+module.exports.stringify = stringify;
+module.exports.UNSAFE_KEYS = UNSAFE_KEYS;
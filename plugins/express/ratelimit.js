@@ -0,0 +1,231 @@
+const debug = require("debug")("express:ratelimit");
+const joinChannel = require("./bus.js");
+
+const PRUNE_INTERVAL = 60 * 1000;
+
+/**
+ * Rate limit algorithms, each takes the state of a key and returns the next one with the result.
+ * @type {Object<string, function({limit: number, windowMs: number}): function(object, number): object>}
+ */
+const algorithms = {
+    /**
+     * Count hits in consecutive windows, cheap but allows bursts of twice the limit around a window edge.
+     */
+    "fixed-window": ({ limit, windowMs }) => (state, now) => {
+        const start = now - now % windowMs;
+        const count = state && state.start === start ? state.count : 0;
+        const allowed = count < limit;
+        const next = { start, count: allowed ? count + 1 : count, expires: start + windowMs };
+        return { state: next, allowed, remaining: limit - next.count, reset: next.expires - now, retry: next.expires - now };
+    },
+    /**
+     * Weight the count of the previous window by its overlap with the sliding window.
+     */
+    "sliding-window": ({ limit, windowMs }) => (state, now) => {
+        const start = now - now % windowMs;
+        let count = 0, previous = 0;
+        if (state && state.start === start) ({ count, previous } = state);
+        else if (state && state.start === start - windowMs) previous = state.count;
+        const weight = 1 - (now - start) / windowMs;
+        const used = count + Math.floor(previous * weight);
+        const allowed = used < limit;
+        if (allowed) count++;
+        const next = { start, count, previous, expires: start + 2 * windowMs };
+        // time until the previous window stops counting for enough hits, or the current one ends
+        const retry = count < limit && previous ? Math.ceil(windowMs * (1 - (limit - count) / previous)) - (now - start) : start + windowMs - now;
+        return { state: next, allowed, remaining: Math.max(0, limit - used - allowed), reset: start + windowMs - now, retry: Math.max(1, retry) };
+    },
+    /**
+     * Refill `limit` tokens per window continuously, each hit takes one.
+     */
+    "token-bucket": ({ limit, windowMs }) => (state, now) => {
+        const rate = limit / windowMs;
+        let tokens = state ? Math.min(limit, state.tokens + (now - state.updated) * rate) : limit;
+        const allowed = tokens >= 1;
+        if (allowed) tokens--;
+        const reset = Math.ceil((limit - tokens) / rate);
+        const next = { tokens, updated: now, expires: now + reset };
+        return { state: next, allowed, remaining: Math.floor(tokens), reset, retry: Math.ceil((1 - tokens) / rate) };
+    }
+};
+
+class MemoryStore {
+    /**
+     * Initialize a store keeping rate limit states in memory, expired ones are pruned every minute.
+     */
+    constructor() {
+        this.states = new Map();
+        this.timer = setInterval(() => this.prune(), PRUNE_INTERVAL).unref();
+    }
+
+    /**
+     * Take a hit for a key.
+     * @param {string} key
+     * @param {number} now
+     * @param {function(object, number): object} algorithm
+     * @return {object} `{ allowed, remaining, reset, retry }` with times in ms
+     */
+    take(key, now, algorithm) {
+        const { state, ...result } = algorithm(this.states.get(key), now);
+        this.states.set(key, state);
+        return result;
+    }
+
+    /**
+     * Forget a key, e.g. after a successful login.
+     * @param {string} key
+     */
+    reset(key) {
+        this.states.delete(key);
+    }
+
+    /**
+     * Delete expired states.
+     */
+    prune() {
+        const now = Date.now();
+        for (const [key, state] of this.states)
+            if (state.expires <= now) this.states.delete(key);
+    }
+
+    /**
+     * Stop pruning.
+     */
+    close() {
+        clearInterval(this.timer);
+    }
+}
+
+class ClusterStore extends MemoryStore {
+    /**
+     * A store sharing hits with the other workers through an event bus, the thread plugin's
+     * `cluster.onEvent`/`cluster.sendEvent` is used by default like the session `ClusterStore`.
+     * Every worker keeps its own counts and replays the hits of the others, so limits are
+     * eventually shared. Hits arriving after their window ended are dropped.
+     * @example
+     *    rateLimit({ store: new ClusterStore() });
+     * @param {object} [options]
+     * @param {{on:function,send:function}} [options.bus] Event bus, listeners are called with (eventName, payload)
+     * @param {string} [options.channel="express.ratelimit"] Event name
+     */
+    constructor({ bus, channel = "express.ratelimit" } = {}) {
+        super();
+        this.channel = joinChannel({ bus, channel }, payload => this.receive(payload));
+        this.origin = this.channel.origin;
+    }
+
+    /**
+     * Take a hit for a key and share it when allowed.
+     * @param {string} key
+     * @param {number} now
+     * @param {function(object, number): object} algorithm
+     * @return {object}
+     */
+    take(key, now, algorithm) {
+        const result = super.take(key, now, algorithm);
+        if (result.allowed && algorithm.options) {
+            const { name, limit, windowMs } = algorithm.options;
+            this.channel.send({ key, at: now, algorithm: name, limit, windowMs });
+        }
+        return result;
+    }
+
+    /**
+     * Replay a hit of another worker.
+     * @param {object} payload
+     */
+    receive({ key, at, algorithm, limit, windowMs }) {
+        if (!algorithms[algorithm] || typeof at !== "number") return;
+        const state = this.states.get(key);
+        // a late hit of a past window would restart the current one and wipe its count
+        if (state && state.start > at) return;
+        debug("replay hit %s", key);
+        // buckets don't refill backwards
+        super.take(key, state && state.updated > at ? state.updated : at, algorithms[algorithm]({ limit, windowMs }));
+    }
+
+    /**
+     * Stop pruning and sharing hits.
+     */
+    close() {
+        super.close();
+        this.channel.close();
+    }
+}
+
+/**
+ * Create a rate limit middleware, rejecting requests over the limit with `429 Too Many Requests`.
+ * Responses carry the `RateLimit-Limit`, `RateLimit-Remaining`, `RateLimit-Reset` and
+ * `RateLimit-Policy` headers, rejected ones `Retry-After`.
+ * @example
+ *    router.post("/api/shaders", rateLimit({ limit: 10, windowMs: 60000, key: "user" }), create);
+ *    app.use(rateLimit({ algorithm: "token-bucket", limit: 100, store: new ClusterStore() }));
+ * @param {object} [options]
+ * @param {number} [options.limit=100] Max requests per window
+ * @param {number} [options.windowMs=60000] Window length in ms
+ * @param {string} [options.algorithm="fixed-window"] One of "fixed-window", "sliding-window" and "token-bucket"
+ * @param {string|function} [options.key="ip"] "ip", "user" for `ctx.state.user.id` falling back to the ip, or `fn(ctx)`
+ * @param {string} [options.prefix="rl"] Prefix of the store keys, to share a store between limiters
+ * @param {MemoryStore} [options.store] Store of the states, defaults to a new {@link MemoryStore}
+ * @param {function} [options.skip] Skip requests when `fn(ctx)` is truthy
+ * @param {boolean} [options.headers=true] Send the `RateLimit-*` headers
+ * @param {string} [options.message="Too Many Requests"] Error message
+ * @return {function} middleware
+ */
+function rateLimit(options = {}) {
+    const {
+        limit = 100,
+        windowMs = 60 * 1000,
+        algorithm: name = "fixed-window",
+        key = "ip",
+        prefix = "rl",
+        store = new MemoryStore(),
+        skip,
+        headers = true,
+        message = "Too Many Requests"
+    } = options;
+    if (!algorithms[name]) throw new TypeError(`Invalid algorithm "${name}", please select from ${Object.keys(algorithms).join(", ")}`);
+    if (!Number.isInteger(limit) || limit < 1) throw new TypeError("rateLimit limit must be a positive integer");
+    if (!Number.isInteger(windowMs) || windowMs < 1) throw new TypeError("rateLimit windowMs must be a positive integer");
+    const getKey = key === "ip" ? ctx => ctx.ip
+        : key === "user" ? ctx => ctx.state.user && ctx.state.user.id != null ? `user:${ctx.state.user.id}` : ctx.ip
+        : key;
+    if (typeof getKey !== "function") throw new TypeError(`Invalid key "${key}", please select "ip", "user" or a function`);
+    const algorithm = algorithms[name]({ limit, windowMs });
+    algorithm.options = { name, limit, windowMs };
+    const policy = `${limit};w=${Math.ceil(windowMs / 1000)}`;
+
+    const middleware = async function rateLimit(ctx, next) {
+        if (skip && await skip(ctx)) return next();
+        const id = await getKey(ctx);
+        if (id == null) return next();
+        const result = await store.take(`${prefix}:${id}`, Date.now(), algorithm);
+        const values = headers ? {
+            "RateLimit-Limit": String(limit),
+            "RateLimit-Remaining": String(result.remaining),
+            "RateLimit-Reset": String(Math.ceil(result.reset / 1000)),
+            "RateLimit-Policy": policy
+        } : {};
+        if (!result.allowed) {
+            debug("limit exceeded %s", id);
+            ctx.throw(429, message, { headers: { ...values, "Retry-After": String(Math.ceil(result.retry / 1000)) } });
+        }
+        ctx.set(values);
+        try {
+            await next();
+        } catch (err) {
+            // error responses unset every header, keep the quota on them
+            if (err && typeof err === "object") err.headers = { ...values, ...err.headers };
+            throw err;
+        }
+    }
+    middleware.store = store;
+    middleware.reset = id => store.reset(`${prefix}:${id}`);
+    return middleware;
+}
+
+module.exports = rateLimit;
+module.exports.rateLimit = rateLimit;
+module.exports.MemoryStore = MemoryStore;
+module.exports.ClusterStore = ClusterStore;
+module.exports.algorithms = algorithms;
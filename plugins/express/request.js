@@ -1,4 +1,5 @@
 const { parse, stringify } = require("node:querystring");
+const qs = require("./querystring.js");
 const { URL, format } = require("node:url");
 const { inspect } = require("node:util");
 const { isIP } = require("node:net");
@@ -7,6 +8,7 @@ const contentType = require("content-type");
 const parseurl = require("parseurl");
 const typeis = require("type-is");
 const fresh = require("fresh");
+const { preconditionFailed } = require("./conditional.js");
 
 const IP = Symbol("context#ip");
 
@@ -129,13 +131,14 @@ module.exports = {
     },
 
     /**
-     * Get parsed query string.
+     * Get parsed query string, nested when the application has `querystring` options.
      * @return {object}
      */
     get query() {
         const str = this.querystring;
+        const options = this.app && this.app.querystring;
         const cache = this._querycache = this._querycache || {};
-        return cache[str] || (cache[str] = parse(str));
+        return cache[str] || (cache[str] = options ? qs.parse(str, options) : parse(str));
     },
 
     /**
@@ -143,7 +146,8 @@ module.exports = {
      * @param {object} obj
      */
     set query(obj) {
-        this.querystring = stringify(obj);
+        const options = this.app && this.app.querystring;
+        this.querystring = options ? qs.stringify(obj, options) : stringify(obj);
     },
 
     /**
@@ -250,6 +254,19 @@ module.exports = {
         return !this.fresh;
     },
 
+    /**
+     * Check if the "If-Match" or "If-Unmodified-Since" precondition fails against the
+     * "ETag" and "Last-Modified" of the response, as per rfc7232 section 6. `If-Match: *`
+     * matches when the resource exists, that is the response has a validator or an explicit
+     * status other than 404.
+     * @return {boolean}
+     */
+    get preconditionFailed() {
+        const { response } = this;
+        const exists = response.has("ETag") || response.has("Last-Modified") || (response._explicitStatus && response.status !== 404);
+        return preconditionFailed(this, exists ? { etag: response.get("ETag"), lastModified: response.get("Last-Modified") } : undefined);
+    },
+
     /**
      * Check if the request is idempotent.
      * @return {boolean}
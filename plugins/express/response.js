@@ -10,6 +10,7 @@ const statuses = require("statuses");
 const destroy = require("destroy");
 const vary = require("vary");
 const LRU = require("ylru");
+const { stringify, negotiate } = require("./serializers.js");
 
 const ENCODE_CHARS_REGEXP = /(?:[^\x21\x25\x26-\x3B\x3D\x3F-\x5B\x5D\x5F\x61-\x7A\x7E]|%(?:[^0-9A-Fa-f]|[0-9A-Fa-f][^0-9A-Fa-f]|$))+/g;
 const UNMATCHED_SURROGATE_REGEXP = /(^|[^\uD800-\uDBFF])[\uDC00-\uDFFF]|[\uD800-\uDBFF]([^\uDC00-\uDFFF]|$)/g;
@@ -167,7 +168,9 @@ module.exports = {
         if (!body || body instanceof Stream) return undefined;
         if (typeof body === "string") return Buffer.byteLength(body);
         if (Buffer.isBuffer(body)) return body.length;
-        return Buffer.byteLength(JSON.stringify(body));
+        // the size of the representation the client will get
+        const negotiated = this.ctx && negotiate(this.ctx);
+        return Buffer.byteLength(negotiated ? negotiated.serializer(body, this.ctx) : stringify(body));
     },
 
     /**
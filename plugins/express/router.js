@@ -4,6 +4,7 @@ const { METHODS } = require("node:http");
 const { pathToRegexp, compile, parse } = require("path-to-regexp");
 const HttpError = require("http-errors");
 const compose = require("./compose.js");
+const { stringify } = require("./querystring.js");
 
 const httpMethods = METHODS && METHODS.map(method => method.toLowerCase());
 
@@ -21,6 +22,7 @@ class Layer {
      * @param {string} opts.sensitive case sensitive (default: false)
      * @param {string} opts.strict require the trailing slash (default: false)
      * @param {boolean} opts.ignoreCaptures ignore capture
+     * @param {object} opts.querystring options of `querystring.stringify()` for nested `url()` queries
      * @returns {Layer}
      */
     constructor(path, methods, middleware, opts = {}) {
@@ -120,6 +122,8 @@ class Layer {
             replaced = parseUrl(replaced);
             if (typeof options.query === "string") {
                 replaced.search = options.query;
+            } else if (this.opts.querystring) {
+                replaced.search = stringify(options.query, this.opts.querystring);
             } else {
                 replaced.search = undefined;
                 replaced.query = options.query;
@@ -194,6 +198,7 @@ class Layer {
 class Router {
     params = {};
     stack = [];
+    app = null;
 
     constructor(opts = {}) {
         this.opts = opts;
@@ -290,7 +295,8 @@ class Router {
             if (!hostMatched) return next();
 
             const path = router.opts.routerPath || ctx.routerPath || ctx.path;
-            const matched = router.match(path, ctx.method);
+            // WebSocket upgrade requests only match routes registered with `.ws()`
+            const matched = router.match(path, ctx.upgrade ? "WS" : ctx.method);
             let layerChain;
 
             if (ctx.matched)
@@ -299,6 +305,7 @@ class Router {
                 ctx.matched = matched.path;
 
             ctx.router = router;
+            if (!router.app) router.app = ctx.app;
 
             if (!matched.route) return next();
 
@@ -320,6 +327,11 @@ class Router {
                 });
                 return memo.concat(layer.stack);
             }, []);
+            // the application hooks run once before the middleware of the matched layers
+            layerChain.unshift(async function(ctx, next) {
+                await preHandler(ctx, mostSpecificLayer.params(path, mostSpecificLayer.captures(path), ctx.params));
+                return next();
+            });
 
             return compose(layerChain)(ctx, next);
         };
@@ -344,18 +356,8 @@ class Router {
 
         return function allowedMethods(ctx, next) {
             return next().then(function() {
-                const allowed = {};
-
                 if (!ctx.status || ctx.status === 404) {
-                    for (let i = 0; i < ctx.matched.length; i++) {
-                        const route = ctx.matched[i];
-                        for (let j = 0; j < route.methods.length; j++) {
-                            const method = route.methods[j];
-                            allowed[method] = method;
-                        }
-                    }
-
-                    const allowedArr = Object.keys(allowed);
+                    const allowedArr = matchedMethods(ctx);
 
                     if (!~implemented.indexOf(ctx.method)) {
                         if (options.throw) {
@@ -369,7 +371,7 @@ class Router {
                             ctx.status = 200;
                             ctx.body = '';
                             ctx.set("Allow", allowedArr.join(", "));
-                        } else if (!allowed[ctx.method]) {
+                        } else if (!allowedArr.includes(ctx.method)) {
                             if (options.throw) {
                                 throw typeof options.methodNotAllowed === "function" ? options.methodNotAllowed() : new HttpError.MethodNotAllowed();
                             } else {
@@ -407,6 +409,40 @@ class Router {
         return this;
     }
 
+    /**
+     * Register a WebSocket route, matched by upgrade requests only. The last middleware runs
+     * after the handshake with `ctx.websocket`, the previous ones may reject the upgrade.
+     * @example
+     * router.ws("/collab/:id", authorize(), ctx => {
+     *   ctx.websocket.on("message", data => ctx.websocket.send(data));
+     * });
+     * @param {string} name Optional.
+     * @param {string} path
+     * @param {function[]} middleware You may also pass multiple middleware.
+     * @returns {Router}
+     */
+    ws(name, path, middleware) {
+        if (typeof path === "string" || path instanceof RegExp) {
+            middleware = Array.prototype.slice.call(arguments, 2);
+        } else {
+            middleware = Array.prototype.slice.call(arguments, 1);
+            path = name;
+            name = null;
+        }
+        if (typeof path !== "string" && !(path instanceof RegExp) && (!Array.isArray(path) || path.length === 0))
+            throw new Error("You have to provide a path when adding a ws handler");
+        if (!middleware.length) throw new Error("You have to provide a handler when adding a ws handler");
+
+        const handler = middleware.pop();
+        const accept = (ctx, next) => {
+            ctx.upgrade();
+            return next();
+        };
+        this.register(path, ["WS"], [...middleware, accept, handler], { name });
+
+        return this;
+    }
+
     /**
      * Redirect `source` to `destination` URL with optional 30x status `code`. Both `source` and `destination` can be route names.
      * ```javascript
@@ -468,7 +504,8 @@ class Router {
             sensitive: opts.sensitive || this.opts.sensitive || false,
             strict: opts.strict || this.opts.strict || false,
             prefix: opts.prefix || this.opts.prefix || '',
-            ignoreCaptures: opts.ignoreCaptures
+            ignoreCaptures: opts.ignoreCaptures,
+            querystring: opts.querystring || this.opts.querystring
         });
 
         if (this.opts.prefix) route.setPrefix(this.opts.prefix);
@@ -498,15 +535,19 @@ class Router {
     }
 
     /**
-     * Generate URL for route. Takes a route name and map of named `params`.
+     * Generate URL for route. Takes a route name and map of named `params`. Nested queries
+     * follow the `querystring` option of the router, else the one of the application.
      * @param {string} name route name
      * @param {object} params url parameters
      * @returns {string|Error}
      */
     url(name, params) {
-        const route = this.route(name);
+        let route = this.route(name);
         if (route) {
             const args = Array.prototype.slice.call(arguments, 1);
+            const querystring = this.app && this.app.querystring;
+            if (!route.opts.querystring && querystring)
+                route = Object.create(route, { opts: { value: { ...route.opts, querystring } } });
             return route.url.apply(route, args);
         }
         return new Error(`No route found for name: ${String(name)}`);
@@ -592,4 +633,64 @@ for (const method of httpMethods) {
     };
 }
 
+/**
+ * Returns the methods of the routes matching the request path, as collected by `routes()`.
+ * @example
+ *    matchedMethods(ctx); // => ["HEAD", "GET", "PUT"]
+ * @param {Context} ctx
+ * @returns {string[]}
+ */
+function matchedMethods(ctx) {
+    return methodsOf(ctx.matched || []);
+}
+
+/**
+ * Returns the methods of the routes of the application routers matching the request path,
+ * without dispatching the request, e.g. to answer a CORS preflight.
+ * @param {Context} ctx
+ * @returns {string[]}
+ */
+function routerMethods(ctx) {
+    const matched = [];
+    for (const middleware of ctx.app.middleware) {
+        const { router } = middleware;
+        if (router instanceof Router) matched.push(...router.match(router.opts.routerPath || ctx.routerPath || ctx.path, ctx.method).path);
+    }
+    return methodsOf(matched);
+}
+
+/**
+ * Returns the methods of layers, without the websocket routes.
+ * @param {Layer[]} layers
+ * @returns {string[]}
+ */
+function methodsOf(layers) {
+    const allowed = new Set();
+    for (const layer of layers)
+        for (const method of layer.methods)
+            if (method !== "WS") allowed.add(method);
+    return [...allowed];
+}
+
+/**
+ * Run the `preHandler` hooks of the application with the params of the route, see `app.addHook()`.
+ * The middleware of the layers keep their own params.
+ * @param {Context} ctx
+ * @param {object} params
+ * @returns {Promise}
+ */
+async function preHandler(ctx, params) {
+    const hooks = ctx.app?.hooks?.preHandler || [];
+    if (!hooks.length) return;
+    const previous = ctx.params;
+    ctx.params = ctx.request.params = params;
+    try {
+        for (const hook of hooks) await hook(ctx);
+    } finally {
+        ctx.params = ctx.request.params = previous;
+    }
+}
+
 module.exports = Router;
+module.exports.matchedMethods = matchedMethods;
+module.exports.routerMethods = routerMethods;
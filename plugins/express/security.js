@@ -0,0 +1,182 @@
+const debug = require("debug")("express:security");
+const { randomBytes } = require("node:crypto");
+const { readBody } = require("./body.js");
+
+const REPORT_TYPES = ["application/csp-report", "application/reports+json", "application/json"];
+const REPORT_ENDPOINT = "csp-endpoint";
+
+const defaultDirectives = {
+    "default-src": ["'self'"],
+    "base-uri": ["'self'"],
+    "object-src": ["'none'"],
+    "frame-ancestors": ["'self'"],
+    "form-action": ["'self'"],
+    "script-src": ["'self'"],
+    "style-src": ["'self'"],
+    "img-src": ["'self'", "data:", "blob:"],
+    "worker-src": ["'self'", "blob:"],
+    "connect-src": ["'self'"]
+};
+
+/**
+ * Create a security headers middleware. Every header can be disabled with `false`.
+ * A CSP nonce is generated per request as `ctx.state.nonce` and added to `script-src`
+ * and `style-src`, templates use it on inline tags:
+ * @example
+ *    app.use(security({
+ *        contentSecurityPolicy: { directives: { imgSrc: ["'self'", "https://cdn.example.com"] }, reportUri: "/csp-report" },
+ *        crossOriginEmbedderPolicy: "require-corp"
+ *    }));
+ *    app.on("csp-report", (report, ctx) => logger.warn(report));
+ *    // <script nonce="<%= nonce %>">...</script>
+ * @param {object} [options]
+ * @param {object|false} [options.contentSecurityPolicy]
+ * @param {object} [options.contentSecurityPolicy.directives] Directives in camel or kebab case, values are
+ * strings, `fn(ctx)` or arrays of them, `true` for directives without value and `false` to remove a default
+ * @param {boolean} [options.contentSecurityPolicy.useDefaults=true] Merge the directives into the defaults
+ * @param {boolean} [options.contentSecurityPolicy.nonce=true] Generate a nonce for scripts and styles
+ * @param {boolean} [options.contentSecurityPolicy.reportOnly=false] Only report violations, without enforcing the policy
+ * @param {string} [options.contentSecurityPolicy.reportUri] Path collecting violation reports, emitted as "csp-report" on the app
+ * @param {object|false} [options.strictTransportSecurity] Sent on secure requests only
+ * @param {number} [options.strictTransportSecurity.maxAge=15552000] In seconds
+ * @param {boolean} [options.strictTransportSecurity.includeSubDomains=true]
+ * @param {boolean} [options.strictTransportSecurity.preload=false]
+ * @param {boolean} [options.noSniff=true] X-Content-Type-Options
+ * @param {string|false} [options.frameOptions="SAMEORIGIN"] X-Frame-Options
+ * @param {string|false} [options.referrerPolicy="no-referrer"] Referrer-Policy
+ * @param {string|false} [options.crossOriginOpenerPolicy="same-origin"] Cross-Origin-Opener-Policy
+ * @param {string|false} [options.crossOriginEmbedderPolicy=false] Cross-Origin-Embedder-Policy, "require-corp" together
+ * with COOP "same-origin" enables `SharedArrayBuffer`
+ * @return {function} middleware
+ */
+function security(options = {}) {
+    const {
+        contentSecurityPolicy = {},
+        strictTransportSecurity = {},
+        noSniff = true,
+        frameOptions = "SAMEORIGIN",
+        referrerPolicy = "no-referrer",
+        crossOriginOpenerPolicy = "same-origin",
+        crossOriginEmbedderPolicy = false
+    } = options;
+    const csp = contentSecurityPolicy && compilePolicy(contentSecurityPolicy);
+    const hsts = strictTransportSecurity && formatTransportSecurity(strictTransportSecurity);
+    const headers = {};
+    if (noSniff) headers["X-Content-Type-Options"] = "nosniff";
+    if (frameOptions) headers["X-Frame-Options"] = assertOneOf("frameOptions", frameOptions.toUpperCase(), ["DENY", "SAMEORIGIN"]);
+    if (referrerPolicy) headers["Referrer-Policy"] = referrerPolicy;
+    if (crossOriginOpenerPolicy) headers["Cross-Origin-Opener-Policy"] = assertOneOf("crossOriginOpenerPolicy",
+        crossOriginOpenerPolicy, ["same-origin", "same-origin-allow-popups", "unsafe-none"]);
+    if (crossOriginEmbedderPolicy) headers["Cross-Origin-Embedder-Policy"] = assertOneOf("crossOriginEmbedderPolicy",
+        crossOriginEmbedderPolicy, ["require-corp", "credentialless", "unsafe-none"]);
+
+    return async function security(ctx, next) {
+        if (csp && csp.reportUri && ctx.path === csp.reportUri && ctx.method === "POST") return collectReport(ctx);
+        const values = { ...headers };
+        if (hsts && ctx.secure) values["Strict-Transport-Security"] = hsts;
+        if (csp) {
+            if (csp.nonce) ctx.state.nonce = randomBytes(16).toString("base64");
+            values[csp.header] = csp.format(ctx);
+            if (csp.reportUri) values["Reporting-Endpoints"] = `${REPORT_ENDPOINT}="${csp.reportUri}"`;
+        }
+        ctx.set(values);
+        try {
+            await next();
+        } catch (err) {
+            // error responses unset every header, keep the policy on them
+            if (err && typeof err === "object") err.headers = { ...values, ...err.headers };
+            throw err;
+        }
+    }
+}
+
+/**
+ * Compile the Content Security Policy options.
+ * @param {object} options
+ * @return {{header: string, nonce: boolean, reportUri: string, format: function(Context): string}}
+ */
+function compilePolicy({ directives = {}, useDefaults = true, nonce = true, reportOnly = false, reportUri } = {}) {
+    const policy = useDefaults ? { ...defaultDirectives } : {};
+    for (const [name, value] of Object.entries(directives)) {
+        const key = name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+        if (!/^[a-z]+(-[a-z]+)*$/.test(key)) throw new TypeError(`Invalid directive "${name}"`);
+        if (value === false || value == null) delete policy[key];
+        else policy[key] = value === true ? [] : [].concat(value);
+    }
+    for (const [key, values] of Object.entries(policy)) {
+        for (const value of values)
+            if (typeof value === "string" && /[;,]/.test(value))
+                throw new TypeError(`Invalid value ${JSON.stringify(value)} of directive "${key}"`);
+    }
+    if (reportUri) {
+        policy["report-uri"] = [reportUri];
+        policy["report-to"] = [REPORT_ENDPOINT];
+    }
+    if (reportOnly && !reportUri) debug("report only policy without report uri");
+    const withNonce = nonce && ["script-src", "style-src"].filter(key => key in policy);
+    return {
+        header: reportOnly ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy",
+        nonce: !!nonce,
+        reportUri,
+        format: ctx => Object.entries(policy).map(([key, values]) => {
+            values = values.map(value => typeof value === "function" ? value(ctx) : value);
+            if (withNonce && withNonce.includes(key)) values.push(`'nonce-${ctx.state.nonce}'`);
+            return values.length ? `${key} ${values.join(" ")}` : key;
+        }).join("; ")
+    };
+}
+
+/**
+ * Format the Strict-Transport-Security header.
+ * @param {object} options
+ * @return {string}
+ */
+function formatTransportSecurity({ maxAge = 15552000, includeSubDomains = true, preload = false } = {}) {
+    if (!Number.isInteger(maxAge) || maxAge < 0) throw new TypeError("strictTransportSecurity.maxAge must be a non-negative integer");
+    let value = `max-age=${maxAge}`;
+    if (includeSubDomains) value += "; includeSubDomains";
+    if (preload) value += "; preload";
+    return value;
+}
+
+/**
+ * Collect a violation report, both the `report-uri` and the Reporting API formats.
+ * The reports are emitted as "csp-report" on the application.
+ * @param {Context} ctx
+ * @return {Promise<void>}
+ */
+async function collectReport(ctx) {
+    if (!ctx.is(REPORT_TYPES)) ctx.throw(415, "Unsupported report type");
+    let reports;
+    try {
+        reports = JSON.parse(await readBody(ctx, { limit: 64 * 1024 }));
+    } catch (err) {
+        if (err.status) throw err;
+        ctx.throw(400, "Invalid report");
+    }
+    // report-uri sends { "csp-report": {...} }, report-to an array of { type, body }
+    reports = Array.isArray(reports) ? reports.filter(report => report && report.type === "csp-violation").map(report => report.body)
+        : [reports && reports["csp-report"]];
+    for (const report of reports) {
+        if (!report || typeof report !== "object") continue;
+        debug("csp violation %j", report);
+        ctx.app.emit("csp-report", report, ctx);
+    }
+    ctx.status = 204;
+}
+
+/**
+ * Check an option value is one of the allowed ones.
+ * @param {string} name
+ * @param {string} value
+ * @param {string[]} allowed
+ * @return {string}
+ */
+function assertOneOf(name, value, allowed) {
+    if (!allowed.includes(value)) throw new TypeError(`${name} must be one of ${allowed.join(", ")}`);
+    return value;
+}
+
+module.exports = security;
+module.exports.security = security;
+module.exports.directives = defaultDirectives;
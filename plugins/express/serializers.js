@@ -0,0 +1,92 @@
+const debug = require("debug")("express:serializers");
+const { Stream } = require("node:stream");
+
+/**
+ * Default body serializers keyed by type, fn(body, ctx) returning a string or buffer.
+ * Add or override them with the `serializers` application option.
+ */
+const serializers = {
+    json: body => stringify(body)
+};
+
+/**
+ * Serialize an object body with the serializer of the response type when the application set
+ * one, else the one negotiated by `Accept`, falling back to the first one. Sets the response
+ * type and length.
+ * @example
+ *    const app = new express({ serializers: { yaml: body => yaml.dump(body), "application/msgpack": msgpack.encode } });
+ *    app.use(ctx => ctx.body = { id: 1, tags: ["noise"] });
+ *    // Accept: text/yaml => "id: 1\ntags:\n  - noise\n"
+ * @param {Context} ctx
+ * @param {object} body
+ * @return {string|Buffer}
+ */
+function serialize(ctx, body) {
+    const negotiated = negotiate(ctx);
+    if (!negotiated) return stringify(body);
+    const { type, current, types } = negotiated;
+    if (types.length > 1) ctx.vary("Accept");
+    debug("serialize %s", type);
+    const result = negotiated.serializer(body, ctx);
+    if (!ctx.res.headersSent) {
+        if (type !== current) ctx.type = type;
+        ctx.length = Buffer.byteLength(result);
+    }
+    return result;
+}
+
+/**
+ * Select the serializer of an object body like {@link serialize}, without setting headers.
+ * @param {Context} ctx
+ * @return {{type: string, current: string|false, types: string[], serializer: function}|undefined} Nothing without serializers
+ */
+function negotiate(ctx) {
+    const registry = { ...serializers, ...ctx.app.serializers };
+    const types = Object.keys(registry).filter(type => typeof registry[type] === "function");
+    if (!types.length) return;
+    // objects default to json, any other registered type was chosen by the application
+    const current = ctx.response.is(types);
+    const type = current && current !== "json" ? current : ctx.accepts(types) || types[0];
+    return { type, current, types, serializer: registry[type] };
+}
+
+/**
+ * Whether a body is an object to serialize.
+ * @param {*} body
+ * @return {boolean}
+ */
+function serializable(body) {
+    return body != null && typeof body === "object" && !Buffer.isBuffer(body) && !(body instanceof Stream);
+}
+
+/**
+ * JSON.stringify() supporting BigInt as strings, Map as objects and Set as arrays.
+ * @example
+ *    stringify({ id: 2n ** 64n, uniforms: new Map([["time", 1]]) }); // => '{"id":"18446744073709551616","uniforms":{"time":1}}'
+ * @param {*} value
+ * @param {string|number} [space]
+ * @return {string}
+ */
+function stringify(value, space) {
+    return JSON.stringify(value, replacer, space);
+}
+
+/**
+ * JSON replacer of {@link stringify}.
+ * @param {string} key
+ * @param {*} value
+ * @return {*}
+ */
+function replacer(key, value) {
+    if (typeof value === "bigint") return value.toString();
+    if (value instanceof Map) return Object.fromEntries(value);
+    if (value instanceof Set) return [...value];
+    return value;
+}
+
+module.exports = serialize;
+module.exports.serialize = serialize;
+module.exports.negotiate = negotiate;
+module.exports.serializable = serializable;
+module.exports.serializers = serializers;
+module.exports.stringify = stringify;
@@ -1,11 +1,27 @@
 const debug = require("debug")("express:static");
 const { normalize, basename, extname, resolve, join, parse, sep } = require("node:path");
-const { stat, access } = require("node:fs/promises");
+const { stat, access, readFile, readdir } = require("node:fs/promises");
 const { createReadStream } = require("node:fs");
+const { randomBytes } = require("node:crypto");
+const { Readable } = require("node:stream");
 const assert = require("node:assert");
 const createError = require("http-errors")
 const resolvePath = require("resolve-path");
+const { toSize } = require("../../utils/size.js");
+const { escapeHtml } = require("../../utils/html.js");
 
+/**
+ * Create a static file middleware.
+ * @example
+ *    app.use(serveStatic("static", { maxAge: 86400000, directoryListing: { sort: "mtime", order: "desc" } }));
+ * @param {string} root Root directory
+ * @param {object} [opts] Options of {@link send}, and:
+ * @param {boolean} [opts.defer] Serve after the downstream middleware when nothing responded
+ * @param {boolean|object} [opts.directoryListing] List directories without index file as html or json
+ * @param {string} [opts.directoryListing.sort="name"] Sort by "name", "size" or "mtime", the `sort` query overrides it
+ * @param {string} [opts.directoryListing.order="asc"] "asc" or "desc", the `order` query overrides it
+ * @return {function}
+ */
 function serveStatic(root, opts = {}) {
     assert(root, "root directory is required to serve files");
 
@@ -18,11 +34,13 @@ function serveStatic(root, opts = {}) {
             await next();
             if (ctx.method !== "HEAD" && ctx.method !== "GET") return;
             if (ctx.body != null || ctx.status !== 404) return;
+            let done = false;
             try {
-                await send(ctx, ctx.path, opts);
+                done = await send(ctx, ctx.path, opts);
             } catch (err) {
                 if (err.status !== 404) throw err;
             }
+            if (!done && opts.directoryListing) await sendDirectory(ctx, ctx.path, opts);
         }
     } else {
         return async function serveStatic(ctx, next) {
@@ -33,24 +51,97 @@ function serveStatic(root, opts = {}) {
             } catch (err) {
                 if (err.status !== 404) throw err;
             }
+            if (!done && opts.directoryListing) done = await sendDirectory(ctx, ctx.path, opts);
             if (!done) await next();
         }
     }
 }
 
-function serveRender(path, { extension = "html" } = {}) {
+/**
+ * Create a render middleware which provides `ctx.render(name, locals)`. Templates are compiled
+ * by the engine registered for their extension, `.html` is sent as-is unless mapped to an engine.
+ * An engine is `fn(source, { filename, partials })` returning `fn(locals)` which returns the html.
+ * @example
+ *    app.use(views(path.join(__dirname, "views"), {
+ *        extension: "ejs",
+ *        engines: { ejs: (source, options) => ejs.compile(source, options) },
+ *        map: { html: "ejs" },
+ *        layout: "layouts/main",
+ *        partials: { header: "partials/header" }
+ *    }));
+ *    router.get("/", ctx => ctx.render("index", { title: "ShaderLab" }));
+ * @param {string} path Views directory
+ * @param {object} [options]
+ * @param {string} [options.extension="html"] Default extension
+ * @param {object} [options.engines] Map of engine name to engine
+ * @param {object} [options.map] Map of extension to engine name
+ * @param {string} [options.layout] Layout template, rendered with the page as `body` local
+ * @param {object} [options.partials] Map of partial name to template, passed to the engine as sources
+ * @param {boolean} [options.cache] Cache compiled templates, defaults to `app.env === "production"`
+ * @return {function}
+ */
+function serveRender(path, { extension = "html", engines = {}, map = {}, layout, partials = {}, cache } = {}) {
+    const templates = new Map();
+
+    /**
+     * Compile a template file, compiled templates are cached when enabled.
+     * @param {Context} ctx
+     * @param {string} filename
+     * @param {function} engine
+     * @return {Promise<function>}
+     */
+    async function compile(ctx, filename, engine) {
+        const useCache = cache ?? ctx.app.env === "production";
+        if (useCache && templates.has(filename)) return templates.get(filename);
+        const sources = {};
+        for (const [name, partial] of Object.entries(partials)) {
+            const { rel } = await getFile(path, partial, extension);
+            sources[name] = await readFile(join(path, rel), "utf-8");
+        }
+        const template = await engine(await readFile(filename, "utf-8"), { filename, partials: sources });
+        if (typeof template !== "function") throw new TypeError("Render engine must return a template function");
+        if (useCache) templates.set(filename, template);
+        return template;
+    }
+
+    /**
+     * Render a template into a string.
+     * @param {Context} ctx
+     * @param {string} relativePath
+     * @param {object} locals
+     * @return {Promise<{rel:string,html:string|null}>} html is null when the file should be sent as-is
+     */
+    async function renderTemplate(ctx, relativePath, locals) {
+        const { rel, ext } = await getFile(path, relativePath, extension);
+        const engineName = map[ext] || ext;
+        debug("render %s with %s engine", rel, engineName);
+        if (!engines[engineName]) {
+            if (ext === "html") return { rel, html: null };
+            throw new TypeError(`No render engine registered for "${ext}"`);
+        }
+        const template = await compile(ctx, join(path, rel), engines[engineName]);
+        return { rel, html: String(await template(locals)) };
+    }
+
     return function serveRender(ctx, next) {
         let extendsContext = false;
-        function render(relativePath) {
+        async function render(relativePath, locals = {}) {
             if (extendsContext)
                 ctx = this.ctx && this.ctx.req === this.req ? this.ctx : this;
-            return getFile(path, relativePath, extension).then(({ rel, ext }) => {
-                debug("render %s with %s", rel, ctx.state);
+            const state = { ...ctx.state, ...locals };
+            let { rel, html } = await renderTemplate(ctx, relativePath, state);
+            if (html === null) {
                 ctx.type = "text/html";
-                if (ext === "html") {
-                    return send(ctx, rel, { root: path });
-                } else throw new TypeError("No render engine registered");
-            });
+                return send(ctx, rel, { root: path });
+            }
+            const layoutPath = state.layout ?? layout;
+            if (layoutPath) {
+                ({ html } = await renderTemplate(ctx, layoutPath, { ...state, body: html }));
+                if (html === null) throw new TypeError("No render engine registered for layout");
+            }
+            ctx.type = "text/html";
+            ctx.body = html;
+            return html;
         }
         if (!ctx) {
             extendsContext = true;
@@ -63,7 +154,10 @@ function serveRender(path, { extension = "html" } = {}) {
 }
 
 /**
- * Send a file.
+ * Send a file, stops when `ctx.signal` is aborted.
+ * Range requests are answered with `206 Partial Content`. An entity tag in `If-Range` only
+ * matches a strong `ETag` set before sending, e.g. by `setHeaders`, as `etag()` tags files
+ * weakly. Otherwise `If-Range` is compared with `Last-Modified`.
  * @param {Context} ctx
  * @param {string} path
  * @param {object} opts
@@ -85,6 +179,9 @@ async function send(ctx, path, opts = {}) {
     const brotli = opts.brotli !== false;
     const gzip = opts.gzip !== false;
     const setHeaders = opts.setHeaders;
+    const acceptRanges = opts.acceptRanges !== false;
+    // ranges address the identity file, so precompressed variants are skipped for range requests
+    const ranged = acceptRanges && !!ctx.get("Range") && (ctx.method === "GET" || ctx.method === "HEAD");
 
     if (setHeaders && typeof setHeaders !== "function")
         throw new TypeError("option setHeaders must be function");
@@ -101,12 +198,12 @@ async function send(ctx, path, opts = {}) {
 
     let encodingExt = '';
     // serve brotli file when possible otherwise gzipped file when possible
-    if (ctx.acceptsEncodings("br", "identity") === "br" && brotli && (await exists(path + ".br"))) {
+    if (!ranged && ctx.acceptsEncodings("br", "identity") === "br" && brotli && (await exists(path + ".br"))) {
         path = path + ".br";
         ctx.set("Content-Encoding", "br");
         ctx.res.removeHeader("Content-Length");
         encodingExt = ".br";
-    } else if (ctx.acceptsEncodings("gzip", "identity") === "gzip" && gzip && (await exists(path + ".gz"))) {
+    } else if (!ranged && ctx.acceptsEncodings("gzip", "identity") === "gzip" && gzip && (await exists(path + ".gz"))) {
         path = path + ".gz";
         ctx.set("Content-Encoding", "gzip");
         ctx.res.removeHeader("Content-Length");
@@ -146,6 +243,9 @@ async function send(ctx, path, opts = {}) {
         throw err;
     }
 
+    // the client may be gone or the request timed out while looking up the file
+    ctx.signal.throwIfAborted();
+
     if (setHeaders) setHeaders(ctx.res, path, stats);
 
     // stream
@@ -157,11 +257,198 @@ async function send(ctx, path, opts = {}) {
         ctx.set("Cache-Control", directives.join(","));
     }
     if (!ctx.type) ctx.type = encodingExt !== '' ? extname(basename(path, encodingExt)) : extname(path);
+    if (acceptRanges) ctx.set("Accept-Ranges", "bytes");
+
+    // partial content
+    if (ranged && isRangeFresh(ctx)) {
+        const ranges = parseRange(stats.size, ctx.get("Range"));
+        if (ranges === -1) {
+            throw createError(416, { headers: { "Content-Range": `bytes */${stats.size}` } });
+        } else if (ranges !== -2 && ranges.length === 1) {
+            const { start, end } = ranges[0];
+            debug("send range %d-%d of %s", start, end, path);
+            ctx.status = 206;
+            ctx.set("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+            ctx.set("Content-Length", end - start + 1);
+            ctx.body = createReadStream(path, { start, end });
+            return path;
+        } else if (ranges !== -2) {
+            debug("send %d ranges of %s", ranges.length, path);
+            const boundary = randomBytes(12).toString("hex");
+            const type = ctx.response.get("Content-Type");
+            const parts = ranges.map(({ start, end }) => ({
+                start, end,
+                head: Buffer.from(`--${boundary}\r\nContent-Type: ${type}\r\nContent-Range: bytes ${start}-${end}/${stats.size}\r\n\r\n`)
+            }));
+            const tail = Buffer.from(`--${boundary}--\r\n`);
+            ctx.status = 206;
+            ctx.type = `multipart/byteranges; boundary=${boundary}`;
+            ctx.set("Content-Length", parts.reduce((length, { start, end, head }) => length + head.length + end - start + 3, tail.length));
+            ctx.body = Readable.from(byteranges(path, parts, tail));
+            return path;
+        }
+    }
+
     ctx.body = createReadStream(path);
 
     return path;
 }
 
+/**
+ * Send the listing of a directory, negotiated as html or json.
+ * Hidden entries follow the same rules as {@link isHidden}.
+ * @param {Context} ctx
+ * @param {string} path
+ * @param {object} opts
+ * @return {Promise<string, void>}
+ */
+async function sendDirectory(ctx, path, opts = {}) {
+    const root = opts.root ? normalize(resolve(opts.root)) : '';
+    const hidden = opts.hidden || false;
+    const listing = typeof opts.directoryListing === "object" ? opts.directoryListing : {};
+    const trailingSlash = path[path.length - 1] === "/";
+    let pathname;
+
+    try { pathname = decodeURIComponent(path); } catch { return ctx.throw(400, "failed to decode"); }
+    path = resolvePath(root, pathname.substring(parse(pathname).root.length));
+    if (!hidden && isHidden(root, path)) return;
+
+    let entries;
+    try {
+        if (!(await stat(path)).isDirectory()) return;
+        entries = await readdir(path, { withFileTypes: true });
+    } catch (err) {
+        if (["ENOENT", "ENAMETOOLONG", "ENOTDIR"].includes(err.code)) return;
+        err.status = 500;
+        throw err;
+    }
+
+    const files = [];
+    for (const entry of entries) {
+        if (!hidden && entry.name[0] === ".") continue;
+        try {
+            const stats = await stat(join(path, entry.name));
+            files.push({ name: entry.name, directory: stats.isDirectory(), size: stats.isDirectory() ? 0 : stats.size, mtime: stats.mtime });
+        } catch {
+            // broken symbolic links
+        }
+    }
+
+    const sort = ["name", "size", "mtime"].includes(ctx.query.sort) ? ctx.query.sort : listing.sort || "name";
+    const order = ["asc", "desc"].includes(ctx.query.order) ? ctx.query.order : listing.order || "asc";
+    const direction = order === "desc" ? -1 : 1;
+    files.sort((a, b) => {
+        // directories first
+        if (a.directory !== b.directory) return a.directory ? -1 : 1;
+        const diff = sort === "name" ? a.name.localeCompare(b.name) : a[sort] - b[sort] || a.name.localeCompare(b.name);
+        return diff * direction;
+    });
+
+    const base = trailingSlash ? pathname : `${pathname}/`;
+    debug("list %s by %s %s", path, sort, order);
+    switch (ctx.accepts("html", "json")) {
+        case "json":
+            ctx.body = files.map(({ name, directory, size, mtime }) => ({
+                name,
+                type: directory ? "directory" : "file",
+                size,
+                mtime: mtime.toISOString()
+            }));
+            break;
+        case "html": {
+            const encodedBase = base.split("/").map(encodeURIComponent).join("/");
+            const rows = files.map(({ name, directory, size, mtime }) => {
+                const display = escapeHtml(directory ? `${name}/` : name);
+                const href = escapeHtml(encodedBase + encodeURIComponent(name) + (directory ? "/" : ''));
+                return `<tr><td><a href="${href}">${display}</a></td><td>${directory ? "-" : toSize(size)}</td><td>${mtime.toUTCString()}</td></tr>`;
+            });
+            // absolute like the other rows, a relative link would skip a level without trailing slash
+            const parent = escapeHtml(encodedBase.replace(/[^/]+\/$/, ''));
+            if (base !== "/") rows.unshift(`<tr><td><a href="${parent}">../</a></td><td>-</td><td>-</td></tr>`);
+            const title = `Index of ${escapeHtml(base)}`;
+            ctx.type = "html";
+            ctx.body = `<!DOCTYPE html>\n<html><head><meta charset="utf-8"><title>${title}</title></head><body><h1>${title}</h1>` +
+                `<table><thead><tr><th>Name</th><th>Size</th><th>Modified</th></tr></thead><tbody>${rows.join('')}</tbody></table></body></html>`;
+            break;
+        }
+        default:
+            ctx.throw(406);
+    }
+    return path;
+}
+
+/**
+ * Generate a multipart/byteranges body.
+ * @param {string} path
+ * @param {{start:number,end:number,head:Buffer}[]} parts
+ * @param {Buffer} tail
+ * @return {AsyncGenerator<Buffer>}
+ */
+async function* byteranges(path, parts, tail) {
+    for (const { start, end, head } of parts) {
+        yield head;
+        yield* createReadStream(path, { start, end });
+        yield Buffer.from("\r\n");
+    }
+    yield tail;
+}
+
+/**
+ * Check the "If-Range" validator against "ETag" or "Last-Modified", a missing validator is fresh.
+ * @param {Context} ctx
+ * @return {boolean}
+ */
+function isRangeFresh(ctx) {
+    const ifRange = ctx.get("If-Range");
+    if (!ifRange) return true;
+    // etag, compared strongly
+    if (ifRange.startsWith('"') || ifRange.startsWith("W/")) {
+        const etag = ctx.response.get("ETag");
+        return !!etag && !etag.startsWith("W/") && ifRange === etag;
+    }
+    const lastModified = Date.parse(ctx.response.get("Last-Modified"));
+    return !isNaN(lastModified) && lastModified <= Date.parse(ifRange);
+}
+
+/**
+ * Parse "Range" header of a `size` bytes entity, overlapping and adjacent ranges are combined.
+ * @example
+ *    parseRange(1000, "bytes=0-499"); // => [{ start: 0, end: 499 }]
+ *    parseRange(1000, "bytes=-100"); // => [{ start: 900, end: 999 }]
+ * @param {number} size
+ * @param {string} header
+ * @return {{start:number,end:number}[]|number} -1 when unsatisfiable, -2 when malformed and to ignore
+ */
+function parseRange(size, header) {
+    const index = header.indexOf("=");
+    if (index === -1 || header.slice(0, index).trim() !== "bytes") return -2;
+    const ranges = [];
+    for (const spec of header.slice(index + 1).split(",")) {
+        const [first, last] = spec.trim().split("-", 2);
+        if (last === undefined || !/^\d*$/.test(first) || !/^\d*$/.test(last) || (first === '' && last === '')) return -2;
+        let start = parseInt(first, 10), end = parseInt(last, 10);
+        // an inverted range is invalid, not unsatisfiable, rfc7233 2.1
+        if (start > end) return -2;
+        if (isNaN(start)) {
+            // suffix range
+            start = size - end;
+            end = size - 1;
+        } else if (isNaN(end) || end > size - 1) end = size - 1;
+        if (start < 0) start = 0;
+        if (start > end) continue;
+        ranges.push({ start, end });
+    }
+    if (!ranges.length) return -1;
+    ranges.sort((a, b) => a.start - b.start);
+    const combined = [ranges[0]];
+    for (let i = 1; i < ranges.length; i++) {
+        const current = combined[combined.length - 1], range = ranges[i];
+        if (range.start > current.end + 1) combined.push(range);
+        else if (range.end > current.end) current.end = range.end;
+    }
+    return combined;
+}
+
 /**
  * Check file exists.
  * @param {string} path
@@ -206,4 +493,4 @@ function getFile(absolutePath, relativePath, ext) {
         });
 }
 
-module.exports = { serveStatic, serveRender, send };
+module.exports = { serveStatic, serveRender, send, sendDirectory, parseRange };
@@ -0,0 +1,560 @@
+const debug = require("debug")("express:session");
+const { randomBytes } = require("node:crypto");
+const { inspect } = require("node:util");
+const joinChannel = require("./bus.js");
+
+const CONTEXT_SESSION = Symbol("context#contextSession");
+const ONE_DAY = 24 * 60 * 60 * 1000;
+const COOKIE_OPTIONS = ["maxAge", "expires", "path", "domain", "secure", "httpOnly", "sameSite", "signed", "overwrite", "partitioned", "priority"];
+
+class Session {
+    /**
+     * Initialize a new session with the context session and loaded data.
+     * @param {ContextSession} sessionContext
+     * @param {object} [data]
+     */
+    constructor(sessionContext, data) {
+        Object.defineProperty(this, "_sessCtx", { value: sessionContext });
+        Object.defineProperty(this, "_ctx", { value: sessionContext.ctx });
+        this.isNew = !data;
+        if (!data) {
+            this._created = Date.now();
+            return;
+        }
+        for (const [key, value] of Object.entries(data)) {
+            // restore maxAge from store without marking the session dirty
+            if (key === "_maxAge" || key === "_session")
+                Object.defineProperty(this, "_maxAge", { value: key === "_session" ? "session" : value, writable: true, configurable: true });
+            else this[key] = value;
+        }
+        if (!this._created) this._created = Date.now();
+    }
+
+    /**
+     * JSON representation of the session, without internal flags.
+     * @return {object}
+     */
+    toJSON() {
+        const obj = {};
+        for (const key of Object.keys(this)) {
+            if (key === "isNew" || key[0] === "_") continue;
+            obj[key] = this[key];
+        }
+        return obj;
+    }
+
+    /**
+     * Return how many values there are in the session object.
+     * @return {number}
+     */
+    get length() {
+        return Object.keys(this.toJSON()).length;
+    }
+
+    /**
+     * Populated flag, which is just a boolean alias of `.length`.
+     * @return {boolean}
+     */
+    get populated() {
+        return !!this.length;
+    }
+
+    /**
+     * Get session maxAge.
+     * @return {number|string}
+     */
+    get maxAge() {
+        return this._maxAge ?? this._sessCtx.opts.maxAge;
+    }
+
+    /**
+     * Set session maxAge, "session" makes a browser session cookie.
+     * @param {number|string} value
+     */
+    set maxAge(value) {
+        Object.defineProperty(this, "_maxAge", { value, writable: true, configurable: true });
+        // maxAge changed, must save to cookie and store
+        this._requireSave = true;
+    }
+
+    /**
+     * Force the session to be saved even if it is unchanged.
+     */
+    save() {
+        this._requireSave = true;
+    }
+
+    /**
+     * Drop the current session id and data, eg. on login to prevent session fixation.
+     * @return {Promise<Session>} the new session
+     */
+    async regenerate() {
+        await this._sessCtx.regenerate();
+        return this._ctx.session;
+    }
+
+    /**
+     * Commit the session immediately, used with `autoCommit: false`.
+     * @return {Promise<void>}
+     */
+    async manuallyCommit() {
+        await this._sessCtx.commit();
+    }
+
+    /**
+     * util.inspect() implementation.
+     * @return {object}
+     */
+    [inspect.custom]() {
+        return this.toJSON();
+    }
+}
+
+class ContextSession {
+    /**
+     * Session state of a request.
+     * @param {Context} ctx
+     * @param {object} opts formatted session options
+     */
+    constructor(ctx, opts) {
+        this.ctx = ctx;
+        this.opts = opts;
+        this.store = opts.store;
+        this.session = undefined;
+        this.externalKey = undefined;
+        this.prevHash = undefined;
+    }
+
+    /**
+     * Lazily create the session from the cookie, external stores are loaded by the middleware.
+     * @return {Session|null}
+     */
+    get() {
+        if (this.session) return this.session;
+        // destroyed
+        if (this.session === false) return null;
+        if (!this.store) this.initFromCookie();
+        if (!this.session) this.create();
+        return this.session;
+    }
+
+    /**
+     * Replace session data, `null` destroys the session.
+     * @param {object|null} value
+     */
+    set(value) {
+        if (value === null) {
+            this.session = false;
+            return;
+        }
+        if (typeof value === "object") {
+            // use the original externalKey if exists to avoid waste storage
+            this.create(value, this.externalKey);
+            return;
+        }
+        throw new TypeError("this.session can only be set as null or an object.");
+    }
+
+    /**
+     * Load the session from the external store.
+     * @return {Promise<void>}
+     */
+    async initFromExternal() {
+        const externalKey = this.ctx.cookies.get(this.opts.key, this.opts);
+        debug("init from external, key %s", externalKey);
+        if (!externalKey) return this.create();
+        const json = await this.store.get(externalKey, this.opts.maxAge, { ctx: this.ctx });
+        if (!this.valid(json)) return this.create();
+        this.create(json, externalKey);
+        this.prevHash = hash(this.session.toJSON());
+    }
+
+    /**
+     * Load the session from the signed cookie.
+     */
+    initFromCookie() {
+        const cookie = this.ctx.cookies.get(this.opts.key, this.opts);
+        if (!cookie) return this.create();
+        let json;
+        try {
+            json = this.opts.decode(cookie);
+        } catch (err) {
+            debug("decode %j error: %s", cookie, err);
+            return this.create();
+        }
+        if (!this.valid(json)) return this.create();
+        this.create(json);
+        this.prevHash = hash(this.session.toJSON());
+    }
+
+    /**
+     * Verify that a loaded session is not expired, either by its rolling
+     * or by its absolute lifetime.
+     * @param {object} json
+     * @return {boolean}
+     */
+    valid(json) {
+        if (!json || typeof json !== "object") return false;
+        const now = Date.now();
+        if (json._expire && json._expire < now) {
+            debug("expired session");
+            return false;
+        }
+        if (this.opts.absolute && json._created && json._created + this.opts.absolute < now) {
+            debug("session reached its absolute lifetime");
+            return false;
+        }
+        return this.opts.valid(this.ctx, json);
+    }
+
+    /**
+     * Create a new session.
+     * @param {object} [data]
+     * @param {string} [externalKey]
+     */
+    create(data, externalKey) {
+        if (this.store) this.externalKey = externalKey || this.opts.genid(this.ctx);
+        this.session = new Session(this, data);
+    }
+
+    /**
+     * Drop the current id and data, the new session is always saved.
+     * @return {Promise<void>}
+     */
+    async regenerate() {
+        if (this.store && this.externalKey) await this.store.destroy(this.externalKey, { ctx: this.ctx });
+        this.externalKey = undefined;
+        this.prevHash = undefined;
+        this.create();
+        this.session.save();
+    }
+
+    /**
+     * Commit the session changes or removal.
+     * @return {Promise<void>}
+     */
+    async commit() {
+        const { session, opts: { beforeSave } } = this;
+        // not accessed
+        if (session === undefined) return;
+        // removed
+        if (session === false) return this.remove();
+        const reason = this.shouldSave();
+        debug("should save session: %s", reason);
+        if (!reason) return;
+        if (typeof beforeSave === "function") beforeSave(this.ctx, session);
+        await this.save(reason === "changed" || reason === "force");
+    }
+
+    /**
+     * Decide why the session should be saved.
+     * @return {string} empty when the session need not to be saved
+     */
+    shouldSave() {
+        const { prevHash, session } = this;
+        if (session._requireSave) return "force";
+        const json = session.toJSON();
+        // do nothing if new and not populated
+        if (!prevHash && !Object.keys(json).length) return '';
+        // save if session changed
+        if (prevHash !== hash(json)) return "changed";
+        // save if opts.rolling set
+        if (this.opts.rolling) return "rolling";
+        // save if opts.renew and session will expired
+        if (this.opts.renew && typeof session._expire === "number" && session._expire - Date.now() < session.maxAge / 2) return "renew";
+        return '';
+    }
+
+    /**
+     * Remove the session from cookie and store.
+     * @return {Promise<void>}
+     */
+    async remove() {
+        const { key, ...opts } = this.opts;
+        const { ctx, externalKey } = this;
+        if (externalKey) await this.store.destroy(externalKey, { ctx });
+        ctx.cookies.set(key, '', { ...pickCookieOptions(opts), expires: new Date(0), maxAge: undefined });
+    }
+
+    /**
+     * Save the session to the store and/or the cookie.
+     * @param {boolean} changed
+     * @return {Promise<void>}
+     */
+    async save(changed) {
+        const { opts: { key, rolling }, externalKey, session, ctx } = this;
+        const maxAge = session.maxAge;
+        const json = session.toJSON();
+        json._created = session._created;
+        const cookieOpts = pickCookieOptions(this.opts);
+        if (maxAge === "session") {
+            // do not set _expire in json if maxAge is set to "session", also delete maxAge from options
+            json._session = true;
+            cookieOpts.maxAge = undefined;
+        } else {
+            json._expire = maxAge + Date.now();
+            json._maxAge = maxAge;
+            cookieOpts.maxAge = maxAge;
+        }
+        debug("save %j", json);
+        if (externalKey) {
+            await this.store.set(externalKey, json, maxAge, { changed, rolling, ctx });
+            ctx.cookies.set(key, externalKey, cookieOpts);
+            return;
+        }
+        ctx.cookies.set(key, this.opts.encode(json), cookieOpts);
+    }
+}
+
+class MemoryStore {
+    sessions = new Map();
+
+    /**
+     * Keep sessions in process memory, expired sessions are swept periodically.
+     * @param {object} [options]
+     * @param {number} [options.sweepInterval=60000]
+     */
+    constructor({ sweepInterval = 60000 } = {}) {
+        this.timer = setInterval(() => this.sweep(), sweepInterval);
+        this.timer.unref();
+    }
+
+    /**
+     * Get session by key.
+     * @param {string} key
+     * @return {object|undefined}
+     */
+    get(key) {
+        const entry = this.sessions.get(key);
+        if (!entry) return;
+        if (entry.expires <= Date.now()) {
+            this.sessions.delete(key);
+            return;
+        }
+        return structuredClone(entry.value);
+    }
+
+    /**
+     * Store a session.
+     * @param {string} key
+     * @param {object} value
+     * @param {number|string} maxAge
+     */
+    set(key, value, maxAge) {
+        this.store(key, value, Date.now() + (typeof maxAge === "number" ? maxAge : ONE_DAY));
+    }
+
+    /**
+     * Remove a session.
+     * @param {string} key
+     */
+    destroy(key) {
+        this.sessions.delete(key);
+    }
+
+    /**
+     * Store a session with absolute expiry.
+     * @param {string} key
+     * @param {object} value
+     * @param {number} expires
+     */
+    store(key, value, expires) {
+        this.sessions.set(key, { value: structuredClone(value), expires });
+    }
+
+    /**
+     * Remove every expired session.
+     */
+    sweep() {
+        const now = Date.now();
+        for (const [key, { expires }] of this.sessions) {
+            if (expires <= now) this.sessions.delete(key);
+        }
+    }
+
+    /**
+     * Stop sweeping.
+     */
+    close() {
+        clearInterval(this.timer);
+    }
+}
+
+class ClusterStore extends MemoryStore {
+    /**
+     * A memory store replicated to every worker through an event bus, the thread plugin's
+     * `cluster.onEvent`/`cluster.sendEvent` is used by default.
+     * @param {object} [options]
+     * @param {{on:function,send:function}} [options.bus] Event bus, listeners are called with (eventName, payload)
+     * @param {string} [options.channel="express.session"] Event name
+     * @param {number} [options.sweepInterval]
+     */
+    constructor({ bus, channel = "express.session", ...options } = {}) {
+        super(options);
+        this.channel = joinChannel({ bus, channel }, payload => this.receive(payload));
+        this.origin = this.channel.origin;
+    }
+
+    set(key, value, maxAge) {
+        const expires = Date.now() + (typeof maxAge === "number" ? maxAge : ONE_DAY);
+        this.store(key, value, expires);
+        this.publish({ action: "set", key, value, expires });
+    }
+
+    destroy(key) {
+        super.destroy(key);
+        this.publish({ action: "destroy", key });
+    }
+
+    /**
+     * Send a change to other workers.
+     * @param {object} payload
+     */
+    publish(payload) {
+        this.channel.send(payload);
+    }
+
+    /**
+     * Stop sweeping and replicating.
+     */
+    close() {
+        super.close();
+        this.channel.close();
+    }
+
+    /**
+     * Apply a change from other workers.
+     * @param {object} payload
+     */
+    receive({ origin, action, key, value, expires }) {
+        if (!key) return;
+        debug("receive %s %s from %s", action, key, origin);
+        switch (action) {
+            case "set":
+                this.store(key, value, expires);
+                break;
+            case "destroy":
+                this.sessions.delete(key);
+                break;
+        }
+    }
+}
+
+/**
+ * Create a session middleware, the session is available at `ctx.session`.
+ * @example
+ *    app.keys = ["secret"];
+ *    app.use(session({ store: "memory", maxAge: 7200000, rolling: true }));
+ *    router.post("/login", async ctx => {
+ *        await ctx.session.regenerate();
+ *        ctx.session.user = user.id;
+ *    });
+ * @param {object} [opts]
+ * @param {string} [opts.key="express.sess"] Cookie name
+ * @param {number|string} [opts.maxAge=86400000] Session lifetime in ms or "session"
+ * @param {number} [opts.absolute] Absolute session lifetime in ms, regardless of rolling
+ * @param {boolean} [opts.rolling=false] Reset expiry on every response
+ * @param {boolean} [opts.renew=false] Renew the session when it is nearly expired
+ * @param {boolean} [opts.autoCommit=true] Commit after the downstream middleware
+ * @param {string|object} [opts.store="cookie"] "cookie", "memory" or a store with get/set/destroy
+ * @param {function} [opts.genid] Generate external key fn(ctx)
+ * @param {function} [opts.encode] Encode cookie session data
+ * @param {function} [opts.decode] Decode cookie session data
+ * @param {function} [opts.valid] Extra validation fn(ctx, json)
+ * @param {function} [opts.beforeSave] Hook before save fn(ctx, session)
+ * @return {function} middleware
+ */
+function session(opts = {}) {
+    opts = formatOptions(opts);
+    return async function session(ctx, next) {
+        if (opts.signed && !ctx.app.keys) throw new Error(".keys required for signed session cookies");
+        const sess = ctx[CONTEXT_SESSION] = new ContextSession(ctx, opts);
+        Object.defineProperty(ctx, "session", {
+            get() { return sess.get(); },
+            set(value) { sess.set(value); },
+            configurable: true
+        });
+        if (opts.store) await sess.initFromExternal();
+        try {
+            await next();
+        } finally {
+            if (opts.autoCommit) await sess.commit();
+        }
+    }
+}
+
+/**
+ * Format and check session options.
+ * @param {object} opts
+ * @return {object}
+ */
+function formatOptions(opts) {
+    opts = {
+        key: "express.sess",
+        maxAge: ONE_DAY,
+        overwrite: true,
+        httpOnly: true,
+        signed: true,
+        autoCommit: true,
+        rolling: false,
+        renew: false,
+        encode: encode,
+        decode: decode,
+        genid: () => randomBytes(24).toString("base64url"),
+        valid: () => true,
+        ...opts
+    };
+    if (!opts.store || opts.store === "cookie") opts.store = null;
+    else if (opts.store === "memory") opts.store = new MemoryStore();
+    else if (typeof opts.store.get !== "function" || typeof opts.store.set !== "function" || typeof opts.store.destroy !== "function")
+        throw new TypeError("store must implement get, set and destroy");
+    if (opts.maxAge !== "session" && typeof opts.maxAge !== "number") throw new TypeError('maxAge must be a number or "session"');
+    if (opts.absolute !== undefined && typeof opts.absolute !== "number") throw new TypeError("absolute must be a number");
+    return opts;
+}
+
+/**
+ * Pick options accepted by `cookies.set()`.
+ * @param {object} opts
+ * @return {object}
+ */
+function pickCookieOptions(opts) {
+    const cookieOpts = {};
+    for (const key of COOKIE_OPTIONS) {
+        if (opts[key] !== undefined) cookieOpts[key] = opts[key];
+    }
+    return cookieOpts;
+}
+
+/**
+ * Encode session data into a cookie value.
+ * @param {object} json
+ * @return {string}
+ */
+function encode(json) {
+    return Buffer.from(JSON.stringify(json)).toString("base64");
+}
+
+/**
+ * Decode a cookie value into session data.
+ * @param {string} str
+ * @return {object}
+ */
+function decode(str) {
+    return JSON.parse(Buffer.from(str, "base64").toString("utf-8"));
+}
+
+/**
+ * Hash session data for dirty tracking.
+ * @param {object} json
+ * @return {string}
+ */
+function hash(json) {
+    return JSON.stringify(json);
+}
+
+module.exports = session;
+module.exports.session = session;
+module.exports.Session = Session;
+module.exports.MemoryStore = MemoryStore;
+module.exports.ClusterStore = ClusterStore;
@@ -0,0 +1,143 @@
+const debug = require("debug")("express:sse");
+const { Readable } = require("node:stream");
+const onFinished = require("on-finished");
+const closeWithApp = require("./closing.js");
+
+const LINE_BREAK_REGEXP = /\r\n|\r|\n/;
+
+class EventStream extends Readable {
+    /**
+     * Initialize a new Server-Sent Events stream.
+     * @param {object} [options]
+     * @param {number} [options.retry] Reconnection time sent to the client in ms
+     * @param {number|false} [options.heartbeat=15000] Interval of heartbeat comments in ms, false to disable
+     * @param {string} [options.lastEventId] Last event id received by the client
+     */
+    constructor({ retry, heartbeat = 15000, lastEventId } = {}) {
+        super();
+        this.lastEventId = lastEventId;
+        this.ended = false;
+        if (retry != null) this.push(`retry: ${toRetry(retry)}\n\n`);
+        if (heartbeat) {
+            this.heartbeat = setInterval(() => this.comment(), heartbeat);
+            this.once("close", () => clearInterval(this.heartbeat));
+        }
+    }
+
+    /**
+     * Send an event, objects are serialized as JSON.
+     * @example
+     *    stream.send("compiling");
+     *    stream.send({ errors: [] }, { event: "compiled", id: 42 });
+     * @param {*} data
+     * @param {object} [options]
+     * @param {string} [options.event] Event name, the client dispatches "message" when omitted
+     * @param {string|number} [options.id] Event id, sent back as `Last-Event-ID` on reconnection
+     * @param {number} [options.retry] Reconnection time in ms
+     * @return {boolean} false when the stream is closed
+     */
+    send(data, { event, id, retry } = {}) {
+        if (!this.active) return false;
+        let message = '';
+        if (event != null) message += `event: ${toField("event", event)}\n`;
+        if (id != null) message += `id: ${this.lastEventId = toField("id", id)}\n`;
+        if (retry != null) message += `retry: ${toRetry(retry)}\n`;
+        const text = typeof data === "string" ? data : JSON.stringify(data) ?? '';
+        for (const line of text.split(LINE_BREAK_REGEXP)) message += `data: ${line}\n`;
+        debug("send %s event %s", event || "message", id ?? '-');
+        this.push(`${message}\n`);
+        return true;
+    }
+
+    /**
+     * Send a comment, ignored by clients but keeps proxies from closing the connection.
+     * @param {string} [text]
+     * @return {boolean} false when the stream is closed
+     */
+    comment(text = '') {
+        if (!this.active) return false;
+        this.push(text.split(LINE_BREAK_REGEXP).map(line => `:${line && ` ${line}`}\n`).join('') + "\n");
+        return true;
+    }
+
+    /**
+     * Whether events can still be sent.
+     * @return {boolean}
+     */
+    get active() {
+        return !this.destroyed && !this.ended;
+    }
+
+    /**
+     * End the stream, which ends the response.
+     */
+    close() {
+        if (!this.active) return;
+        this.ended = true;
+        clearInterval(this.heartbeat);
+        this.push(null);
+    }
+
+    _read() {}
+}
+
+/**
+ * Switch the response to a Server-Sent Events stream. Compression is disabled for it and the
+ * headers are sent right away so the client opens before the first event, set any header
+ * before. The stream ends when the client disconnects or the application is closing.
+ * @example
+ *    router.get("/shaders/:id/status", ctx => {
+ *        const stream = ctx.sse({ retry: 3000 });
+ *        for (const event of compiler.since(ctx.params.id, stream.lastEventId))
+ *            stream.send(event.data, { event: event.type, id: event.id });
+ *        compiler.on("status", listener);
+ *        stream.once("close", () => compiler.off("status", listener));
+ *    });
+ * @param {Context} ctx
+ * @param {object} [options] See {@link EventStream}
+ * @return {EventStream}
+ */
+function sse(ctx, options = {}) {
+    const stream = new EventStream({ lastEventId: ctx.get("Last-Event-ID") || undefined, ...options });
+    ctx.compress = false;
+    ctx.status = 200;
+    ctx.type = "text/event-stream";
+    ctx.set("Cache-Control", "no-cache");
+    // disable proxy buffering, e.g. nginx
+    ctx.set("X-Accel-Buffering", "no");
+    ctx.body = stream;
+    ctx.flushHeaders();
+
+    closeWithApp(ctx.app, stream, () => stream.close());
+    onFinished(ctx.res, () => {
+        debug("client disconnected");
+        stream.destroy();
+    });
+    return stream;
+}
+
+/**
+ * Validate a single line field.
+ * @param {string} name
+ * @param {string|number} value
+ * @return {string}
+ */
+function toField(name, value) {
+    value = String(value);
+    if (/[\r\n\0]/.test(value)) throw new TypeError(`Event ${name} must not contain line breaks or null`);
+    return value;
+}
+
+/**
+ * Validate a retry time.
+ * @param {number} value
+ * @return {number}
+ */
+function toRetry(value) {
+    if (!Number.isInteger(value) || value < 0) throw new TypeError("Event retry must be a non-negative integer");
+    return value;
+}
+
+module.exports = sse;
+module.exports.sse = sse;
+module.exports.EventStream = EventStream;
@@ -0,0 +1,42 @@
+const debug = require("debug")("express:timeout");
+const createError = require("http-errors");
+
+/**
+ * Create a timeout middleware, when downstream middleware do not settle in time `ctx.signal`
+ * is aborted and the request fails with `status`. Use 504 in front of upstream services.
+ * @example
+ *    app.use(timeout(30000));
+ *    router.get("/shaders/:id/preview", timeout(5000), render);
+ *    router.all("/upstream/(.*)", timeout(10000, { status: 504 }), forward);
+ * @param {number} ms Time in ms
+ * @param {object} [options]
+ * @param {number} [options.status=503] Response status when exceeded, 503 or 504
+ * @param {string} [options.message] Error message
+ * @return {function} middleware
+ */
+function timeout(ms, options = {}) {
+    if (!Number.isFinite(ms) || ms <= 0) throw new TypeError("timeout must be a positive number");
+    const { status = 503, message = `request timed out after ${ms}ms` } = options;
+
+    return async function timeout(ctx, next) {
+        let timer, error = null;
+        const expired = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                debug("%s %s timed out after %dms", ctx.method, ctx.path, ms);
+                reject(error = createError(status, message, { type: "request.timeout", timeout: ms }));
+                ctx.abort(error);
+            }, ms);
+        });
+        try {
+            // downstream keeps running until it honors the signal, its late result is ignored
+            await Promise.race([next(), expired]);
+        } finally {
+            clearTimeout(timer);
+        }
+        // downstream may settle on abort before the race sees the timeout
+        if (error) throw error;
+    }
+}
+
+module.exports = timeout;
+module.exports.timeout = timeout;
@@ -0,0 +1,373 @@
+const debug = require("debug")("express:validate");
+const { UNSAFE_KEYS } = require("./querystring.js");
+
+const TYPES = ["string", "number", "integer", "boolean", "array", "object", "null"];
+const LOCATIONS = ["params", "query", "headers", "body"];
+// patterns compiled once by schema
+const patterns = new WeakMap();
+
+const formats = {
+    "date": /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+    "date-time": /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])[Tt ]([01]\d|2[0-3]):[0-5]\d:([0-5]\d|60)(\.\d+)?([Zz]|[+-]([01]\d|2[0-3]):[0-5]\d)$/,
+    "email": /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    "uuid": /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    "uri": value => {
+        try {
+            return !!new URL(value).protocol;
+        } catch {
+            return false;
+        }
+    }
+};
+
+/**
+ * Create a validation middleware for the request `params`, `query`, `headers` and `body`,
+ * each described by a JSON-Schema subset:
+ * - `type` (or a list of types), `enum`, `const`, `default`
+ * - `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`, `multipleOf`
+ * - `minLength`, `maxLength`, `pattern`, `format` ("date", "date-time", "email", "uri", "uuid")
+ * - `items`, `minItems`, `maxItems`, `uniqueItems`
+ * - `properties`, `required`, `additionalProperties`
+ * Values are coerced to the schema type, defaults are applied and unknown properties are
+ * stripped unless `additionalProperties` allows them. Results are stored on `ctx.valid`,
+ * every error is collected and the request fails with 400 and the errors in `err.errors`.
+ * @example
+ *    router.get("/shaders", validate({
+ *        query: {
+ *            type: "object",
+ *            properties: {
+ *                page: { type: "integer", minimum: 1, default: 1 },
+ *                tags: { type: "array", items: { type: "string" } }
+ *            }
+ *        }
+ *    }), ctx => list(ctx.valid.query));
+ * @param {object} schemas Schema of each request location
+ * @param {object} [options]
+ * @param {boolean} [options.coerce=true] Coerce strings to the schema type
+ * @param {boolean} [options.removeAdditional=true] Strip properties missing from `properties`
+ * @param {object} [options.formats] Extra formats, a RegExp or fn(value) per name
+ * @return {function} middleware
+ */
+function validate(schemas, options = {}) {
+    const { coerce = true, removeAdditional = true } = options;
+    const formatMap = { ...formats, ...options.formats };
+    for (const location of Object.keys(schemas)) {
+        if (!LOCATIONS.includes(location))
+            throw new TypeError(`Invalid location "${location}", please select from ${LOCATIONS.map(name => `"${name}"`).join(", ")}`);
+        assertSchema(schemas[location], formatMap, location);
+    }
+    const validator = new Validator({ coerce, removeAdditional, formats: formatMap });
+
+    return function validate(ctx, next) {
+        const errors = [], valid = ctx.valid || {};
+        for (const location of LOCATIONS) {
+            if (!schemas[location]) continue;
+            valid[location] = validator.validate(schemas[location], getValue(ctx, location), location, errors);
+        }
+        if (errors.length) {
+            debug("%d errors %j", errors.length, errors);
+            ctx.throw(400, "Validation failed", { type: "request.validation", errors });
+        }
+        ctx.valid = valid;
+        return next();
+    }
+}
+
+class Validator {
+    /**
+     * Initialize a validator.
+     * @param {object} options
+     * @param {boolean} options.coerce
+     * @param {boolean} options.removeAdditional
+     * @param {object} options.formats
+     */
+    constructor({ coerce, removeAdditional, formats }) {
+        this.coerce = coerce;
+        this.removeAdditional = removeAdditional;
+        this.formats = formats;
+    }
+
+    /**
+     * Validate a value and return it coerced, with defaults and without unknown properties.
+     * @param {object} schema
+     * @param {*} value
+     * @param {string} location
+     * @param {object[]} errors Collected errors of `{location, path, keyword, message}`
+     * @param {string} [path='']
+     * @return {*}
+     */
+    validate(schema, value, location, errors, path = '') {
+        const fail = (keyword, message) => errors.push({ location, path, keyword, message });
+        if (value === undefined && schema.default !== undefined) value = structuredClone(schema.default);
+        const types = schema.type === undefined ? [] : [].concat(schema.type);
+
+        if (types.length) {
+            if (this.coerce && !types.some(type => isType(type, value))) value = coerceValue(types, value);
+            if (!types.some(type => isType(type, value))) {
+                fail("type", `must be ${types.join(" or ")}`);
+                return value;
+            }
+        }
+        if (schema.const !== undefined && !isEqual(value, schema.const))
+            fail("const", `must be equal to ${JSON.stringify(schema.const)}`);
+        if (schema.enum && !schema.enum.some(item => isEqual(value, item)))
+            fail("enum", `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(", ")}`);
+
+        if (typeof value === "number") this.number(schema, value, fail);
+        else if (typeof value === "string") this.string(schema, value, fail);
+        else if (Array.isArray(value)) value = this.array(schema, value, location, errors, path, fail);
+        else if (isType("object", value)) value = this.object(schema, value, location, errors, path, fail);
+        return value;
+    }
+
+    /**
+     * Validate number keywords.
+     * @param {object} schema
+     * @param {number} value
+     * @param {function} fail
+     */
+    number(schema, value, fail) {
+        if (schema.minimum !== undefined && value < schema.minimum) fail("minimum", `must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail("maximum", `must be <= ${schema.maximum}`);
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail("exclusiveMinimum", `must be > ${schema.exclusiveMinimum}`);
+        if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail("exclusiveMaximum", `must be < ${schema.exclusiveMaximum}`);
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) fail("multipleOf", `must be multiple of ${schema.multipleOf}`);
+    }
+
+    /**
+     * Validate string keywords.
+     * @param {object} schema
+     * @param {string} value
+     * @param {function} fail
+     */
+    string(schema, value, fail) {
+        // length in code points
+        const length = schema.minLength !== undefined || schema.maxLength !== undefined ? [...value].length : 0;
+        if (schema.minLength !== undefined && length < schema.minLength) fail("minLength", `must not have fewer than ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && length > schema.maxLength) fail("maxLength", `must not have more than ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !compilePattern(schema).test(value)) fail("pattern", `must match pattern "${schema.pattern}"`);
+        if (schema.format !== undefined) {
+            const format = this.formats[schema.format];
+            if (!(typeof format === "function" ? format(value) : format.test(value))) fail("format", `must match format "${schema.format}"`);
+        }
+    }
+
+    /**
+     * Validate array keywords and items.
+     * @param {object} schema
+     * @param {Array} value
+     * @param {string} location
+     * @param {object[]} errors
+     * @param {string} path
+     * @param {function} fail
+     * @return {Array}
+     */
+    array(schema, value, location, errors, path, fail) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) fail("minItems", `must not have fewer than ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) fail("maxItems", `must not have more than ${schema.maxItems} items`);
+        if (schema.items) value = value.map((item, i) => this.validate(schema.items, item, location, errors, `${path}/${i}`));
+        if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => isEqual(item, other)) !== i))
+            fail("uniqueItems", "must not have duplicate items");
+        return value;
+    }
+
+    /**
+     * Validate object keywords and properties.
+     * @param {object} schema
+     * @param {object} value
+     * @param {string} location
+     * @param {object[]} errors
+     * @param {string} path
+     * @param {function} fail
+     * @return {object}
+     */
+    object(schema, value, location, errors, path, fail) {
+        const properties = schema.properties || {}, result = {};
+        const { additionalProperties } = schema;
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            let property = hasOwn(value, key) ? value[key] : undefined;
+            if (property === undefined && propertySchema.default !== undefined) property = structuredClone(propertySchema.default);
+            if (property === undefined) {
+                if (schema.required && schema.required.includes(key)) fail("required", `must have required property "${key}"`);
+                continue;
+            }
+            define(result, key, this.validate(propertySchema, property, location, errors, `${path}/${escapePointer(key)}`));
+        }
+        for (const key of Object.keys(value)) {
+            if (hasOwn(properties, key)) continue;
+            if (additionalProperties === false) {
+                if (!this.removeAdditional) fail("additionalProperties", `must not have additional property "${key}"`);
+            } else if (UNSAFE_KEYS.has(key)) {
+                // never copy keys touching the prototype
+                continue;
+            } else if (typeof additionalProperties === "object") {
+                result[key] = this.validate(additionalProperties, value[key], location, errors, `${path}/${escapePointer(key)}`);
+            } else if (additionalProperties === true || !this.removeAdditional) {
+                result[key] = value[key];
+            }
+        }
+        for (const key of schema.required || [])
+            if (!hasOwn(properties, key) && !hasOwn(result, key)) fail("required", `must have required property "${key}"`);
+        return result;
+    }
+}
+
+/**
+ * Get the value of a request location.
+ * @param {Context} ctx
+ * @param {string} location
+ * @return {*}
+ */
+function getValue(ctx, location) {
+    switch (location) {
+        case "params":  return ctx.params || {};
+        case "query":   return ctx.query;
+        case "headers": return ctx.headers;
+        case "body":    return ctx.request.body;
+    }
+}
+
+/**
+ * Check a schema only uses known types and formats.
+ * @param {object} schema
+ * @param {object} formats
+ * @param {string} path
+ */
+function assertSchema(schema, formats, path) {
+    if (!schema || typeof schema !== "object") throw new TypeError(`Invalid schema at ${path}`);
+    for (const type of [].concat(schema.type ?? []))
+        if (!TYPES.includes(type)) throw new TypeError(`Invalid type "${type}" at ${path}`);
+    if (schema.format !== undefined && !formats[schema.format]) throw new TypeError(`Unknown format "${schema.format}" at ${path}`);
+    if (schema.pattern !== undefined) {
+        try {
+            compilePattern(schema);
+        } catch (err) {
+            throw new TypeError(`Invalid pattern "${schema.pattern}" at ${path}: ${err.message}`);
+        }
+    }
+    if (schema.items) assertSchema(schema.items, formats, `${path}/items`);
+    if (typeof schema.additionalProperties === "object") assertSchema(schema.additionalProperties, formats, `${path}/additionalProperties`);
+    for (const [key, property] of Object.entries(schema.properties || {}))
+        assertSchema(property, formats, `${path}/properties/${key}`);
+}
+
+/**
+ * Get the RegExp of a schema pattern, compiled at its first use.
+ * @param {object} schema
+ * @return {RegExp}
+ * @throws {SyntaxError} when the pattern is invalid
+ */
+function compilePattern(schema) {
+    let compiled = patterns.get(schema);
+    // the schema may be changed after its validation
+    if (!compiled || compiled.pattern !== schema.pattern) {
+        compiled = { pattern: schema.pattern, regexp: new RegExp(schema.pattern, "u") };
+        patterns.set(schema, compiled);
+    }
+    return compiled.regexp;
+}
+
+/**
+ * Check the value matches a schema type.
+ * @param {string} type
+ * @param {*} value
+ * @return {boolean}
+ */
+function isType(type, value) {
+    switch (type) {
+        case "string":  return typeof value === "string";
+        case "number":  return typeof value === "number" && Number.isFinite(value);
+        case "integer": return Number.isInteger(value);
+        case "boolean": return typeof value === "boolean";
+        case "array":   return Array.isArray(value);
+        case "object":  return value !== null && typeof value === "object" && !Array.isArray(value);
+        case "null":    return value === null;
+    }
+}
+
+/**
+ * Coerce a value to the first possible type, like query strings to numbers.
+ * @param {string[]} types
+ * @param {*} value
+ * @return {*} The coerced value, or the value itself when impossible
+ */
+function coerceValue(types, value) {
+    for (const type of types) {
+        // a repeated query parameter may arrive as a single string
+        if (type === "array") return value === undefined ? value : [value];
+        if (Array.isArray(value)) {
+            if (value.length !== 1) continue;
+            value = value[0];
+        }
+        switch (type) {
+            case "number":
+            case "integer": {
+                if (typeof value === "boolean") return +value;
+                if (typeof value !== "string" || value.trim() === '') break;
+                const number = Number(value);
+                if (type === "number" ? Number.isFinite(number) : Number.isInteger(number)) return number;
+                break;
+            }
+            case "boolean":
+                if (value === "true" || value === "1" || value === 1) return true;
+                if (value === "false" || value === "0" || value === 0) return false;
+                break;
+            case "string":
+                if (typeof value === "number" || typeof value === "boolean") return String(value);
+                break;
+            case "null":
+                if (value === '' || value === "null") return null;
+                break;
+        }
+    }
+    return value;
+}
+
+/**
+ * Deep equality of JSON values.
+ * @param {*} a
+ * @param {*} b
+ * @return {boolean}
+ */
+function isEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => hasOwn(b, key) && isEqual(a[key], b[key]));
+}
+
+/**
+ * Escape a key as JSON pointer token.
+ * @param {string} key
+ * @return {string}
+ */
+function escapePointer(key) {
+    return key.replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Check own property.
+ * @param {object} object
+ * @param {string} key
+ * @return {boolean}
+ */
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+/**
+ * Define an own property, even one named like a prototype key.
+ * @param {object} object
+ * @param {string} key
+ * @param {*} value
+ */
+function define(object, key, value) {
+    Object.defineProperty(object, key, { value, enumerable: true, writable: true, configurable: true });
+}
+
+module.exports = validate;
+module.exports.validate = validate;
+module.exports.Validator = Validator;
+module.exports.formats = formats;
@@ -0,0 +1,406 @@
+const debug = require("debug")("express:websocket");
+const { EventEmitter } = require("node:events");
+const { createHash } = require("node:crypto");
+const { isUtf8 } = require("node:buffer");
+const { toNumber } = require("../../utils/size.js");
+const closeWithApp = require("./closing.js");
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const KEY_REGEXP = /^[+/0-9A-Za-z]{22}==$/;
+const EMPTY = Buffer.alloc(0);
+
+var opcode = (code => {
+    code[code["continuation"] = 0x0] = "continuation";
+    code[code["text"] = 0x1] = "text";
+    code[code["binary"] = 0x2] = "binary";
+    code[code["close"] = 0x8] = "close";
+    code[code["ping"] = 0x9] = "ping";
+    code[code["pong"] = 0xa] = "pong";
+    return code;
+})(opcode || (opcode = {}));
+
+var readyState = (state => {
+    state[state["CONNECTING"] = 0] = "CONNECTING";
+    state[state["OPEN"] = 1] = "OPEN";
+    state[state["CLOSING"] = 2] = "CLOSING";
+    state[state["CLOSED"] = 3] = "CLOSED";
+    return state;
+})(readyState || (readyState = {}));
+
+class WebSocketError extends Error {
+    /**
+     * Initialize a protocol error, closing the connection with `code`.
+     * @param {number} code Close status code
+     * @param {string} message
+     */
+    constructor(code, message) {
+        super(message);
+        this.name = "WebSocketError";
+        this.code = code;
+    }
+}
+
+class WebSocket extends EventEmitter {
+    readyState = readyState.CONNECTING;
+    protocol = '';
+    chunks = [];
+    bufferedLength = 0;
+    frameLength = 0;
+    fragments = [];
+    fragmentsLength = 0;
+    fragmentsOpcode = null;
+    closeCode = 1006;
+    closeReason = '';
+    closeTimer = null;
+
+    /**
+     * Initialize a server side WebSocket over an upgraded socket, emits "message" with
+     * fn(data, isBinary), "ping", "pong", "close" with fn(code, reason) and "error".
+     * @param {Socket} socket
+     * @param {Buffer} [head] Data received along with the upgrade request
+     * @param {object} [options]
+     * @param {string|number} [options.maxPayload="16mb"] Max size of a message
+     * @param {number} [options.closeTimeout=5000] Time in ms to wait for the close handshake
+     * @param {string} [options.protocol] Negotiated subprotocol
+     */
+    constructor(socket, head, { maxPayload = "16mb", closeTimeout = 5000, protocol = '' } = {}) {
+        super();
+        this.socket = socket;
+        this.maxPayload = toNumber(maxPayload);
+        this.closeTimeout = closeTimeout;
+        this.protocol = protocol;
+        this.readyState = readyState.OPEN;
+        socket.setTimeout(0);
+        socket.setNoDelay(true);
+        socket.on("data", chunk => this.receive(chunk));
+        socket.once("end", () => socket.end());
+        socket.once("close", () => this.onclose());
+        socket.on("error", err => this.onerror(err));
+        if (head && head.length) this.receive(head);
+    }
+
+    /**
+     * Send a message, strings are sent as text and anything else as binary.
+     * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data
+     * @return {boolean} false when the connection is not open
+     */
+    send(data) {
+        if (typeof data === "string") return this.frame(opcode.text, Buffer.from(data));
+        return this.frame(opcode.binary, toBuffer(data));
+    }
+
+    /**
+     * Send a ping, the client answers with a pong.
+     * @param {string|Buffer} [data]
+     * @return {boolean} false when the connection is not open
+     */
+    ping(data = EMPTY) {
+        return this.frame(opcode.ping, toControlPayload(data));
+    }
+
+    /**
+     * Send an unsolicited pong.
+     * @param {string|Buffer} [data]
+     * @return {boolean} false when the connection is not open
+     */
+    pong(data = EMPTY) {
+        return this.frame(opcode.pong, toControlPayload(data));
+    }
+
+    /**
+     * Start the close handshake, the socket is destroyed when the client does not
+     * answer within `closeTimeout`.
+     * @param {number} [code=1000]
+     * @param {string} [reason]
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState !== readyState.OPEN) return;
+        if (!isValidCloseCode(code)) throw new TypeError(`Invalid close code ${code}`);
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.frame(opcode.close, toControlPayload(payload));
+        this.readyState = readyState.CLOSING;
+        this.closeTimer = setTimeout(() => this.socket.destroy(), this.closeTimeout);
+    }
+
+    /**
+     * Destroy the connection without the close handshake.
+     */
+    terminate() {
+        this.socket.destroy();
+    }
+
+    /**
+     * Write a single final frame, server frames are not masked.
+     * @param {number} code Opcode
+     * @param {Buffer} payload
+     * @return {boolean}
+     */
+    frame(code, payload) {
+        if (this.readyState !== readyState.OPEN) return false;
+        const { length } = payload;
+        const size = length < 126 ? 2 : length < 0x10000 ? 4 : 10;
+        const header = Buffer.alloc(size);
+        header[0] = 0x80 | code;
+        if (size === 2) {
+            header[1] = length;
+        } else if (size === 4) {
+            header[1] = 126;
+            header.writeUInt16BE(length, 2);
+        } else {
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(length), 2);
+        }
+        this.socket.cork();
+        this.socket.write(header);
+        if (length) this.socket.write(payload);
+        this.socket.uncork();
+        return true;
+    }
+
+    /**
+     * Buffer received data and parse the complete frames. Chunks are joined once the pending
+     * frame is complete, not on every chunk.
+     * @param {Buffer} chunk
+     */
+    receive(chunk) {
+        this.chunks.push(chunk);
+        this.bufferedLength += chunk.length;
+        if (this.bufferedLength < this.frameLength) return;
+        let buffer = this.chunks.length === 1 ? chunk : Buffer.concat(this.chunks, this.bufferedLength);
+        this.chunks = [];
+        this.bufferedLength = 0;
+        try {
+            while (this.readyState !== readyState.CLOSED) {
+                const consumed = this.parse(buffer);
+                if (!consumed) break;
+                buffer = buffer.subarray(consumed);
+            }
+        } catch (err) {
+            if (!(err instanceof WebSocketError)) throw err;
+            return this.fail(err);
+        }
+        if (!buffer.length || this.readyState === readyState.CLOSED) return;
+        this.chunks.push(buffer);
+        this.bufferedLength = buffer.length;
+    }
+
+    /**
+     * Parse one frame from the buffer.
+     * @param {Buffer} buffer
+     * @return {number} Bytes consumed, 0 when the frame is incomplete
+     */
+    parse(buffer) {
+        if (buffer.length < 2) return 0;
+        const fin = (buffer[0] & 0x80) !== 0, code = buffer[0] & 0x0f;
+        if (buffer[0] & 0x70) throw new WebSocketError(1002, "RSV bits must be clear");
+        if (!(buffer[1] & 0x80)) throw new WebSocketError(1002, "Client frames must be masked");
+        if (!opcode[code]) throw new WebSocketError(1002, `Invalid opcode ${code}`);
+        const control = code >= opcode.close;
+        let length = buffer[1] & 0x7f, offset = 2;
+        if (control && (!fin || length > 125)) throw new WebSocketError(1002, "Invalid control frame");
+        if (length === 126) {
+            if (buffer.length < 4) return 0;
+            length = buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buffer.length < 10) return 0;
+            const bigLength = buffer.readBigUInt64BE(2);
+            if (bigLength > BigInt(Number.MAX_SAFE_INTEGER)) throw new WebSocketError(1009, "Frame too large");
+            length = Number(bigLength);
+            offset = 10;
+        }
+        if (!control && this.fragmentsLength + length > this.maxPayload) throw new WebSocketError(1009, "Message too large");
+        // remember the size of the frame to wait for it
+        this.frameLength = offset + 4 + length;
+        if (buffer.length < this.frameLength) return 0;
+        this.frameLength = 0;
+        const mask = buffer.subarray(offset, offset + 4);
+        const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < length; i++) payload[i] ^= mask[i & 3];
+        if (control) this.control(code, payload);
+        else this.data(code, fin, payload);
+        return offset + 4 + length;
+    }
+
+    /**
+     * Handle a data frame, joining fragments.
+     * @param {number} code
+     * @param {boolean} fin
+     * @param {Buffer} payload
+     */
+    data(code, fin, payload) {
+        if (code === opcode.continuation) {
+            if (this.fragmentsOpcode === null) throw new WebSocketError(1002, "Unexpected continuation frame");
+        } else {
+            if (this.fragmentsOpcode !== null) throw new WebSocketError(1002, "Expected continuation frame");
+            this.fragmentsOpcode = code;
+        }
+        this.fragments.push(payload);
+        this.fragmentsLength += payload.length;
+        if (!fin) return;
+        const message = this.fragments.length === 1 ? this.fragments[0] : Buffer.concat(this.fragments, this.fragmentsLength);
+        const binary = this.fragmentsOpcode === opcode.binary;
+        this.fragments = [];
+        this.fragmentsLength = 0;
+        this.fragmentsOpcode = null;
+        if (binary) return this.emit("message", message, true);
+        if (!isUtf8(message)) throw new WebSocketError(1007, "Invalid UTF-8 text");
+        this.emit("message", message.toString("utf-8"), false);
+    }
+
+    /**
+     * Handle a control frame.
+     * @param {number} code
+     * @param {Buffer} payload
+     */
+    control(code, payload) {
+        switch (code) {
+            case opcode.ping:
+                this.frame(opcode.pong, payload);
+                this.emit("ping", payload);
+                break;
+            case opcode.pong:
+                this.emit("pong", payload);
+                break;
+            case opcode.close: {
+                if (payload.length === 1) throw new WebSocketError(1002, "Invalid close frame");
+                if (payload.length >= 2) {
+                    const code = payload.readUInt16BE(0), reason = payload.subarray(2);
+                    if (!isValidCloseCode(code)) throw new WebSocketError(1002, `Invalid close code ${code}`);
+                    if (!isUtf8(reason)) throw new WebSocketError(1007, "Invalid UTF-8 close reason");
+                    this.closeCode = code;
+                    this.closeReason = reason.toString("utf-8");
+                } else {
+                    this.closeCode = 1005;
+                }
+                debug("close frame %d %s", this.closeCode, this.closeReason);
+                // echo the close frame then let the client close the connection
+                if (this.readyState === readyState.OPEN) {
+                    this.frame(opcode.close, payload.subarray(0, 2));
+                    this.readyState = readyState.CLOSING;
+                }
+                this.socket.end();
+                break;
+            }
+        }
+    }
+
+    /**
+     * Fail the connection on protocol error.
+     * @param {WebSocketError} err
+     */
+    fail(err) {
+        debug("fail %d %s", err.code, err.message);
+        this.chunks = [];
+        this.bufferedLength = this.frameLength = 0;
+        this.socket.pause();
+        this.onerror(err);
+        if (this.readyState === readyState.OPEN) this.close(err.code, err.message);
+        this.socket.end();
+    }
+
+    /**
+     * Emit errors only when listened, socket errors always end in "close".
+     * @param {Error} err
+     */
+    onerror(err) {
+        if (this.listenerCount("error")) this.emit("error", err);
+        else debug("error %s", err.message);
+    }
+
+    /**
+     * Socket closed.
+     */
+    onclose() {
+        if (this.readyState === readyState.CLOSED) return;
+        clearTimeout(this.closeTimer);
+        this.readyState = readyState.CLOSED;
+        this.emit("close", this.closeCode, this.closeReason);
+    }
+}
+
+Object.assign(WebSocket, readyState);
+
+/**
+ * Perform the opening handshake of a WebSocket upgrade request, headers already set on the
+ * response like cookies are sent along with `101 Switching Protocols`.
+ * @example
+ *    const ws = upgrade(ctx, socket, head, { protocol: protocols => protocols.includes("glsl") && "glsl" });
+ * @param {Context} ctx
+ * @param {Socket} socket
+ * @param {Buffer} head
+ * @param {object} [options] See {@link WebSocket}
+ * @param {string|function} [options.protocol] Subprotocol to accept, or fn(protocols, ctx) to select one
+ * @return {WebSocket}
+ */
+function upgrade(ctx, socket, head, options = {}) {
+    if (ctx.websocket) return ctx.websocket;
+    if (ctx.method !== "GET" || (ctx.get("Upgrade") || '').toLowerCase() !== "websocket")
+        ctx.throw(400, "Invalid WebSocket upgrade request");
+    if (ctx.get("Sec-WebSocket-Version") !== "13")
+        ctx.throw(426, "Unsupported WebSocket version", { headers: { "Sec-WebSocket-Version": "13" } });
+    const key = ctx.get("Sec-WebSocket-Key").trim();
+    if (!KEY_REGEXP.test(key)) ctx.throw(400, "Invalid Sec-WebSocket-Key");
+
+    const protocols = ctx.get("Sec-WebSocket-Protocol").split(",").map(protocol => protocol.trim()).filter(Boolean);
+    let { protocol } = options;
+    if (typeof protocol === "function") protocol = protocol(protocols, ctx);
+    protocol = protocol && protocols.includes(protocol) ? protocol : '';
+
+    const { res } = ctx;
+    ["Content-Type", "Content-Length", "Transfer-Encoding"].forEach(field => ctx.remove(field));
+    res.writeHead(101, {
+        Upgrade: "websocket",
+        Connection: "Upgrade",
+        "Sec-WebSocket-Accept": createHash("sha1").update(key + GUID).digest("base64"),
+        ...protocol && { "Sec-WebSocket-Protocol": protocol }
+    });
+    res.flushHeaders();
+    ctx.respond = false;
+    debug("upgrade %s %s", ctx.path, protocol || "-");
+
+    const websocket = ctx.websocket = new WebSocket(socket, head, { ...options, protocol });
+    // going away when the application is closing
+    closeWithApp(ctx.app, websocket, () => websocket.close(1001, "Server shutting down"));
+    return websocket;
+}
+
+/**
+ * Check the close code can be sent on the wire.
+ * @param {number} code
+ * @return {boolean}
+ */
+function isValidCloseCode(code) {
+    return (code >= 1000 && code <= 1014 && code !== 1004 && code !== 1005 && code !== 1006) ||
+        (code >= 3000 && code <= 4999);
+}
+
+/**
+ * Convert data to a Buffer without copying.
+ * @param {Buffer|ArrayBuffer|ArrayBufferView} data
+ * @return {Buffer}
+ */
+function toBuffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    throw new TypeError("WebSocket data must be a string, Buffer, ArrayBuffer or ArrayBufferView");
+}
+
+/**
+ * Convert control frame data to a Buffer of at most 125 bytes.
+ * @param {string|Buffer} data
+ * @return {Buffer}
+ */
+function toControlPayload(data) {
+    const payload = typeof data === "string" ? Buffer.from(data) : toBuffer(data);
+    if (payload.length > 125) throw new RangeError("Control frame payload must not exceed 125 bytes");
+    return payload;
+}
+
+module.exports = upgrade;
+module.exports.upgrade = upgrade;
+module.exports.WebSocket = WebSocket;
+module.exports.WebSocketError = WebSocketError;
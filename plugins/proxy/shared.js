@@ -1,6 +1,9 @@
 const { parse } = require("node:url");
+const { randomUUID } = require("node:crypto");
 
 const UPGRADE_HEADER = /(^|,)\s*upgrade\s*($|,)/i;
+// printable and short enough to be safe in logs, like the request ids of the express application
+const REQUEST_ID_REGEXP = /^[\w.:@\/+=-]{1,200}$/;
 
 const shared = {
     isSSL: /^https|wss/,
@@ -36,6 +39,9 @@ const shared = {
         outgoing.agent = options.agent || false;
         outgoing.localAddress = options.localAddress;
 
+        // abort the proxied request with the incoming one, e.g. `ctx.signal`
+        if (options.signal) outgoing.signal = options.signal;
+
         if (!outgoing.agent) {
             outgoing.headers = outgoing.headers || {};
             if (typeof outgoing.headers.connection !== "string" || !UPGRADE_HEADER.test(outgoing.headers.connection)) {
@@ -82,6 +88,18 @@ const shared = {
         const res = req.headers.host ? req.headers.host.match(/:(\d+)/) : '';
         return res ? res[1] : shared.hasEncryptedConnection(req) ? "443" : "80";
     },
+    /**
+     * Ensure the request carries a request id header, generating one when missing or malformed
+     * so the target logs the same id as the proxy.
+     * @param {Request} req Incoming HTTP request.
+     * @param {boolean|string} header `true` for "x-request-id" or the header name
+     * @return {string} The request id.
+     */
+    setRequestId(req, header) {
+        header = (header === true ? "x-request-id" : header).toLowerCase();
+        const id = req.headers[header];
+        return req.headers[header] = typeof id === "string" && REQUEST_ID_REGEXP.test(id) ? id : randomUUID();
+    },
     /**
      * Check if the request has an encrypted connection.
      * @param {Request} req Incoming HTTP request.
@@ -52,6 +52,16 @@ module.exports = {
         );
         req.headers["x-forwarded-host"] = req.headers["x-forwarded-host"] || req.headers["host"] || '';
     },
+    /**
+     * Forwards the request id, generating one if specified in config.
+     * @param {ClientRequest} req Request object
+     * @param {IncomingMessage} res Response object
+     * @param {object} options Config object passed to the proxy
+     */
+    requestId(req, res, options) {
+        if(!options.requestId) return;
+        shared.setRequestId(req, options.requestId);
+    },
     /**
      * Does the actual proxying. If `forward` is enabled fires up a ForwardStream,
      * same happens for ProxyStream. The request just dies otherwise.
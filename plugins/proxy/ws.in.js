@@ -39,6 +39,16 @@ module.exports = {
                 values[header];
         });
     },
+    /**
+     * Forwards the request id, generating one if specified in config.
+     * @param {ClientRequest} req Request object
+     * @param {Socket} socket
+     * @param {object} options Config object passed to the proxy
+     */
+    requestId(req, socket, options) {
+        if(!options.requestId) return;
+        shared.setRequestId(req, options.requestId);
+    },
     /**
      * Does the actual proxying. Make the request and upgrade it send the Switching Protocols request and pipe the sockets.
      * @param {ClientRequest} req Request object
@@ -0,0 +1 @@
+<html><title>{{title}}</title><body>{{> header}}{{{body}}}</body></html>
@@ -0,0 +1 @@
+<header>{{site}}</header>
\ No newline at end of file
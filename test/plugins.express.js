@@ -1783,6 +1783,71 @@ describe("Express test", () => {
             assert.strictEqual(ctx.stale, false);
         });
     });
+    describe("req preconditionFailed test", () => {
+        it("should return false without preconditions", () => {
+            const ctx = testContext();
+            ctx.set("ETag", '"123"');
+            assert.strictEqual(ctx.preconditionFailed, false);
+        });
+        it("should return false when If-Match matches", () => {
+            const ctx = testContext();
+            ctx.req.headers["if-match"] = '"abc", "123"';
+            ctx.set("ETag", '"123"');
+            assert.strictEqual(ctx.preconditionFailed, false);
+        });
+        it("should return true when If-Match does not match", () => {
+            const ctx = testContext();
+            ctx.req.headers["if-match"] = '"abc"';
+            ctx.set("ETag", '"123"');
+            assert.strictEqual(ctx.preconditionFailed, true);
+        });
+        it("should return true when If-Match is compared to a weak tag", () => {
+            const ctx = testContext();
+            ctx.req.headers["if-match"] = 'W/"123"';
+            ctx.set("ETag", 'W/"123"');
+            assert.strictEqual(ctx.preconditionFailed, true);
+        });
+        it("should match any existing resource with *", () => {
+            const ctx = testContext();
+            ctx.req.headers["if-match"] = "*";
+            ctx.status = 200;
+            assert.strictEqual(ctx.preconditionFailed, false);
+            ctx.status = 404;
+            assert.strictEqual(ctx.preconditionFailed, true);
+        });
+        it("should compare If-Unmodified-Since with Last-Modified", () => {
+            const ctx = testContext();
+            ctx.req.headers["if-unmodified-since"] = new Date(2000, 1, 1).toUTCString();
+            ctx.lastModified = new Date(2000, 1, 1);
+            assert.strictEqual(ctx.preconditionFailed, false);
+            ctx.lastModified = new Date(2001, 1, 1);
+            assert.strictEqual(ctx.preconditionFailed, true);
+        });
+        it("should ignore If-Unmodified-Since when If-Match is present", () => {
+            const ctx = testContext();
+            ctx.req.headers["if-match"] = '"123"';
+            ctx.req.headers["if-unmodified-since"] = new Date(2000, 1, 1).toUTCString();
+            ctx.set("ETag", '"123"');
+            ctx.lastModified = new Date(2001, 1, 1);
+            assert.strictEqual(ctx.preconditionFailed, false);
+        });
+        it("should match * by the validators of the resource", async () => {
+            const app = new express();
+            app.use(ctx => {
+                if (ctx.path === "/shaders/1") ctx.etag = "rev-1";
+                ctx.assert(!ctx.preconditionFailed, 412);
+                ctx.status = 204;
+            });
+            const server = app.callback();
+            await request(server).put("/shaders/1").set("If-Match", "*").expect(204);
+            await request(server).put("/shaders/2").set("If-Match", "*").expect(412);
+            const ctx = testContext();
+            ctx.req.headers["if-match"] = "*";
+            assert.strictEqual(ctx.preconditionFailed, true);
+            ctx.lastModified = new Date(2000, 1, 1);
+            assert.strictEqual(ctx.preconditionFailed, false);
+        });
+    });
     describe("req idempotent test", () => {
         describe("when the request method is idempotent", () => {
             it("should return true", () => {
@@ -5422,4 +5487,2856 @@ describe("Express test", () => {
             request(app.callback()).get("/").expect("Content-Type", /html/).expect(/basic:html/).expect(200, done);
         });
     });
+    describe("app body parser test", () => {
+        it("should parse json body", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = { body: ctx.request.body, raw: ctx.request.rawBody });
+            request(app.callback()).post("/").send({ foo: "bar" }).expect(200, { body: { foo: "bar" }, raw: '{"foo":"bar"}' }, done);
+        });
+        it("should 400 on invalid json", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            request(app.callback()).post("/").set("Content-Type", "application/json").send('{"foo":').expect(400, /invalid JSON/, done);
+        });
+        it("should 400 on non object json in strict mode", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            request(app.callback()).post("/").set("Content-Type", "application/json").send('"foo"').expect(400, done);
+        });
+        it("should accept primitive json when not strict", done => {
+            const app = new express();
+            app.use(express.bodyParser({ strict: false }));
+            app.use(ctx => ctx.body = { value: ctx.request.body });
+            request(app.callback()).post("/").set("Content-Type", "application/json").send('"foo"').expect(200, { value: "foo" }, done);
+        });
+        it("should parse urlencoded body", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").type("form").send("name=shader&tag=noise&tag=fbm").expect(200, { name: "shader", tag: ["noise", "fbm"] }, done);
+        });
+        it("should parse text body", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").set("Content-Type", "text/plain").send("void main() {}").expect(200, "void main() {}", done);
+        });
+        it("should parse raw body as buffer", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => {
+                assert.ok(Buffer.isBuffer(ctx.request.body));
+                ctx.body = String(ctx.request.body.length);
+            });
+            request(app.callback()).post("/").set("Content-Type", "application/octet-stream").send(Buffer.alloc(16)).expect(200, "16", done);
+        });
+        it("should respect declared charset", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").set("Content-Type", "text/plain; charset=latin1").send(Buffer.from([0x63, 0x61, 0x66, 0xe9])).expect(200, "café", done);
+        });
+        it("should 415 on unsupported charset", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            request(app.callback()).post("/").set("Content-Type", "text/plain; charset=x-bogus").send("hello").expect(415, done);
+        });
+        it("should 413 when over the limit", done => {
+            const app = new express();
+            app.use(express.bodyParser({ textLimit: "1kb" }));
+            request(app.callback()).post("/").set("Content-Type", "text/plain").send("a".repeat(2048)).expect(413, done);
+        });
+        it("should decode gzip body", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").set("Content-Type", "application/json").set("Content-Encoding", "gzip").
+                serialize(body => body).send(zlib.gzipSync('{"name":"gzip"}')).expect(200, { name: "gzip" }, done);
+        });
+        it("should decode br body", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").set("Content-Type", "application/json").set("Content-Encoding", "br").
+                serialize(body => body).send(zlib.brotliCompressSync('{"name":"br"}')).expect(200, { name: "br" }, done);
+        });
+        it("should 413 when decoded body exceeds the limit", done => {
+            const app = new express();
+            app.use(express.bodyParser({ textLimit: "1kb" }));
+            request(app.callback()).post("/").set("Content-Type", "text/plain").set("Content-Encoding", "gzip").
+                send(zlib.gzipSync("a".repeat(4096))).expect(413, done);
+        });
+        it("should 415 on unsupported content encoding", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            request(app.callback()).post("/").set("Content-Type", "text/plain").set("Content-Encoding", "compress").send("hello").expect(415, done);
+        });
+        it("should default to an empty object without body", done => {
+            const app = new express();
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).get("/").expect(200, {}, done);
+        });
+        it("should skip disabled types", done => {
+            const app = new express();
+            app.use(express.bodyParser({ enableTypes: ["json"] }));
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").set("Content-Type", "text/plain").send("hello").expect(200, {}, done);
+        });
+        it("should support custom onerror", done => {
+            const app = new express();
+            app.use(express.bodyParser({ onerror: (err, ctx) => ctx.throw(422, "custom body error") }));
+            request(app.callback()).post("/").set("Content-Type", "application/json").send("{").expect(422, "custom body error", done);
+        });
+        it("should throw on invalid enable type", () => {
+            assert.throws(() => express.bodyParser({ enableTypes: ["xml"] }), TypeError);
+        });
+        it("should fail through ctx.throw", async () => {
+            const app = new express();
+            const thrown = [];
+            const { throw: contextThrow } = app.context;
+            app.context.throw = function (...args) {
+                thrown.push(args[0]);
+                return contextThrow.apply(this, args);
+            };
+            app.use(express.bodyParser({ jsonLimit: 10 }));
+            const server = app.callback();
+            await request(server).post("/").set("Content-Type", "application/json").send('{"foo":"barbazqux"}').expect(413);
+            await request(server).post("/").set("Content-Type", "application/json").set("Content-Encoding", "zip").send("{}").expect(415);
+            assert.deepStrictEqual(thrown, [413, 415]);
+        });
+    });
+    describe("app multipart test", () => {
+        it("should parse fields and files in memory", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory" }));
+            app.use(ctx => {
+                const { texture } = ctx.request.files;
+                ctx.body = {
+                    fields: ctx.request.fields,
+                    name: texture.originalName,
+                    mimeType: texture.mimeType,
+                    size: texture.size,
+                    content: texture.buffer.toString()
+                };
+            });
+            request(app.callback()).post("/").field("title", "noise").field("tag", "a").field("tag", "b").
+                attach("texture", Buffer.from("pixels"), { filename: "noise.png", contentType: "image/png" }).
+                expect(200, { fields: { title: "noise", tag: ["a", "b"] }, name: "noise.png", mimeType: "image/png", size: 6, content: "pixels" }, done);
+        });
+        it("should expose fields as body", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory" }));
+            app.use(ctx => ctx.body = ctx.request.body);
+            request(app.callback()).post("/").field("title", "noise").expect(200, { title: "noise" }, done);
+        });
+        it("should store files on disk and remove them when finished", done => {
+            const app = new express();
+            let file;
+            app.use(express.multipart());
+            app.use(ctx => {
+                file = ctx.request.files.texture;
+                ctx.body = fs.readFileSync(file.path, "utf-8");
+            });
+            request(app.callback()).post("/").attach("texture", Buffer.from("x".repeat(100000)), "big.bin").expect(200).end((err, res) => {
+                if (err) return done(err);
+                assert.strictEqual(res.text.length, 100000);
+                assert.strictEqual(file.size, 100000);
+                setTimeout(() => {
+                    assert.ok(!fs.existsSync(file.path));
+                    done();
+                }, 50);
+            });
+        });
+        it("should keep files when cleanup is disabled", done => {
+            const app = new express();
+            let file;
+            app.use(express.multipart({ cleanup: false }));
+            app.use(ctx => { file = ctx.request.files.texture; ctx.status = 204; });
+            request(app.callback()).post("/").attach("texture", Buffer.from("keep"), "keep.txt").expect(204).end(err => {
+                if (err) return done(err);
+                setTimeout(() => {
+                    assert.ok(fs.existsSync(file.path));
+                    fs.unlinkSync(file.path);
+                    done();
+                }, 50);
+            });
+        });
+        it("should support custom storage", done => {
+            const app = new express();
+            const storage = {
+                async handleFile(file, stream) {
+                    let length = 0;
+                    for await (const chunk of stream) length += chunk.length;
+                    return { url: `/textures/${file.originalName}`, length };
+                }
+            };
+            app.use(express.multipart({ storage }));
+            app.use(ctx => ctx.body = { url: ctx.request.files.texture.url, length: ctx.request.files.texture.length });
+            request(app.callback()).post("/").attach("texture", Buffer.from("abc"), "a.png").expect(200, { url: "/textures/a.png", length: 3 }, done);
+        });
+        it("should 413 when a file exceeds the limit", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory", limits: { fileSize: "1kb" } }));
+            app.use(ctx => ctx.status = 204);
+            request(app.callback()).post("/").attach("texture", Buffer.alloc(4096), "big.bin").expect(413, done);
+        });
+        it("should 413 when the body exceeds the total limit", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory", limits: { totalSize: "2kb" } }));
+            app.use(ctx => ctx.status = 204);
+            request(app.callback()).post("/").attach("a", Buffer.alloc(1500), "a.bin").attach("b", Buffer.alloc(1500), "b.bin").expect(413, done);
+        });
+        it("should 413 when too many files", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory", limits: { files: 1 } }));
+            app.use(ctx => ctx.status = 204);
+            request(app.callback()).post("/").attach("a", Buffer.from("a"), "a.bin").attach("b", Buffer.from("b"), "b.bin").expect(413, done);
+        });
+        it("should 415 when mime type not accepted", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory", accept: ["image/*", "audio/*"] }));
+            app.use(ctx => ctx.status = 204);
+            request(app.callback()).post("/").attach("shader", Buffer.from("void main() {}"), { filename: "a.glsl", contentType: "text/plain" }).expect(415, done);
+        });
+        it("should accept matched mime types", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory", accept: ["image/*", "audio/*"] }));
+            app.use(ctx => ctx.body = ctx.request.files.channel.mimeType);
+            request(app.callback()).post("/").attach("channel", Buffer.from("RIFF"), { filename: "a.wav", contentType: "audio/wav" }).expect(200, "audio/wav", done);
+        });
+        it("should 400 on truncated body", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory" }));
+            app.use(ctx => ctx.status = 204);
+            request(app.callback()).post("/").set("Content-Type", "multipart/form-data; boundary=xyz").
+                send('--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\nvalue').expect(400, done);
+        });
+        it("should 400 without boundary", done => {
+            const app = new express();
+            app.use(express.multipart());
+            request(app.callback()).post("/").set("Content-Type", "multipart/form-data").send("").expect(400, done);
+        });
+        it("should ignore other content types", done => {
+            const app = new express();
+            app.use(express.multipart());
+            app.use(ctx => ctx.body = String(ctx.request.files));
+            request(app.callback()).post("/").send({ a: 1 }).expect(200, "undefined", done);
+        });
+        it("should parse chunks split across the boundary", async () => {
+            const { MultipartParser } = require("../plugins/express/multipart.js");
+            const body = Buffer.from('--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\nhello\r\n--xy world\r\n--xyz--\r\n');
+            const values = [];
+            const parser = new MultipartParser("xyz", part => {
+                const chunks = [];
+                part.stream.on("data", chunk => chunks.push(chunk));
+                part.stream.on("end", () => values.push(Buffer.concat(chunks).toString()));
+            });
+            for (let i = 0; i < body.length; i++) parser.write(body.subarray(i, i + 1));
+            await new Promise((resolve, reject) => parser.end(err => err ? reject(err) : resolve()));
+            assert.deepStrictEqual(values, ["hello\r\n--xy world"]);
+        });
+        it("should drop part names touching the prototype", done => {
+            const app = new express();
+            app.use(express.multipart({ storage: "memory" }));
+            app.use(ctx => {
+                const { fields, files } = ctx.request;
+                ctx.body = { polluted: fields.isAdmin === true || "isAdmin" in files, fields: Object.keys(fields), files: Object.keys(files) };
+            });
+            request(app.callback()).post("/").field("__proto__", "polluted").field("constructor", "x").field("title", "noise").
+                attach("__proto__", Buffer.from("pixels"), { filename: "noise.png", contentType: "image/png" }).
+                expect(200, { polluted: false, fields: ["title"], files: [] }, done);
+        });
+    });
+    describe("app session test", () => {
+        const { EventEmitter } = require("node:events");
+        const { MemoryStore, ClusterStore } = require("../plugins/express/session.js");
+        function sessionApp(options) {
+            const app = new express({ keys: ["shader", "lab"] });
+            app.use(express.session(options));
+            app.use(ctx => {
+                switch (ctx.path) {
+                    case "/set":
+                        ctx.session.views = (ctx.session.views || 0) + 1;
+                        ctx.body = ctx.session.views;
+                        break;
+                    case "/get":
+                        ctx.body = String(ctx.session.views ?? "none");
+                        break;
+                    case "/login":
+                        return ctx.session.regenerate().then(session => {
+                            session.user = "alice";
+                            ctx.body = session.isNew;
+                        });
+                    case "/user":
+                        ctx.body = ctx.session.user || "anonymous";
+                        break;
+                    case "/logout":
+                        ctx.session = null;
+                        ctx.status = 204;
+                        break;
+                    default:
+                        ctx.status = 204;
+                }
+            });
+            return app;
+        }
+        it("should not set cookie when session is untouched", done => {
+            request(sessionApp().callback()).get("/").expect(204).expect(res => assert.ok(!res.headers["set-cookie"])).end(done);
+        });
+        it("should not set cookie when session is new and empty", done => {
+            request(sessionApp().callback()).get("/get").expect("none").expect(res => assert.ok(!res.headers["set-cookie"])).end(done);
+        });
+        it("should persist in signed cookie", async () => {
+            const agent = request.agent(sessionApp().callback());
+            await agent.get("/set").expect(200, "1").expect("Set-Cookie", /express\.sess=.*express\.sess\.sig=/s);
+            await agent.get("/set").expect(200, "2");
+            await agent.get("/get").expect(200, "2");
+        });
+        it("should reject tampered cookie", async () => {
+            const app = sessionApp();
+            const res = await request(app.callback()).get("/set").expect(200);
+            const cookies = res.headers["set-cookie"].map(cookie => cookie.split(";")[0]);
+            const forged = Buffer.from(JSON.stringify({ views: 100 })).toString("base64");
+            const tampered = cookies.map(cookie => cookie.startsWith("express.sess=") ? `express.sess=${forged}` : cookie);
+            await request(app.callback()).get("/get").set("Cookie", tampered.join("; ")).expect("none");
+        });
+        it("should only save dirty sessions", async () => {
+            const agent = request.agent(sessionApp().callback());
+            await agent.get("/set").expect(200);
+            await agent.get("/get").expect(200).expect(res => assert.ok(!res.headers["set-cookie"]));
+        });
+        it("should refresh cookie on every response when rolling", async () => {
+            const agent = request.agent(sessionApp({ rolling: true }).callback());
+            await agent.get("/set").expect(200);
+            await agent.get("/get").expect(200).expect("Set-Cookie", /express\.sess=/);
+        });
+        it("should expire session after absolute lifetime", async () => {
+            const agent = request.agent(sessionApp({ rolling: true, absolute: 30 }).callback());
+            await agent.get("/set").expect(200, "1");
+            await agent.get("/get").expect(200, "1");
+            await new Promise(resolve => setTimeout(resolve, 50));
+            await agent.get("/get").expect(200, "none");
+        });
+        it("should expire session after maxAge", async () => {
+            const app = sessionApp({ maxAge: 20 });
+            const res = await request(app.callback()).get("/set").expect(200);
+            const cookie = res.headers["set-cookie"].map(cookie => cookie.split(";")[0]).join("; ");
+            await new Promise(resolve => setTimeout(resolve, 40));
+            await request(app.callback()).get("/get").set("Cookie", cookie).expect(200, "none");
+        });
+        it("should destroy session when set to null", async () => {
+            const agent = request.agent(sessionApp().callback());
+            await agent.get("/set").expect(200);
+            await agent.get("/logout").expect(204).expect("Set-Cookie", /express\.sess=;.*expires=Thu, 01 Jan 1970/);
+            await agent.get("/get").expect(200, "none");
+        });
+        it("should throw without app keys", done => {
+            const app = new express();
+            app.use(express.session());
+            app.use(ctx => ctx.session.a = 1);
+            app.silent = true;
+            request(app.callback()).get("/").expect(500, done);
+        });
+        it("should throw on invalid session assignment", done => {
+            const app = new express({ keys: ["a"] });
+            app.use(express.session());
+            app.use(ctx => ctx.session = "invalid");
+            app.silent = true;
+            request(app.callback()).get("/").expect(500, done);
+        });
+        it("should store session in memory store", async () => {
+            const store = new MemoryStore();
+            const agent = request.agent(sessionApp({ store }).callback());
+            await agent.get("/set").expect(200, "1");
+            await agent.get("/set").expect(200, "2");
+            assert.strictEqual(store.sessions.size, 1);
+            assert.strictEqual([...store.sessions.values()][0].value.views, 2);
+            store.close();
+        });
+        it("should regenerate session id on login", async () => {
+            const store = new MemoryStore();
+            const agent = request.agent(sessionApp({ store }).callback());
+            const first = await agent.get("/set").expect(200);
+            const second = await agent.get("/login").expect(200, "true");
+            assert.notStrictEqual(first.headers["set-cookie"][0].split(";")[0], second.headers["set-cookie"][0].split(";")[0]);
+            assert.strictEqual(store.sessions.size, 1);
+            await agent.get("/user").expect("alice");
+            await agent.get("/get").expect("none");
+            store.close();
+        });
+        it("should sweep expired sessions from memory store", () => {
+            const store = new MemoryStore();
+            store.set("a", { views: 1 }, -1);
+            store.set("b", { views: 1 }, 1000);
+            store.sweep();
+            assert.deepStrictEqual([...store.sessions.keys()], ["b"]);
+            assert.strictEqual(store.get("a"), undefined);
+            store.close();
+        });
+        it("should replicate sessions through cluster store bus", async () => {
+            const emitter = new EventEmitter();
+            const bus = {
+                on: (eventName, fn) => emitter.on(eventName, fn),
+                send: (eventName, payload) => emitter.emit(eventName, eventName, payload)
+            };
+            const storeA = new ClusterStore({ bus }), storeB = new ClusterStore({ bus });
+            const appA = sessionApp({ store: storeA }), appB = sessionApp({ store: storeB });
+            const res = await request(appA.callback()).get("/set").expect(200, "1");
+            const cookie = res.headers["set-cookie"].map(cookie => cookie.split(";")[0]).join("; ");
+            await request(appB.callback()).get("/set").set("Cookie", cookie).expect(200, "2");
+            await request(appA.callback()).get("/get").set("Cookie", cookie).expect(200, "2");
+            await request(appB.callback()).get("/logout").set("Cookie", cookie).expect(204);
+            assert.strictEqual(storeA.sessions.size, 0);
+            storeA.close();
+            storeB.set("closed", { views: 1 });
+            assert.strictEqual(storeA.sessions.size, 0);
+            storeB.close();
+        });
+        it("should require a bus without thread plugin", () => {
+            assert.throws(() => new ClusterStore(), TypeError);
+        });
+    });
+    describe("app conditional test", () => {
+        const { entityTag } = require("../plugins/express/conditional.js");
+        it("should generate strong tags for strings and buffers", () => {
+            assert.strictEqual(entityTag(''), '"0-2jmj7l5rSw0yVb/vlWAYkK/YBwk"');
+            assert.strictEqual(entityTag("beep boop"), '"9-fINXV39R1PCo05OqGqr7KIY9lCE"');
+            assert.strictEqual(entityTag(Buffer.from("beep boop")), '"9-fINXV39R1PCo05OqGqr7KIY9lCE"');
+            assert.strictEqual(entityTag("beep boop", { weak: true }), 'W/"9-fINXV39R1PCo05OqGqr7KIY9lCE"');
+        });
+        it("should generate weak tags for stats", () => {
+            const stats = fs.statSync(path.join(__dirname, "fixtures/hello.txt"));
+            assert.strictEqual(entityTag(stats), `W/"${stats.size.toString(16)}-${stats.mtime.getTime().toString(16)}"`);
+            assert.ok(!entityTag(stats, { weak: false }).startsWith("W/"));
+        });
+        it("should throw on invalid entity", () => {
+            assert.throws(() => entityTag(42), TypeError);
+        });
+        it("should set etag for string bodies", done => {
+            const app = new express();
+            app.use(express.etag());
+            app.use(ctx => ctx.body = "beep boop");
+            request(app.callback()).get("/").expect("ETag", '"9-fINXV39R1PCo05OqGqr7KIY9lCE"').expect(200, done);
+        });
+        it("should set weak etag when configured", done => {
+            const app = new express();
+            app.use(express.etag({ weak: true }));
+            app.use(ctx => ctx.body = Buffer.from("beep boop"));
+            request(app.callback()).get("/").expect("ETag", 'W/"9-fINXV39R1PCo05OqGqr7KIY9lCE"').expect(200, done);
+        });
+        it("should set etag for json bodies", done => {
+            const app = new express();
+            app.use(express.etag());
+            app.use(ctx => ctx.body = { foo: "bar" });
+            request(app.callback()).get("/").expect("ETag", entityTag('{"foo":"bar"}')).expect(200, done);
+        });
+        it("should set weak etag for sent files", done => {
+            const app = new express();
+            const stats = fs.statSync(path.join(__dirname, "fixtures/hello.txt"));
+            app.use(express.etag());
+            app.use(express.static(path.join(__dirname, "fixtures")));
+            request(app.callback()).get("/hello.txt").expect("ETag", entityTag(stats)).expect(200, done);
+        });
+        it("should not overwrite existing etag", done => {
+            const app = new express();
+            app.use(express.etag());
+            app.use(ctx => { ctx.etag = "v1"; ctx.body = "beep boop"; });
+            request(app.callback()).get("/").expect("ETag", '"v1"').expect(200, done);
+        });
+        it("should not set etag for error responses", done => {
+            const app = new express();
+            app.use(express.etag());
+            app.use(ctx => { ctx.status = 400; ctx.body = "bad"; });
+            request(app.callback()).get("/").expect(res => assert.ok(!res.headers.etag)).expect(400, done);
+        });
+        it("should respond 304 when fresh", done => {
+            const app = new express();
+            app.use(express.conditional());
+            app.use(express.etag());
+            app.use(ctx => ctx.body = "beep boop");
+            request(app.callback()).get("/").set("If-None-Match", '"9-fINXV39R1PCo05OqGqr7KIY9lCE"').expect(304, '', done);
+        });
+        it("should respond 304 for fresh files", done => {
+            const app = new express();
+            app.use(express.conditional());
+            app.use(express.static(path.join(__dirname, "fixtures")));
+            const stats = fs.statSync(path.join(__dirname, "fixtures/hello.txt"));
+            request(app.callback()).get("/hello.txt").set("If-Modified-Since", new Date(stats.mtime.getTime() + 1000).toUTCString()).expect(304, done);
+        });
+        it("should respond 200 when stale", done => {
+            const app = new express();
+            app.use(express.conditional());
+            app.use(express.etag());
+            app.use(ctx => ctx.body = "beep boop");
+            request(app.callback()).get("/").set("If-None-Match", '"other"').expect(200, "beep boop", done);
+        });
+        it("should respond 412 when If-Match fails on GET", done => {
+            const app = new express();
+            app.use(express.conditional());
+            app.use(express.etag());
+            app.use(ctx => ctx.body = "beep boop");
+            request(app.callback()).get("/").set("If-Match", '"other"').expect(412, done);
+        });
+        it("should reject modification of a changed resource", done => {
+            const app = new express();
+            const shader = { revision: "r2", updatedAt: new Date(2020, 1, 1) };
+            app.use(express.conditional());
+            app.use(ctx => {
+                ctx.etag = shader.revision;
+                ctx.assert(!ctx.preconditionFailed, 412);
+                ctx.status = 204;
+            });
+            request(app.callback()).put("/").set("If-Match", '"r1"').expect(412, () => {
+                request(app.callback()).delete("/").set("If-Match", '"r2"').expect(204, done);
+            });
+        });
+        it("should reject modification after If-Unmodified-Since", done => {
+            const app = new express();
+            app.use(ctx => {
+                ctx.lastModified = new Date(2020, 1, 1);
+                ctx.assert(!ctx.preconditionFailed, 412);
+                ctx.status = 204;
+            });
+            request(app.callback()).delete("/").set("If-Unmodified-Since", new Date(2019, 1, 1).toUTCString()).expect(412, done);
+        });
+        it("should check the preconditions of unsafe methods with validators", async () => {
+            const app = new express();
+            app.silent = true;
+            const shaders = { 1: { revision: "r2", updatedAt: new Date(2024, 0, 2) } };
+            let updates = 0;
+            const router = express.router();
+            router.put("/shaders/:id", express.conditional({
+                validators: async ctx => {
+                    const shader = shaders[ctx.params.id];
+                    return shader && { etag: shader.revision, lastModified: shader.updatedAt };
+                }
+            }), ctx => {
+                updates++;
+                ctx.status = 204;
+            });
+            app.use(router.routes());
+            const server = app.callback();
+            await request(server).put("/shaders/1").set("If-Match", '"r1"').expect(412);
+            await request(server).put("/shaders/1").set("If-Match", 'W/"r2"').expect(412);
+            await request(server).put("/shaders/1").set("If-Unmodified-Since", new Date(2024, 0, 1).toUTCString()).expect(412);
+            await request(server).put("/shaders/2").set("If-Match", "*").expect(412);
+            assert.strictEqual(updates, 0);
+            await request(server).put("/shaders/1").set("If-Match", '"r1", "r2"').expect(204);
+            await request(server).put("/shaders/1").set("If-Match", "*").expect(204);
+            await request(server).put("/shaders/1").set("If-Unmodified-Since", new Date(2024, 0, 3).toUTCString()).expect(204);
+            await request(server).put("/shaders/2").expect(204);
+            assert.strictEqual(updates, 4);
+            assert.throws(() => express.conditional({ validators: {} }), /validators must be a function/);
+        });
+    });
+    describe("app send range test", () => {
+        const { send, parseRange } = require("../plugins/express/serve.js");
+        function rangeApp(opts) {
+            const app = new express();
+            app.use(async ctx => {
+                await send(ctx, ctx.path, { root: path.join(__dirname, "fixtures"), ...opts });
+            });
+            return app;
+        }
+        it("should parse ranges", () => {
+            assert.deepStrictEqual(parseRange(1000, "bytes=0-499"), [{ start: 0, end: 499 }]);
+            assert.deepStrictEqual(parseRange(1000, "bytes=-100"), [{ start: 900, end: 999 }]);
+            assert.deepStrictEqual(parseRange(1000, "bytes=900-"), [{ start: 900, end: 999 }]);
+            assert.deepStrictEqual(parseRange(1000, "bytes=0-1500"), [{ start: 0, end: 999 }]);
+            assert.deepStrictEqual(parseRange(1000, "bytes=0-10, 5-20, 40-50"), [{ start: 0, end: 20 }, { start: 40, end: 50 }]);
+            assert.strictEqual(parseRange(1000, "bytes=1000-"), -1);
+            assert.strictEqual(parseRange(1000, "items=0-1"), -2);
+            assert.strictEqual(parseRange(1000, "bytes=a-b"), -2);
+            assert.strictEqual(parseRange(1000, "bytes=500-100"), -2);
+            assert.strictEqual(parseRange(1000, "bytes=0-10, 500-100"), -2);
+        });
+        it("should advertise Accept-Ranges", done => {
+            request(rangeApp().callback()).get("/hello.txt").expect("Accept-Ranges", "bytes").expect(200, "world", done);
+        });
+        it("should not advertise when disabled", done => {
+            request(rangeApp({ acceptRanges: false }).callback()).get("/hello.txt").set("Range", "bytes=0-1").
+                expect(res => assert.ok(!res.headers["accept-ranges"])).expect(200, "world", done);
+        });
+        it("should respond 206 with a single range", done => {
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=1-3").
+                expect("Content-Range", "bytes 1-3/5").expect("Content-Length", "3").expect(206, "orl", done);
+        });
+        it("should respond 206 with a suffix range", done => {
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=-2").expect("Content-Range", "bytes 3-4/5").expect(206, "ld", done);
+        });
+        it("should respond multipart/byteranges with multiple ranges", done => {
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=0-0,3-4").buffer(true).parse((res, callback) => {
+                let data = '';
+                res.on("data", chunk => data += chunk);
+                res.on("end", () => callback(null, data));
+            }).expect(206).expect("Content-Type", /^multipart\/byteranges; boundary=/).end((err, res) => {
+                if (err) return done(err);
+                const boundary = res.headers["content-type"].split("boundary=")[1];
+                assert.strictEqual(res.body, `--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Range: bytes 0-0/5\r\n\r\nw\r\n` +
+                    `--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Range: bytes 3-4/5\r\n\r\nld\r\n--${boundary}--\r\n`);
+                assert.strictEqual(Number(res.headers["content-length"]), Buffer.byteLength(res.body));
+                done();
+            });
+        });
+        it("should respond 416 when unsatisfiable", done => {
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=10-20").expect("Content-Range", "bytes */5").expect(416, done);
+        });
+        it("should ignore malformed ranges", done => {
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=x-y").expect(200, "world", () => {
+                request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=3-1").expect(200, "world", done);
+            });
+        });
+        it("should ignore ranges for other methods", done => {
+            const app = new express();
+            app.use(async ctx => await send(ctx, "hello.txt", { root: path.join(__dirname, "fixtures") }));
+            request(app.callback()).post("/").set("Range", "bytes=0-1").expect(200, "world", done);
+        });
+        it("should respond 206 when If-Range date is fresh", done => {
+            const stats = fs.statSync(path.join(__dirname, "fixtures/hello.txt"));
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=0-1").set("If-Range", stats.mtime.toUTCString()).expect(206, "wo", done);
+        });
+        it("should respond 200 when If-Range date is stale", done => {
+            request(rangeApp().callback()).get("/hello.txt").set("Range", "bytes=0-1").set("If-Range", new Date(0).toUTCString()).expect(200, "world", done);
+        });
+        it("should compare If-Range etag strongly", done => {
+            const app = rangeApp({ setHeaders: res => res.setHeader("ETag", '"v1"') });
+            request(app.callback()).get("/hello.txt").set("Range", "bytes=0-1").set("If-Range", '"v1"').expect(206, "wo", () => {
+                request(app.callback()).get("/hello.txt").set("Range", "bytes=0-1").set("If-Range", '"v2"').expect(200, "world", done);
+            });
+        });
+        it("should not match If-Range with the weak etag of etag()", async () => {
+            const app = new express();
+            app.use(express.etag());
+            app.use(async ctx => await send(ctx, ctx.path, { root: path.join(__dirname, "fixtures") }));
+            const server = app.callback();
+            const { headers } = await request(server).get("/hello.txt").expect(200, "world");
+            assert.ok(headers.etag.startsWith("W/"));
+            await request(server).get("/hello.txt").set("Range", "bytes=0-1").set("If-Range", headers.etag).expect(200, "world");
+            await request(server).get("/hello.txt").set("Range", "bytes=0-1").set("If-Range", headers["last-modified"]).expect(206, "wo");
+        });
+        it("should serve identity bytes instead of precompressed variants", done => {
+            request(rangeApp().callback()).get("/gzip.json").set("Accept-Encoding", "gzip, br").set("Range", "bytes=2-7").
+                expect(res => assert.ok(!res.headers["content-encoding"])).expect("Content-Range", "bytes 2-7/18").expect(206, '"name"', done);
+        });
+        it("should not compress partial content", done => {
+            const app = new express();
+            app.use(express.compression({ threshold: 0 }));
+            app.use(async ctx => await send(ctx, "gzip.json", { root: path.join(__dirname, "fixtures") }));
+            request(app.callback()).get("/").set("Accept-Encoding", "gzip").set("Range", "bytes=2-7").
+                expect(res => assert.ok(!res.headers["content-encoding"])).expect(206, '"name"', done);
+        });
+    });
+    describe("app render engine test", () => {
+        const root = path.join(__dirname, "fixtures/views");
+        let compiled = 0;
+        function tpl(source, { partials = {} } = {}) {
+            compiled++;
+            source = source.replace(/{{>\s*(\w+)}}/g, (match, name) => partials[name] || '');
+            return locals => source.
+                replace(/{{{(\w+)}}}/g, (match, key) => locals[key] ?? '').
+                replace(/{{(\w+)}}/g, (match, key) => String(locals[key] ?? '').replace(/</g, "&lt;"));
+        }
+        it("should render with registered engine and merge ctx.state", done => {
+            const app = new express();
+            app.use(express.views(root, { extension: "tpl", engines: { tpl } }));
+            app.use(ctx => {
+                ctx.state.user = "<alice>";
+                return ctx.render("index", { title: "ShaderLab" });
+            });
+            request(app.callback()).get("/").expect("Content-Type", /html/).expect(200, "<h1>ShaderLab</h1>\n<p>&lt;alice></p>\n", done);
+        });
+        it("should let locals override ctx.state", done => {
+            const app = new express();
+            app.use(express.views(root, { extension: "tpl", engines: { tpl } }));
+            app.use(ctx => {
+                ctx.state.title = "state";
+                return ctx.render("index", { title: "local" });
+            });
+            request(app.callback()).get("/").expect(200, /<h1>local<\/h1>/, done);
+        });
+        it("should map extensions to engines", done => {
+            const app = new express();
+            app.use(express.views(root, { engines: { mustache: tpl }, map: { html: "mustache" } }));
+            app.use(ctx => ctx.render("plain"));
+            request(app.callback()).get("/").expect(200, "<p>plain</p>\n", done);
+        });
+        it("should render layouts with partials", done => {
+            const app = new express();
+            app.use(express.views(root, {
+                extension: "tpl",
+                engines: { tpl },
+                layout: "layouts/main",
+                partials: { header: "partials/header" }
+            }));
+            app.use(ctx => ctx.render("index", { title: "Home", site: "ShaderLab" }));
+            request(app.callback()).get("/").
+                expect(200, "<html><title>Home</title><body><header>ShaderLab</header><h1>Home</h1>\n<p></p>\n</body></html>\n", done);
+        });
+        it("should disable layout with locals", done => {
+            const app = new express();
+            app.use(express.views(root, { extension: "tpl", engines: { tpl }, layout: "layouts/main" }));
+            app.use(ctx => ctx.render("index", { title: "Home", layout: false }));
+            request(app.callback()).get("/").expect(200, "<h1>Home</h1>\n<p></p>\n", done);
+        });
+        it("should still send plain html without engine", done => {
+            const app = new express();
+            app.use(express.views(root));
+            app.use(ctx => ctx.render("plain"));
+            request(app.callback()).get("/").expect("Content-Type", /html/).expect(200, "<p>plain</p>\n", done);
+        });
+        it("should cache compiled templates in production", async () => {
+            const app = new express({ env: "production" });
+            app.use(express.views(root, { extension: "tpl", engines: { tpl } }));
+            app.use(ctx => ctx.render("index"));
+            compiled = 0;
+            await request(app.callback()).get("/").expect(200);
+            await request(app.callback()).get("/").expect(200);
+            assert.strictEqual(compiled, 1);
+        });
+        it("should not cache compiled templates in development", async () => {
+            const app = new express({ env: "development" });
+            app.use(express.views(root, { extension: "tpl", engines: { tpl } }));
+            app.use(ctx => ctx.render("index"));
+            compiled = 0;
+            await request(app.callback()).get("/").expect(200);
+            await request(app.callback()).get("/").expect(200);
+            assert.strictEqual(compiled, 2);
+        });
+        it("should support async engines", done => {
+            const app = new express();
+            app.use(express.views(root, { extension: "tpl", engines: { tpl: async source => async locals => source.replace(/{{(\w+)}}/g, (m, k) => locals[k] ?? '') } }));
+            app.use(ctx => ctx.render("index", { title: "async" }));
+            request(app.callback()).get("/").expect(200, /<h1>async<\/h1>/, done);
+        });
+        it("should 500 when engine does not return a template", done => {
+            const app = new express();
+            app.silent = true;
+            app.use(express.views(root, { extension: "tpl", engines: { tpl: () => "oops" } }));
+            app.use(ctx => ctx.render("index"));
+            request(app.callback()).get("/").expect(500, done);
+        });
+    });
+    describe("app static directory listing test", () => {
+        const root = path.join(__dirname, "fixtures");
+        it("should fall through without directoryListing", done => {
+            const app = new express();
+            app.use(express.static(root));
+            request(app.callback()).get("/some.path/").expect(404, done);
+        });
+        it("should list directory as html", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/").expect("Content-Type", /html/).expect(200).end((err, res) => {
+                if (err) return done(err);
+                assert.ok(res.text.includes("<title>Index of /</title>"));
+                assert.ok(res.text.includes('<a href="/hello.txt">hello.txt</a></td><td>5B</td>'));
+                assert.ok(res.text.includes('<a href="/world/">world/</a>'));
+                assert.ok(!res.text.includes(".hidden"));
+                assert.ok(!res.text.includes(".private"));
+                assert.ok(!res.text.includes("../"));
+                assert.ok(res.text.indexOf("world/") < res.text.indexOf("hello.txt"));
+                done();
+            });
+        });
+        it("should list directory as json", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/some.path").set("Accept", "application/json").expect(200).end((err, res) => {
+                if (err) return done(err);
+                assert.deepStrictEqual(res.body.map(({ name, type, size }) => ({ name, type, size })), [{ name: "index.json", type: "file", size: 29 }]);
+                assert.ok(!isNaN(Date.parse(res.body[0].mtime)));
+                done();
+            });
+        });
+        it("should link parent and entries of nested directories", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/some.path").expect(200).end((err, res) => {
+                if (err) return done(err);
+                assert.ok(res.text.includes('<a href="/">../</a>'));
+                assert.ok(res.text.includes('<a href="/some.path/index.json">index.json</a>'));
+                done();
+            });
+        });
+        it("should link the parent without trailing slash", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/views/partials").expect(200).end((err, res) => {
+                if (err) return done(err);
+                assert.ok(res.text.includes('<a href="/views/">../</a>'));
+                assert.ok(res.text.includes('<a href="/views/partials/header.tpl">header.tpl</a>'));
+                done();
+            });
+        });
+        it("should serve index instead of listing", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/world/").expect(200, /html/, done);
+        });
+        it("should sort by query", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/?sort=size&order=desc").set("Accept", "application/json").expect(200).end((err, res) => {
+                if (err) return done(err);
+                const files = res.body.filter(entry => entry.type === "file").map(entry => entry.size);
+                assert.deepStrictEqual(files, [...files].sort((a, b) => b - a));
+                assert.strictEqual(res.body[0].type, "directory");
+                done();
+            });
+        });
+        it("should sort by option", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: { sort: "name", order: "desc" } }));
+            request(app.callback()).get("/").set("Accept", "application/json").expect(200).end((err, res) => {
+                if (err) return done(err);
+                const files = res.body.filter(entry => entry.type === "file").map(entry => entry.name);
+                assert.deepStrictEqual(files, [...files].sort().reverse());
+                done();
+            });
+        });
+        it("should include hidden files when hidden is enabled", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true, hidden: true }));
+            request(app.callback()).get("/").set("Accept", "application/json").expect(200).end((err, res) => {
+                if (err) return done(err);
+                assert.ok(res.body.some(entry => entry.name === ".hidden"));
+                done();
+            });
+        });
+        it("should not list hidden directories", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/.private/").expect(404, done);
+        });
+        it("should 406 when neither html nor json is acceptable", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true }));
+            request(app.callback()).get("/").set("Accept", "image/png").expect(406, done);
+        });
+        it("should list in defer mode", done => {
+            const app = new express();
+            app.use(express.static(root, { directoryListing: true, defer: true }));
+            request(app.callback()).get("/some.path/").set("Accept", "application/json").expect(200, /index\.json/, done);
+        });
+    });
+    describe("ctx onerror negotiation test", () => {
+        const fail = (ctx, next) => ctx.throw(422, "invalid shader", { headers: { "X-Reason": "uniform" } });
+        it("should respond text by default", () => {
+            const app = new express();
+            app.use(fail);
+            return request(app.callback()).get("/").expect(422).expect("Content-Type", "text/plain; charset=utf-8").expect("X-Reason", "uniform").expect("invalid shader");
+        });
+        it("should respond problem details for json clients", async () => {
+            const app = new express({ env: "production" });
+            app.use(fail);
+            const res = await request(app.callback()).get("/").set("Accept", "application/json")
+                .expect(422).expect("Content-Type", "application/problem+json").expect("X-Reason", "uniform");
+            assert.deepStrictEqual(JSON.parse(res.text), { type: "about:blank", title: "Unprocessable Entity", status: 422, detail: "invalid shader" });
+        });
+        it("should hide the message of unexposed errors", async () => {
+            const app = new express({ env: "production" });
+            app.silent = true;
+            app.use(ctx => { throw new Error("secret"); });
+            const res = await request(app.callback()).get("/").set("Accept", "application/json").expect(500);
+            assert.deepStrictEqual(JSON.parse(res.text), { type: "about:blank", title: "Internal Server Error", status: 500 });
+        });
+        it("should include the stack in development", async () => {
+            const app = new express({ env: "development" });
+            app.silent = true;
+            app.use(ctx => { throw new Error("boom"); });
+            const res = await request(app.callback()).get("/").set("Accept", "application/json").expect(500);
+            assert.ok(JSON.parse(res.text).stack.startsWith("Error: boom"));
+        });
+        it("should respond an html page for browsers", async () => {
+            const app = new express({ env: "development" });
+            app.use(ctx => ctx.throw(404, "<shader> not found"));
+            const res = await request(app.callback()).get("/").set("Accept", "text/html,application/xhtml+xml,*/*;q=0.8")
+                .expect(404).expect("Content-Type", "text/html; charset=utf-8");
+            assert.ok(res.text.includes("<title>404 Not Found</title>"));
+            assert.ok(res.text.includes("&#60;shader&#62; not found"));
+            assert.ok(res.text.includes("<pre>NotFoundError"));
+        });
+        it("should not include the stack in production", async () => {
+            const app = new express({ env: "production" });
+            app.use(ctx => ctx.throw(404));
+            const res = await request(app.callback()).get("/").set("Accept", "text/html").expect(404);
+            assert.ok(!res.text.includes("<pre>"));
+        });
+        it("should use custom renderers", async () => {
+            const app = new express({
+                errorRenderers: {
+                    xml: (err, ctx) => `<error status="${ctx.status}">${err.message}</error>`,
+                    html: null
+                }
+            });
+            app.use(fail);
+            await request(app.callback()).get("/").set("Accept", "application/xml").expect(422)
+                .expect("Content-Type", "application/xml").expect('<error status="422">invalid shader</error>');
+            await request(app.callback()).get("/").set("Accept", "text/html").expect(422).expect("Content-Type", "text/plain; charset=utf-8");
+        });
+        it("should fall back to text when a renderer throws", () => {
+            const app = new express({ errorRenderers: { json: () => { throw new Error("render"); } } });
+            app.use(fail);
+            return request(app.callback()).get("/").set("Accept", "application/json").expect(422).expect("Content-Type", "text/plain; charset=utf-8").expect("invalid shader");
+        });
+    });
+    describe("app close test", () => {
+        const get = (port, path, agent) => new Promise((resolve, reject) => {
+            http.get({ port, path, agent }, res => {
+                let data = '';
+                res.on("data", chunk => data += chunk);
+                res.on("end", () => resolve({ headers: res.headers, data }));
+            }).on("error", reject);
+        });
+        it("should wait for in-flight requests", async () => {
+            const app = new express();
+            const events = [];
+            let release;
+            app.on("closing", () => events.push("closing"));
+            app.on("closed", () => events.push("closed"));
+            app.use(async ctx => {
+                if (ctx.path === "/slow") await new Promise(resolve => release = resolve);
+                ctx.body = ctx.path;
+            });
+            const server = app.listen();
+            await new Promise(resolve => server.once("listening", resolve));
+            const { port } = server.address();
+            const agent = new http.Agent({ keepAlive: true });
+            assert.strictEqual((await get(port, "/fast", agent)).headers.connection, "keep-alive");
+            const slow = get(port, "/slow", agent);
+            while (!release) await new Promise(resolve => setImmediate(resolve));
+            const closed = app.close();
+            assert.strictEqual(app.closing, true);
+            assert.deepStrictEqual(events, ["closing"]);
+            release();
+            const { headers, data } = await slow;
+            assert.strictEqual(data, "/slow");
+            assert.strictEqual(headers.connection, "close");
+            await closed;
+            assert.deepStrictEqual(events, ["closing", "closed"]);
+            assert.strictEqual(server.listening, false);
+            agent.destroy();
+        });
+        it("should return the same promise when called twice", async () => {
+            const app = new express();
+            app.listen();
+            const closed = app.close();
+            assert.strictEqual(app.close(), closed);
+            await closed;
+        });
+        it("should destroy busy sockets after timeout", async () => {
+            const app = new express();
+            let started = false;
+            app.use(() => {
+                started = true;
+                return new Promise(() => {});
+            });
+            const server = app.listen();
+            await new Promise(resolve => server.once("listening", resolve));
+            const pending = get(server.address().port, "/").then(() => null, err => err);
+            while (!started) await new Promise(resolve => setImmediate(resolve));
+            await app.close({ timeout: 50 });
+            assert.strictEqual((await pending).code, "ECONNRESET");
+        });
+        it("should resolve at once without servers or requests", async () => {
+            const app = new express();
+            await app.close();
+            assert.strictEqual(app.closing, true);
+        });
+    });
+    describe("app listen tls test", () => {
+        const https = require("node:https");
+        const http2 = require("node:http2");
+        const tls = {
+            key: fs.readFileSync(path.join(__dirname, "fixtures/agent2-key.pem")),
+            cert: fs.readFileSync(path.join(__dirname, "fixtures/agent2-cert.pem"))
+        };
+        const listening = server => new Promise(resolve => server.once("listening", () => resolve(server.address().port)));
+        const createApp = () => {
+            const app = new express();
+            app.use(ctx => {
+                ctx.body = { secure: ctx.secure, protocol: ctx.protocol, version: ctx.req.httpVersion, host: ctx.host };
+            });
+            return app;
+        }
+        const h2get = (port, path) => new Promise((resolve, reject) => {
+            const session = http2.connect(`https://localhost:${port}`, { rejectUnauthorized: false });
+            session.on("error", reject);
+            const stream = session.request({ ":path": path });
+            let data = '', headers;
+            stream.on("response", value => headers = value);
+            stream.on("data", chunk => data += chunk);
+            stream.on("end", () => {
+                session.close();
+                resolve({ headers, data });
+            });
+        });
+        it("should serve https", async () => {
+            const app = createApp();
+            const port = await listening(app.listen({ tls }));
+            const res = await new Promise((resolve, reject) => {
+                https.get({ port, rejectUnauthorized: false }, res => {
+                    let data = '';
+                    res.on("data", chunk => data += chunk);
+                    res.on("end", () => resolve(JSON.parse(data)));
+                }).on("error", reject);
+            });
+            assert.deepStrictEqual(res, { secure: true, protocol: "https", version: "1.1", host: `localhost:${port}` });
+            await app.close();
+        });
+        it("should pass the rest of options to server.listen", async () => {
+            const app = createApp();
+            const server = app.listen({ tls, port: 0, host: "127.0.0.1" });
+            await listening(server);
+            assert.strictEqual(server.address().address, "127.0.0.1");
+            await app.close();
+        });
+        it("should serve http2", async () => {
+            const app = createApp();
+            const port = await listening(app.listen({ tls, http2: true }));
+            const { headers, data } = await h2get(port, "/");
+            assert.strictEqual(headers[":status"], 200);
+            assert.deepStrictEqual(JSON.parse(data), { secure: true, protocol: "https", version: "2.0", host: `localhost:${port}` });
+            await app.close();
+        });
+        it("should allow http1 clients on http2 server", async () => {
+            const app = createApp();
+            const port = await listening(app.listen({ tls, http2: true }, 0));
+            const res = await new Promise((resolve, reject) => {
+                https.get({ port, rejectUnauthorized: false }, res => {
+                    let data = '';
+                    res.on("data", chunk => data += chunk);
+                    res.on("end", () => resolve(JSON.parse(data)));
+                }).on("error", reject);
+            });
+            assert.strictEqual(res.version, "1.1");
+            await app.close();
+        });
+        it("should respond status body on http2", async () => {
+            const app = new express();
+            const port = await listening(app.listen({ tls, http2: true }));
+            const { headers, data } = await h2get(port, "/");
+            assert.strictEqual(headers[":status"], 404);
+            assert.strictEqual(data, "404");
+            await app.close();
+        });
+        it("should close http2 sessions gracefully", async () => {
+            const app = new express();
+            let release;
+            app.use(async ctx => {
+                await new Promise(resolve => release = resolve);
+                ctx.body = "done";
+            });
+            const port = await listening(app.listen({ tls, http2: true }));
+            const pending = h2get(port, "/");
+            while (!release) await new Promise(resolve => setImmediate(resolve));
+            const closed = app.close();
+            release();
+            assert.strictEqual((await pending).data, "done");
+            await closed;
+        });
+    });
+    describe("app sse test", () => {
+        const listen = app => new Promise(resolve => {
+            const server = app.listen(0, () => resolve(server.address().port));
+        });
+        const open = (port, headers = {}) => new Promise((resolve, reject) => {
+            http.get({ port, headers: { Accept: "text/event-stream", "Accept-Encoding": "gzip", ...headers } }, resolve).on("error", reject);
+        });
+        const read = res => new Promise(resolve => {
+            let data = '';
+            res.setEncoding("utf-8");
+            res.on("data", chunk => data += chunk);
+            res.on("end", () => resolve(data));
+        });
+        it("should stream events without compression", async () => {
+            const app = new express();
+            app.use(express.compression({ threshold: 0 }));
+            app.use(ctx => {
+                const stream = ctx.sse({ retry: 3000, heartbeat: false });
+                stream.send("compiling");
+                stream.send({ errors: [] }, { event: "compiled", id: 42 });
+                stream.send("line 1\nline 2");
+                stream.comment("done");
+                setImmediate(() => stream.close());
+            });
+            const res = await open(await listen(app));
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers["content-type"], "text/event-stream; charset=utf-8");
+            assert.strictEqual(res.headers["cache-control"], "no-cache");
+            assert.strictEqual(res.headers["content-encoding"], undefined);
+            assert.strictEqual(res.headers["content-length"], undefined);
+            assert.strictEqual(await read(res), "retry: 3000\n\n" +
+                "data: compiling\n\n" +
+                'event: compiled\nid: 42\ndata: {"errors":[]}\n\n' +
+                "data: line 1\ndata: line 2\n\n" +
+                ": done\n\n");
+        });
+        it("should expose Last-Event-ID", async () => {
+            const app = new express();
+            let lastEventId;
+            app.use(ctx => {
+                const stream = ctx.sse();
+                lastEventId = stream.lastEventId;
+                stream.send("resumed", { id: 8 });
+                assert.strictEqual(stream.lastEventId, "8");
+                stream.close();
+            });
+            const res = await open(await listen(app), { "Last-Event-ID": "7" });
+            assert.strictEqual(await read(res), "id: 8\ndata: resumed\n\n");
+            assert.strictEqual(lastEventId, "7");
+        });
+        it("should send heartbeats", async () => {
+            const app = new express();
+            app.use(ctx => {
+                const stream = ctx.sse({ heartbeat: 10 });
+                setTimeout(() => stream.close(), 35);
+            });
+            const data = await read(await open(await listen(app)));
+            assert.ok(data.startsWith(":\n\n:\n\n"));
+        });
+        it("should clean up when the client disconnects", async () => {
+            const app = new express();
+            let stream;
+            app.use(ctx => {
+                stream = ctx.sse({ heartbeat: 10 });
+                stream.send("hello");
+            });
+            const res = await open(await listen(app));
+            await new Promise(resolve => res.once("data", resolve));
+            const closed = new Promise(resolve => stream.once("close", resolve));
+            res.destroy();
+            await closed;
+            assert.strictEqual(stream.active, false);
+            assert.strictEqual(stream.send("ignored"), false);
+            assert.strictEqual(app.listenerCount("closing"), 0);
+        });
+        it("should end streams when the application is closing", async () => {
+            const app = new express();
+            app.use(ctx => {
+                ctx.sse().send("hello");
+            });
+            const res = await open(await listen(app));
+            const data = read(res);
+            await app.close({ timeout: 1000 });
+            assert.strictEqual(await data, "data: hello\n\n");
+        });
+        it("should reject line breaks in fields", () => {
+            const stream = new express.EventStream({ heartbeat: false });
+            assert.throws(() => stream.send("data", { event: "a\nb" }), /must not contain line breaks/);
+            assert.throws(() => stream.send("data", { retry: -1 }), /non-negative integer/);
+            stream.destroy();
+        });
+        it("should send the headers before the first event", async () => {
+            const app = new express();
+            let stream;
+            app.use(ctx => {
+                stream = ctx.sse({ heartbeat: false });
+            });
+            const res = await open(await listen(app));
+            assert.strictEqual(res.statusCode, 200);
+            assert.strictEqual(res.headers["content-type"], "text/event-stream; charset=utf-8");
+            const data = read(res);
+            stream.send("later");
+            stream.close();
+            assert.strictEqual(await data, "data: later\n\n");
+        });
+        it("should share one closing listener between streams", async () => {
+            const app = new express();
+            const streams = [];
+            app.use(ctx => {
+                streams.push(ctx.sse({ heartbeat: false }));
+            });
+            const port = await listen(app);
+            const responses = await Promise.all(Array.from({ length: 12 }, () => open(port)));
+            assert.strictEqual(app.listenerCount("closing"), 1);
+            const data = Promise.all(responses.map(read));
+            streams.slice(1).forEach(stream => stream.close());
+            await Promise.all(responses.slice(1).map(res => new Promise(resolve => res.once("close", resolve))));
+            assert.strictEqual(app.listenerCount("closing"), 1);
+            await app.close({ timeout: 1000 });
+            assert.deepStrictEqual(await data, Array(12).fill(''));
+            assert.strictEqual(app.listenerCount("closing"), 0);
+        });
+    });
+    describe("app websocket test", () => {
+        const listen = app => new Promise(resolve => {
+            const server = app.listen(0, () => resolve(server.address().port));
+        });
+        const connect = (port, path, headers = {}) => new Promise((resolve, reject) => {
+            const req = http.get({
+                port,
+                path,
+                headers: {
+                    Connection: "Upgrade",
+                    Upgrade: "websocket",
+                    "Sec-WebSocket-Version": "13",
+                    "Sec-WebSocket-Key": crypto.randomBytes(16).toString("base64"),
+                    ...headers
+                }
+            });
+            req.on("upgrade", (res, socket, head) => {
+                socket.unshift(head);
+                resolve({ res, socket, frames: readFrames(socket) });
+            });
+            req.on("response", res => resolve({ res }));
+            req.on("error", reject);
+        });
+        // encode a masked client frame
+        const frame = (opcode, payload = '', fin = true) => {
+            payload = Buffer.from(payload);
+            const mask = crypto.randomBytes(4);
+            const length = payload.length < 126 ? [payload.length] : [126, payload.length >> 8, payload.length & 0xff];
+            const head = Buffer.from([(fin ? 0x80 : 0) | opcode, 0x80 | length[0], ...length.slice(1)]);
+            return Buffer.concat([head, mask, payload.map((byte, i) => byte ^ mask[i & 3])]);
+        }
+        // collect unmasked server frames
+        const readFrames = socket => {
+            const frames = [];
+            let buffered = Buffer.alloc(0);
+            socket.on("data", chunk => {
+                buffered = Buffer.concat([buffered, chunk]);
+                while (buffered.length >= 2) {
+                    let length = buffered[1] & 0x7f, offset = 2;
+                    if (length === 126) [length, offset] = [buffered.readUInt16BE(2), 4];
+                    if (buffered.length < offset + length) break;
+                    frames.push({ fin: !!(buffered[0] & 0x80), opcode: buffered[0] & 0x0f, payload: buffered.subarray(offset, offset + length) });
+                    buffered = buffered.subarray(offset + length);
+                }
+            });
+            frames.next = async count => {
+                while (frames.length < count) await new Promise(resolve => socket.once("data", () => setImmediate(resolve)));
+                return frames.splice(0, count);
+            }
+            return frames;
+        }
+        const closed = socket => new Promise(resolve => socket.once("close", resolve));
+        const echo = () => {
+            const app = new express();
+            app.ws("/echo/:id", ctx => {
+                ctx.websocket.on("message", (data, binary) => ctx.websocket.send(binary ? data : `${ctx.params.id}:${data}`));
+            });
+            return app;
+        }
+
+        it("should perform the handshake", async () => {
+            const app = echo();
+            const key = "dGhlIHNhbXBsZSBub25jZQ==";
+            const { res, socket } = await connect(await listen(app), "/echo/1", { "Sec-WebSocket-Key": key });
+            assert.strictEqual(res.statusCode, 101);
+            assert.strictEqual(res.headers.upgrade, "websocket");
+            assert.strictEqual(res.headers["sec-websocket-accept"], "s3pPLMBiTxaQ9kYGzzhZRbK+xOo=");
+            socket.destroy();
+        });
+        it("should echo text and binary messages", async () => {
+            const app = echo();
+            const { socket, frames } = await connect(await listen(app), "/echo/7");
+            socket.write(frame(1, "shader"));
+            socket.write(frame(2, Buffer.from([1, 2, 3])));
+            const [text, binary] = await frames.next(2);
+            assert.strictEqual(text.opcode, 1);
+            assert.strictEqual(text.payload.toString(), "7:shader");
+            assert.strictEqual(binary.opcode, 2);
+            assert.deepStrictEqual([...binary.payload], [1, 2, 3]);
+            socket.destroy();
+        });
+        it("should join fragments and answer pings between them", async () => {
+            const app = echo();
+            const { socket, frames } = await connect(await listen(app), "/echo/1");
+            socket.write(frame(1, "uni", false));
+            socket.write(frame(9, "ping"));
+            socket.write(frame(0, "form", false));
+            socket.write(frame(0, "s"));
+            const [pong, text] = await frames.next(2);
+            assert.strictEqual(pong.opcode, 10);
+            assert.strictEqual(pong.payload.toString(), "ping");
+            assert.strictEqual(text.payload.toString(), "1:uniforms");
+            socket.destroy();
+        });
+        it("should send large frames with extended length", async () => {
+            const app = echo();
+            const { socket, frames } = await connect(await listen(app), "/echo/1");
+            socket.write(frame(1, "x".repeat(300)));
+            const [text] = await frames.next(1);
+            assert.strictEqual(text.payload.length, 302);
+            socket.destroy();
+        });
+        it("should complete the close handshake", async () => {
+            const app = new express();
+            const result = new Promise(resolve => {
+                app.ws("/", ctx => ctx.websocket.on("close", (code, reason) => resolve({ code, reason })));
+            });
+            const { socket, frames } = await connect(await listen(app), "/");
+            socket.write(frame(8, Buffer.concat([Buffer.from([0x0f, 0xa0]), Buffer.from("bye")])));
+            const [close] = await frames.next(1);
+            assert.strictEqual(close.opcode, 8);
+            assert.strictEqual(close.payload.readUInt16BE(0), 4000);
+            await closed(socket);
+            assert.deepStrictEqual(await result, { code: 4000, reason: "bye" });
+        });
+        it("should fail the connection on protocol errors", async () => {
+            const app = new express();
+            let error;
+            app.ws("/", ctx => ctx.websocket.on("error", err => error = err));
+            const { socket, frames } = await connect(await listen(app), "/");
+            socket.write(Buffer.from([0x81, 0x01, 0x61]));
+            const [close] = await frames.next(1);
+            assert.strictEqual(close.payload.readUInt16BE(0), 1002);
+            assert.strictEqual(error.code, 1002);
+            socket.destroy();
+        });
+        it("should reject invalid utf-8 text", async () => {
+            const app = echo();
+            const { socket, frames } = await connect(await listen(app), "/echo/1");
+            socket.write(frame(1, Buffer.from([0xff, 0xfe])));
+            const [close] = await frames.next(1);
+            assert.strictEqual(close.payload.readUInt16BE(0), 1007);
+            socket.destroy();
+        });
+        it("should close messages over maxPayload", async () => {
+            const app = new express();
+            app.ws("/", (ctx, next) => ctx.upgrade({ maxPayload: 4 }) && next(), ctx => {});
+            const { socket, frames } = await connect(await listen(app), "/");
+            socket.write(frame(1, "too long"));
+            const [close] = await frames.next(1);
+            assert.strictEqual(close.payload.readUInt16BE(0), 1009);
+            socket.destroy();
+        });
+        it("should run the middleware chain before the handshake", async () => {
+            const app = new express();
+            app.use(async (ctx, next) => {
+                ctx.set("X-Request", "1");
+                await next();
+            });
+            app.ws("/private", (ctx, next) => {
+                ctx.assert(ctx.get("Authorization") === "token", 401);
+                return next();
+            }, ctx => ctx.websocket.send("welcome"));
+            const port = await listen(app);
+            const rejected = await connect(port, "/private");
+            assert.strictEqual(rejected.res.statusCode, 401);
+            assert.strictEqual(rejected.res.headers.connection, "close");
+            const { res, socket, frames } = await connect(port, "/private", { Authorization: "token" });
+            assert.strictEqual(res.statusCode, 101);
+            assert.strictEqual(res.headers["x-request"], "1");
+            const [welcome] = await frames.next(1);
+            assert.strictEqual(welcome.payload.toString(), "welcome");
+            socket.destroy();
+        });
+        it("should negotiate the subprotocol", async () => {
+            const app = new express();
+            let protocol;
+            app.ws("/", (ctx, next) => {
+                ctx.upgrade({ protocol: protocols => protocols.find(protocol => protocol === "glsl") });
+                return next();
+            }, ctx => protocol = ctx.websocket.protocol);
+            const { res, socket } = await connect(await listen(app), "/", { "Sec-WebSocket-Protocol": "hlsl, glsl" });
+            assert.strictEqual(res.headers["sec-websocket-protocol"], "glsl");
+            assert.strictEqual(protocol, "glsl");
+            socket.destroy();
+        });
+        it("should respond 404 without matched route", async () => {
+            const app = echo();
+            const { res } = await connect(await listen(app), "/missing");
+            assert.strictEqual(res.statusCode, 404);
+        });
+        it("should respond 426 on unsupported version", async () => {
+            const app = echo();
+            const { res } = await connect(await listen(app), "/echo/1", { "Sec-WebSocket-Version": "8" });
+            assert.strictEqual(res.statusCode, 426);
+            assert.strictEqual(res.headers["sec-websocket-version"], "13");
+        });
+        it("should not match ws routes for regular requests", async () => {
+            const app = new express();
+            const router = express.router();
+            router.get("/live", ctx => ctx.body = "page");
+            router.ws("/live", ctx => ctx.websocket.send("live"));
+            router.ws("/socket-only", ctx => {});
+            app.use(router.routes());
+            app.use(router.allowedMethods());
+            const port = await listen(app);
+            await request(app.callback()).get("/live").expect(200, "page");
+            await request(app.callback()).get("/socket-only").expect(404);
+            const { socket, frames } = await connect(port, "/live");
+            const [live] = await frames.next(1);
+            assert.strictEqual(live.payload.toString(), "live");
+            socket.destroy();
+        });
+        it("should close websockets when the application is closing", async () => {
+            const app = echo();
+            const { socket, frames } = await connect(await listen(app), "/echo/1");
+            const closing = app.close({ timeout: 1000 });
+            const [close] = await frames.next(1);
+            assert.strictEqual(close.payload.readUInt16BE(0), 1001);
+            socket.end(frame(8, close.payload.subarray(0, 2)));
+            await closing;
+        });
+        it("should join the chunks of a frame once", async () => {
+            const app = new express();
+            let websocket;
+            const received = new Promise(resolve => app.ws("/", ctx => {
+                websocket = ctx.websocket;
+                websocket.on("message", resolve);
+            }));
+            const { socket } = await connect(await listen(app), "/");
+            while (!websocket) await new Promise(resolve => setImmediate(resolve));
+            const payload = crypto.randomBytes(60000).toString("hex").slice(0, 60000);
+            const data = frame(1, payload);
+            const { concat } = Buffer;
+            let joins = 0;
+            Buffer.concat = (...args) => (joins++, concat.apply(Buffer, args));
+            try {
+                for (let i = 0; i < data.length; i += 100) websocket.receive(data.subarray(i, i + 100));
+            } finally {
+                Buffer.concat = concat;
+            }
+            assert.strictEqual((await received).toString(), payload);
+            assert.ok(joins <= 2, `joined ${joins} times`);
+            socket.destroy();
+        });
+        it("should share one closing listener between websockets", async () => {
+            const app = echo();
+            const port = await listen(app);
+            const connections = await Promise.all(Array.from({ length: 12 }, (_, i) => connect(port, `/echo/${i}`)));
+            await new Promise(resolve => setTimeout(resolve, 20));
+            assert.strictEqual(app.listenerCount("closing"), 1);
+            const closing = app.close({ timeout: 1000 });
+            for (const { socket, frames } of connections) {
+                const [close] = await frames.next(1);
+                assert.strictEqual(close.payload.readUInt16BE(0), 1001);
+                socket.end(frame(8, close.payload.subarray(0, 2)));
+            }
+            await closing;
+            assert.strictEqual(app.listenerCount("closing"), 0);
+        });
+    });
+    describe("app timeout test", () => {
+        it("should respond 503 when the application timeout exceeds", async () => {
+            const app = new express({ timeout: 20 });
+            let signal;
+            app.silent = true;
+            app.use(async ctx => {
+                signal = ctx.signal;
+                await new Promise(resolve => setTimeout(resolve, 100));
+                ctx.body = "late";
+            });
+            await request(app.callback()).get("/").expect(503);
+            assert.strictEqual(signal.aborted, true);
+            assert.strictEqual(signal.reason.status, 503);
+            assert.strictEqual(signal.reason.type, "request.timeout");
+        });
+        it("should not abort requests settled in time", async () => {
+            const app = new express({ timeout: 100 });
+            let signal;
+            app.use(ctx => {
+                signal = ctx.signal;
+                ctx.body = "fast";
+            });
+            await request(app.callback()).get("/").expect(200, "fast");
+            assert.strictEqual(signal.aborted, false);
+        });
+        it("should support per route timeout", async () => {
+            const app = new express();
+            const router = express.router();
+            app.silent = true;
+            router.get("/slow", express.timeout(20, { status: 504 }), ctx => new Promise(resolve => {
+                ctx.signal.addEventListener("abort", resolve);
+            }));
+            router.get("/fast", ctx => ctx.body = "fast");
+            app.use(router.routes());
+            await request(app.callback()).get("/slow").expect(504);
+            await request(app.callback()).get("/fast").expect(200, "fast");
+        });
+        it("should reject invalid timeout", () => {
+            assert.throws(() => express.timeout(0), /positive number/);
+        });
+        it("should abort the signal when the client disconnects", async () => {
+            const app = new express();
+            const aborted = new Promise(resolve => {
+                app.use(ctx => new Promise(() => {
+                    ctx.signal.addEventListener("abort", () => resolve(ctx.signal.reason));
+                }));
+            });
+            const server = app.listen(0);
+            await new Promise(resolve => server.once("listening", resolve));
+            const req = http.get({ port: server.address().port });
+            req.on("error", () => {});
+            setTimeout(() => req.destroy(), 20);
+            const reason = await aborted;
+            assert.strictEqual(reason.status, 400);
+            assert.strictEqual(reason.type, "request.aborted");
+            server.close();
+        });
+        it("should abort body parsing on timeout", async () => {
+            const app = new express({ timeout: 20 });
+            app.silent = true;
+            app.use(express.bodyParser());
+            app.use(ctx => ctx.body = ctx.request.body);
+            const server = app.listen(0);
+            await new Promise(resolve => server.once("listening", resolve));
+            const status = await new Promise((resolve, reject) => {
+                const req = http.request({
+                    port: server.address().port,
+                    method: "POST",
+                    headers: { "Content-Type": "application/json", "Content-Length": 100 }
+                }, res => resolve(res.statusCode));
+                req.on("error", reject);
+                req.write('{"partial":');
+            });
+            assert.strictEqual(status, 503);
+            server.close();
+        });
+        it("should stop send when aborted", async () => {
+            const { send } = require("../plugins/express/serve.js");
+            const createError = require("http-errors");
+            const app = new express();
+            app.silent = true;
+            app.use(async ctx => {
+                ctx.abort(createError(503));
+                await send(ctx, "test/fixtures/hello.txt");
+            });
+            await request(app.callback()).get("/").expect(503);
+        });
+    });
+    describe("app validate test", () => {
+        const validate = express.validate;
+        const createApp = (schemas, options) => {
+            const app = new express();
+            const router = express.router();
+            app.use(express.bodyParser());
+            router.all("/shaders/:id", validate(schemas, options), ctx => ctx.body = ctx.valid);
+            app.use(router.routes());
+            return app;
+        }
+        it("should coerce query and params", async () => {
+            const app = createApp({
+                params: { type: "object", properties: { id: { type: "integer", minimum: 1 } } },
+                query: {
+                    type: "object",
+                    properties: {
+                        page: { type: "integer", default: 1 },
+                        draft: { type: "boolean" },
+                        tags: { type: "array", items: { type: "string" } },
+                        scale: { type: "number" },
+                        parent: { type: ["integer", "null"] }
+                    }
+                }
+            });
+            const res = await request(app.callback()).get("/shaders/12?draft=false&tags=glsl&scale=0.5&parent=&unknown=1").expect(200);
+            assert.deepStrictEqual(res.body, {
+                params: { id: 12 },
+                query: { page: 1, draft: false, tags: ["glsl"], scale: 0.5, parent: null }
+            });
+        });
+        it("should validate the body and strip unknown fields", async () => {
+            const app = createApp({
+                body: {
+                    type: "object",
+                    required: ["name"],
+                    properties: {
+                        name: { type: "string", minLength: 1, maxLength: 32 },
+                        uniforms: {
+                            type: "array",
+                            items: {
+                                type: "object",
+                                required: ["name", "type"],
+                                properties: { name: { type: "string" }, type: { enum: ["float", "vec2", "vec3"] } }
+                            }
+                        },
+                        meta: { type: "object", additionalProperties: { type: "string" } },
+                        extra: { type: "object", additionalProperties: true }
+                    }
+                }
+            });
+            const res = await request(app.callback()).post("/shaders/1").send({
+                name: "plasma",
+                uniforms: [{ name: "time", type: "float", unused: true }],
+                meta: { author: "waifu" },
+                extra: { keep: 1 },
+                secret: "strip me"
+            }).expect(200);
+            assert.deepStrictEqual(res.body.body, {
+                name: "plasma",
+                uniforms: [{ name: "time", type: "float" }],
+                meta: { author: "waifu" },
+                extra: { keep: 1 }
+            });
+        });
+        it("should collect every error into a 400", async () => {
+            const app = createApp({
+                params: { type: "object", properties: { id: { type: "integer" } } },
+                body: {
+                    type: "object",
+                    required: ["name", "code"],
+                    properties: {
+                        name: { type: "string", pattern: "^[a-z]+$" },
+                        code: { type: "string" },
+                        version: { type: "integer", maximum: 3 },
+                        email: { type: "string", format: "email" },
+                        tags: { type: "array", uniqueItems: true, maxItems: 2 }
+                    }
+                }
+            });
+            const res = await request(app.callback()).post("/shaders/abc").set("Accept", "application/json")
+                .send({ name: "Plasma!", version: 4, email: "nope", tags: ["a", "a", "b"] }).expect(400);
+            assert.strictEqual(res.body.detail, "Validation failed");
+            assert.deepStrictEqual(res.body.errors, [
+                { location: "params", path: "/id", keyword: "type", message: "must be integer" },
+                { location: "body", path: "/name", keyword: "pattern", message: 'must match pattern "^[a-z]+$"' },
+                { location: "body", path: '', keyword: "required", message: 'must have required property "code"' },
+                { location: "body", path: "/version", keyword: "maximum", message: "must be <= 3" },
+                { location: "body", path: "/email", keyword: "format", message: 'must match format "email"' },
+                { location: "body", path: "/tags", keyword: "maxItems", message: "must not have more than 2 items" },
+                { location: "body", path: "/tags", keyword: "uniqueItems", message: "must not have duplicate items" }
+            ]);
+        });
+        it("should reject additional properties without removeAdditional", async () => {
+            const app = createApp({
+                query: { type: "object", properties: { page: { type: "integer" } }, additionalProperties: false }
+            }, { removeAdditional: false });
+            const res = await request(app.callback()).get("/shaders/1?page=1&sort=name").set("Accept", "application/json").expect(400);
+            assert.deepStrictEqual(res.body.errors, [
+                { location: "query", path: '', keyword: "additionalProperties", message: 'must not have additional property "sort"' }
+            ]);
+        });
+        it("should not coerce when disabled", async () => {
+            const app = createApp({ query: { type: "object", properties: { page: { type: "integer" } } } }, { coerce: false });
+            await request(app.callback()).get("/shaders/1?page=2").expect(400);
+        });
+        it("should validate headers with custom formats", async () => {
+            const app = createApp({
+                headers: { type: "object", required: ["x-shader-hash"], properties: { "x-shader-hash": { type: "string", format: "sha1" } } }
+            }, { formats: { sha1: /^[0-9a-f]{40}$/ } });
+            const hash = "a".repeat(40);
+            const res = await request(app.callback()).get("/shaders/1").set("X-Shader-Hash", hash).expect(200);
+            assert.deepStrictEqual(res.body, { headers: { "x-shader-hash": hash } });
+            await request(app.callback()).get("/shaders/1").set("X-Shader-Hash", "nope").expect(400);
+        });
+        it("should merge results of multiple validators", async () => {
+            const app = new express();
+            app.use(validate({ query: { type: "object", properties: { a: { type: "integer" } } } }));
+            app.use(validate({ headers: { type: "object", properties: { host: { type: "string" } } } }));
+            app.use(ctx => ctx.body = Object.keys(ctx.valid));
+            await request(app.callback()).get("/?a=1").expect(200, ["query", "headers"]);
+        });
+        it("should reject invalid schemas", () => {
+            assert.throws(() => validate({ cookies: {} }), /Invalid location "cookies"/);
+            assert.throws(() => validate({ query: { type: "object", properties: { a: { type: "int" } } } }), /Invalid type "int" at query\/properties\/a/);
+            assert.throws(() => validate({ query: { type: "string", format: "color" } }), /Unknown format "color"/);
+            assert.throws(() => validate({ body: { type: "object", properties: { name: { type: "string", pattern: "([a-z]" } } } }),
+                /Invalid pattern "\(\[a-z\]" at body\/properties\/name/);
+        });
+        it("should not copy keys touching the prototype", async () => {
+            const polluted = [];
+            for (const [schema, options] of [
+                [{ type: "object", additionalProperties: true }, undefined],
+                [{ type: "object" }, { removeAdditional: false }],
+                [{ type: "object", additionalProperties: { type: "object" } }, undefined]
+            ]) {
+                const app = new express();
+                const router = express.router();
+                app.use(express.bodyParser());
+                router.post("/", validate({ body: schema }, options), ctx => {
+                    polluted.push(ctx.valid.body.isAdmin);
+                    ctx.body = Object.keys(ctx.valid.body);
+                });
+                app.use(router.routes());
+                await request(app.callback()).post("/").set("Content-Type", "application/json")
+                    .send('{"__proto__":{"isAdmin":true},"constructor":{"prototype":{}},"name":{}}').expect(200, ["name"]);
+            }
+            assert.deepStrictEqual(polluted, [undefined, undefined, undefined]);
+        });
+    });
+    describe("app querystring test", () => {
+        const { parse, stringify } = express.querystring;
+        it("should keep flat query strings by default", async () => {
+            const app = new express();
+            app.use(ctx => ctx.body = ctx.query);
+            await request(app.callback()).get("/?filter[tag]=noise&sort=a&sort=b").expect(200, { "filter[tag]": "noise", sort: ["a", "b"] });
+        });
+        it("should parse bracket and dot notation", async () => {
+            const app = new express({ querystring: true });
+            app.use(ctx => ctx.body = ctx.query);
+            await request(app.callback()).get("/?filter[tag]=noise&sort[]=likes&sort[]=date&page.size=20&q=a+b")
+                .expect(200, { filter: { tag: "noise" }, sort: ["likes", "date"], page: { size: "20" }, q: "a b" });
+        });
+        it("should serialize the query setter", async () => {
+            const app = new express({ querystring: { arrayFormat: "indices" } });
+            app.use(ctx => {
+                ctx.query = { filter: { tag: "noise" }, sort: ["likes", "date"] };
+                ctx.body = { url: ctx.url, query: ctx.query };
+            });
+            const res = await request(app.callback()).get("/shaders").expect(200);
+            assert.strictEqual(res.body.url, "/shaders?filter[tag]=noise&sort[0]=likes&sort[1]=date");
+            assert.deepStrictEqual(res.body.query, { filter: { tag: "noise" }, sort: ["likes", "date"] });
+        });
+        it("should compact sparse arrays and limit array indices", () => {
+            assert.deepStrictEqual({ ...parse("a[2]=x&a[0]=y") }, { a: ["y", "x"] });
+            assert.deepStrictEqual({ ...parse("a[100]=x&a[0]=y").a }, { 0: "y", 100: "x" });
+            assert.deepStrictEqual({ ...parse("a[2]=x", { arrayLimit: 1 }).a }, { 2: "x" });
+        });
+        it("should limit depth and parameters", () => {
+            const query = parse("a[b][c][d]=1", { depth: 2 });
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(query)), { a: { b: { c: { "[d]": "1" } } } });
+            assert.deepStrictEqual(Object.keys(parse("a=1&b=2&c=3", { parameterLimit: 2 })), ["a", "b"]);
+            assert.deepStrictEqual({ ...parse("page.size=1", { allowDots: false }) }, { "page.size": "1" });
+        });
+        it("should only nest dots outside brackets", () => {
+            const query = parse("a[b.c]=1&d.e[f.g]=2&h.i.j=3", { allowDots: true });
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(query)), { a: { "b.c": "1" }, d: { e: { "f.g": "2" } }, h: { i: { j: "3" } } });
+        });
+        it("should ignore prototype keys", () => {
+            const query = parse("__proto__[polluted]=1&a[constructor][prototype][polluted]=1&toString=x&b=1");
+            assert.strictEqual(({}).polluted, undefined);
+            assert.strictEqual(Object.getPrototypeOf(query), null);
+            assert.deepStrictEqual({ ...query }, { toString: "x", b: "1" });
+        });
+        it("should stringify nested values", () => {
+            assert.strictEqual(stringify({ a: { b: [1, { c: null }] }, d: new Date(0), e: undefined, "f g": "h&i" }),
+                "a[b][]=1&a[b][][c]=&d=1970-01-01T00%3A00%3A00.000Z&f%20g=h%26i");
+            assert.strictEqual(stringify({ a: [1, 2], b: { c: 3 } }, { arrayFormat: "repeat", allowDots: true }), "a=1&a=2&b.c=3");
+            assert.throws(() => stringify({}, { arrayFormat: "comma" }), /Invalid array format/);
+        });
+        it("should round trip", () => {
+            const obj = { filter: { tag: ["noise", "fbm"], author: { name: "waifu" } }, page: "2" };
+            assert.deepStrictEqual(JSON.parse(JSON.stringify(parse(stringify(obj)))), obj);
+        });
+        it("should serialize nested queries in router urls", () => {
+            const router = express.router({ querystring: {} });
+            router.get("shaders", "/shaders/:id", () => {});
+            assert.strictEqual(router.url("shaders", { id: 1 }, { query: { filter: { tag: "noise" }, sort: ["a", "b"] } }),
+                "/shaders/1?filter[tag]=noise&sort[]=a&sort[]=b");
+        });
+        it("should serialize router urls with the querystring of the application", async () => {
+            const app = new express({ querystring: { arrayFormat: "indices" } });
+            const router = express.router();
+            router.get("shaders", "/shaders/:id", ctx => {
+                ctx.body = ctx.router.url("shaders", { id: 2 }, { query: { filter: { tag: "noise" }, sort: ["a"] } });
+            });
+            app.use(router.routes());
+            assert.strictEqual(router.url("shaders", { id: 1 }, { query: { sort: ["a", "b"] } }), "/shaders/1?sort[0]=a&sort[1]=b");
+            await request(app.callback()).get("/shaders/1").expect(200, "/shaders/2?filter[tag]=noise&sort[0]=a");
+            const flat = express.router();
+            flat.get("shaders", "/shaders/:id", () => {});
+            assert.strictEqual(flat.url("shaders", { id: 1 }, { query: { sort: ["a", "b"] } }), "/shaders/1?sort=a&sort=b");
+        });
+    });
+    describe("app request id test", () => {
+        it("should not assign an id by default", async () => {
+            const app = new express();
+            app.use(ctx => ctx.body = String(ctx.id));
+            const res = await request(app.callback()).get("/").expect(200, "undefined");
+            assert.strictEqual(res.headers["x-request-id"], undefined);
+        });
+        it("should generate an id", async () => {
+            const app = new express({ requestId: true });
+            app.use(ctx => ctx.body = ctx.id);
+            const res = await request(app.callback()).get("/").expect(200);
+            assert.match(res.text, /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+            assert.strictEqual(res.headers["x-request-id"], res.text);
+        });
+        it("should read the id from the request", async () => {
+            const app = new express({ requestId: true });
+            app.use(ctx => ctx.body = ctx.id);
+            await request(app.callback()).get("/").set("X-Request-Id", "abc-123").expect("X-Request-Id", "abc-123").expect(200, "abc-123");
+        });
+        it("should replace malformed ids", async () => {
+            const app = new express({ requestId: { header: "X-Correlation-Id", generate: () => "generated" } });
+            app.use(ctx => ctx.body = ctx.id);
+            await request(app.callback()).get("/").set("X-Correlation-Id", "bad id\tinjected").expect("X-Correlation-Id", "generated").expect(200, "generated");
+            await request(app.callback()).get("/").set("X-Correlation-Id", "x".repeat(201)).expect(200, "generated");
+        });
+        it("should keep the id on errors", async () => {
+            const app = new express({ requestId: true });
+            app.silent = true;
+            app.use(ctx => {
+                ctx.set("X-Foo", "bar");
+                ctx.throw(500);
+            });
+            const res = await request(app.callback()).get("/").set("X-Request-Id", "abc").expect(500);
+            assert.strictEqual(res.headers["x-request-id"], "abc");
+            assert.strictEqual(res.headers["x-foo"], undefined);
+        });
+        it("should log the id", async () => {
+            const app = new express({ requestId: true });
+            const lines = [];
+            app.use(express.logger(":method :url :request-id", { stream: { write: line => lines.push(line) } }));
+            app.use(express.logger("dev", { stream: { write: line => lines.push(line) } }));
+            app.use(ctx => ctx.body = "ok");
+            await request(app.callback()).get("/shaders").set("X-Request-Id", "abc").expect(200);
+            assert.strictEqual(lines[0], "GET /shaders abc\n");
+            assert.ok(lines[1].endsWith(" - abc\n"));
+        });
+    });
+    describe("app security test", () => {
+        const security = express.security;
+        it("should set the default headers", async () => {
+            const app = new express();
+            app.use(security());
+            app.use(ctx => ctx.body = ctx.state.nonce);
+            const res = await request(app.callback()).get("/").expect(200);
+            const nonce = res.text;
+            assert.match(nonce, /^[A-Za-z0-9+/]{22}==$/);
+            assert.strictEqual(res.headers["content-security-policy"], "default-src 'self'; base-uri 'self'; object-src 'none'; " +
+                "frame-ancestors 'self'; form-action 'self'; script-src 'self' 'nonce-" + nonce + "'; style-src 'self' 'nonce-" + nonce + "'; " +
+                "img-src 'self' data: blob:; worker-src 'self' blob:; connect-src 'self'");
+            assert.strictEqual(res.headers["x-content-type-options"], "nosniff");
+            assert.strictEqual(res.headers["x-frame-options"], "SAMEORIGIN");
+            assert.strictEqual(res.headers["referrer-policy"], "no-referrer");
+            assert.strictEqual(res.headers["cross-origin-opener-policy"], "same-origin");
+            assert.strictEqual(res.headers["cross-origin-embedder-policy"], undefined);
+            assert.strictEqual(res.headers["strict-transport-security"], undefined);
+        });
+        it("should generate a nonce per request", async () => {
+            const app = new express();
+            app.use(security());
+            app.use(ctx => ctx.body = ctx.state.nonce);
+            const first = await request(app.callback()).get("/");
+            const second = await request(app.callback()).get("/");
+            assert.notStrictEqual(first.text, second.text);
+        });
+        it("should set HSTS on secure requests only", async () => {
+            const app = new express({ proxy: true });
+            app.use(security({ strictTransportSecurity: { maxAge: 63072000, preload: true } }));
+            app.use(ctx => ctx.body = "ok");
+            await request(app.callback()).get("/").set("X-Forwarded-Proto", "https")
+                .expect("Strict-Transport-Security", "max-age=63072000; includeSubDomains; preload");
+            const res = await request(app.callback()).get("/");
+            assert.strictEqual(res.headers["strict-transport-security"], undefined);
+        });
+        it("should customize directives and headers", async () => {
+            const app = new express();
+            app.use(security({
+                contentSecurityPolicy: {
+                    useDefaults: false,
+                    nonce: false,
+                    directives: { defaultSrc: "'self'", imgSrc: ["'self'", ctx => `https://${ctx.hostname}`], upgradeInsecureRequests: true }
+                },
+                frameOptions: "deny",
+                referrerPolicy: false,
+                crossOriginEmbedderPolicy: "require-corp"
+            }));
+            app.use(ctx => ctx.body = String(ctx.state.nonce));
+            const res = await request(app.callback()).get("/").set("Host", "shaders.test").expect(200, "undefined");
+            assert.strictEqual(res.headers["content-security-policy"], "default-src 'self'; img-src 'self' https://shaders.test; upgrade-insecure-requests");
+            assert.strictEqual(res.headers["x-frame-options"], "DENY");
+            assert.strictEqual(res.headers["referrer-policy"], undefined);
+            assert.strictEqual(res.headers["cross-origin-embedder-policy"], "require-corp");
+        });
+        it("should keep the headers on errors", async () => {
+            const app = new express();
+            app.silent = true;
+            app.use(security({ contentSecurityPolicy: false }));
+            app.use(ctx => ctx.throw(404, { headers: { "X-Foo": "bar" } }));
+            const res = await request(app.callback()).get("/").expect(404);
+            assert.strictEqual(res.headers["x-content-type-options"], "nosniff");
+            assert.strictEqual(res.headers["x-foo"], "bar");
+            assert.strictEqual(res.headers["content-security-policy"], undefined);
+        });
+        it("should collect reports in report only mode", async () => {
+            const app = new express();
+            const reports = [];
+            app.on("csp-report", report => reports.push(report));
+            app.use(security({ contentSecurityPolicy: { reportOnly: true, reportUri: "/csp-report" } }));
+            app.use(ctx => ctx.body = "ok");
+            const res = await request(app.callback()).get("/").expect(200);
+            assert.strictEqual(res.headers["content-security-policy"], undefined);
+            assert.ok(res.headers["content-security-policy-report-only"].endsWith("; report-uri /csp-report; report-to csp-endpoint"));
+            assert.strictEqual(res.headers["reporting-endpoints"], 'csp-endpoint="/csp-report"');
+            await request(app.callback()).post("/csp-report").set("Content-Type", "application/csp-report")
+                .send(JSON.stringify({ "csp-report": { "violated-directive": "script-src" } })).expect(204);
+            await request(app.callback()).post("/csp-report").set("Content-Type", "application/reports+json")
+                .send(JSON.stringify([{ type: "csp-violation", body: { effectiveDirective: "img-src" } }, { type: "deprecation", body: {} }])).expect(204);
+            assert.deepStrictEqual(reports, [{ "violated-directive": "script-src" }, { effectiveDirective: "img-src" }]);
+            await request(app.callback()).post("/csp-report").set("Content-Type", "text/plain").send("x").expect(415);
+            await request(app.callback()).post("/csp-report").set("Content-Type", "application/json").send("{").expect(400);
+        });
+        it("should reject invalid options", () => {
+            assert.throws(() => security({ frameOptions: "ALLOW-FROM x" }), /frameOptions must be one of/);
+            assert.throws(() => security({ contentSecurityPolicy: { directives: { scriptSrc: "'self'; object-src *" } } }), /Invalid value/);
+            assert.throws(() => security({ contentSecurityPolicy: { directives: { "script src": "'self'" } } }), /Invalid directive/);
+            assert.throws(() => security({ strictTransportSecurity: { maxAge: -1 } }), /maxAge/);
+        });
+    });
+    describe("app cors test", () => {
+        const cors = express.cors;
+        const createApp = options => {
+            const app = new express();
+            const router = express.router();
+            app.use(cors(options));
+            router.get("/api/shaders", ctx => ctx.body = []);
+            router.put("/api/shaders/:id", ctx => ctx.body = { id: ctx.params.id });
+            router.delete("/api/shaders/:id", ctx => ctx.status = 204);
+            router.get("/api/error", ctx => ctx.throw(418));
+            app.use(router.routes());
+            app.use(router.allowedMethods());
+            app.silent = true;
+            return app;
+        }
+        it("should skip requests without origin", async () => {
+            const res = await request(createApp().callback()).get("/api/shaders").expect(200);
+            assert.strictEqual(res.headers["access-control-allow-origin"], undefined);
+        });
+        it("should allow any origin by default", async () => {
+            const res = await request(createApp().callback()).get("/api/shaders").set("Origin", "https://a.test").expect(200);
+            assert.strictEqual(res.headers["access-control-allow-origin"], "*");
+            assert.strictEqual(res.headers.vary, undefined);
+        });
+        it("should match allowlisted origins", async () => {
+            const app = createApp({ origin: ["https://editor.test", /\.shaderlab\.test$/], credentials: true, exposeHeaders: ["ETag", "X-Request-Id"] });
+            let res = await request(app.callback()).get("/api/shaders").set("Origin", "https://gallery.shaderlab.test")
+                .expect("Access-Control-Allow-Origin", "https://gallery.shaderlab.test")
+                .expect("Access-Control-Allow-Credentials", "true")
+                .expect("Access-Control-Expose-Headers", "ETag, X-Request-Id")
+                .expect("Vary", "Origin")
+                .expect(200);
+            res = await request(app.callback()).get("/api/shaders").set("Origin", "https://evil.test").expect("Vary", "Origin").expect(200);
+            assert.strictEqual(res.headers["access-control-allow-origin"], undefined);
+        });
+        it("should match origins with a function", async () => {
+            const app = createApp({ origin: async (origin, ctx) => ctx.path.startsWith("/api") && origin.endsWith(".test") });
+            await request(app.callback()).get("/api/shaders").set("Origin", "https://a.test").expect("Access-Control-Allow-Origin", "https://a.test");
+            const res = await request(app.callback()).get("/api/shaders").set("Origin", "https://a.example");
+            assert.strictEqual(res.headers["access-control-allow-origin"], undefined);
+        });
+        it("should keep the headers on errors", async () => {
+            const app = createApp({ origin: "https://editor.test" });
+            await request(app.callback()).get("/api/error").set("Origin", "https://editor.test")
+                .expect("Access-Control-Allow-Origin", "https://editor.test").expect(418);
+        });
+        it("should answer preflight with the matched methods", async () => {
+            const app = createApp({ origin: "https://editor.test", maxAge: 600, privateNetworkAccess: true });
+            const res = await request(app.callback()).options("/api/shaders/1")
+                .set("Origin", "https://editor.test")
+                .set("Access-Control-Request-Method", "PUT")
+                .set("Access-Control-Request-Headers", "content-type, if-match")
+                .set("Access-Control-Request-Private-Network", "true")
+                .expect("Access-Control-Allow-Origin", "https://editor.test")
+                .expect("Access-Control-Allow-Methods", "PUT, DELETE")
+                .expect("Access-Control-Allow-Headers", "content-type, if-match")
+                .expect("Access-Control-Max-Age", "600")
+                .expect("Access-Control-Allow-Private-Network", "true")
+                .expect("Vary", "Origin, Access-Control-Request-Headers")
+                .expect(204);
+            assert.strictEqual(res.text, '');
+        });
+        it("should fall back to the default methods on preflight", async () => {
+            const app = createApp({ allowHeaders: ["Content-Type"], allowMethods: ["GET", "POST"] });
+            const res = await request(app.callback()).options("/unknown")
+                .set("Origin", "https://editor.test")
+                .set("Access-Control-Request-Method", "POST")
+                .set("Access-Control-Request-Headers", "x-foo")
+                .set("Access-Control-Request-Private-Network", "true")
+                .expect("Access-Control-Allow-Methods", "GET, POST")
+                .expect("Access-Control-Allow-Headers", "Content-Type")
+                .expect(204);
+            assert.strictEqual(res.headers["access-control-allow-private-network"], undefined);
+            assert.strictEqual(res.headers["access-control-max-age"], undefined);
+        });
+        it("should leave plain OPTIONS requests to the router", async () => {
+            await request(createApp().callback()).options("/api/shaders").set("Origin", "https://editor.test")
+                .expect("Allow", "HEAD, GET").expect("Access-Control-Allow-Origin", "*").expect(200);
+        });
+        it("should reject invalid options", () => {
+            assert.throws(() => cors({ credentials: true }), /credentials cannot be used with origin "\*"/);
+            assert.throws(() => cors({ origin: [1] }), /cors origin must be/);
+            assert.throws(() => cors({ maxAge: -1 }), /maxAge/);
+        });
+        it("should answer preflight without running the routes", async () => {
+            const app = new express();
+            const calls = [];
+            app.use(cors({ origin: "https://editor.test" }));
+            app.use(async (ctx, next) => {
+                calls.push("middleware");
+                await next();
+            });
+            const router = express.router();
+            router.use((ctx, next) => {
+                calls.push("router");
+                return next();
+            });
+            router.post("/api/shaders", ctx => {
+                calls.push("handler");
+                ctx.status = 201;
+            });
+            app.use(router.routes());
+            await request(app.callback()).options("/api/shaders")
+                .set("Origin", "https://editor.test")
+                .set("Access-Control-Request-Method", "POST")
+                .expect("Access-Control-Allow-Methods", "POST")
+                .expect(204);
+            assert.deepStrictEqual(calls, []);
+        });
+        it("should match global and sticky origin patterns on every request", async () => {
+            for (const pattern of [/\.shaderlab\.test$/g, /https:\/\/[a-z]+\.shaderlab\.test/y]) {
+                const app = createApp({ origin: pattern });
+                for (let i = 0; i < 3; i++)
+                    await request(app.callback()).get("/api/shaders").set("Origin", "https://gallery.shaderlab.test")
+                        .expect("Access-Control-Allow-Origin", "https://gallery.shaderlab.test").expect(200);
+            }
+        });
+    });
+    describe("app rate limit test", () => {
+        const { EventEmitter } = require("node:events");
+        const { rateLimit } = express;
+        const { MemoryStore, ClusterStore, algorithms } = rateLimit;
+        const replay = (name, times) => {
+            const take = algorithms[name]({ limit: 3, windowMs: 1000 });
+            let state;
+            return times.map(now => {
+                const result = take(state, now);
+                state = result.state;
+                return result.allowed;
+            });
+        }
+        it("should limit requests by ip", async () => {
+            const app = new express();
+            app.silent = true;
+            app.use(rateLimit({ limit: 2, windowMs: 60000 }));
+            app.use(ctx => ctx.body = "ok");
+            const server = app.callback();
+            await request(server).get("/").expect("RateLimit-Limit", "2").expect("RateLimit-Remaining", "1")
+                .expect("RateLimit-Policy", "2;w=60").expect(200);
+            await request(server).get("/").expect("RateLimit-Remaining", "0").expect(200);
+            const res = await request(server).get("/").set("Accept", "application/json").expect(429);
+            assert.strictEqual(res.body.title, "Too Many Requests");
+            assert.strictEqual(res.headers["ratelimit-remaining"], "0");
+            assert.ok(Number(res.headers["retry-after"]) > 0 && Number(res.headers["retry-after"]) <= 60);
+        });
+        it("should honour proxy ip headers", async () => {
+            const app = new express({ proxy: true });
+            app.silent = true;
+            app.use(rateLimit({ limit: 1 }));
+            app.use(ctx => ctx.body = "ok");
+            const server = app.callback();
+            await request(server).get("/").set("X-Forwarded-For", "10.0.0.1").expect(200);
+            await request(server).get("/").set("X-Forwarded-For", "10.0.0.2").expect(200);
+            await request(server).get("/").set("X-Forwarded-For", "10.0.0.1").expect(429);
+        });
+        it("should limit by user or custom key", async () => {
+            const app = new express();
+            app.silent = true;
+            app.use((ctx, next) => {
+                if (ctx.query.user) ctx.state.user = { id: ctx.query.user };
+                return next();
+            });
+            app.use(rateLimit({ limit: 1, key: ctx => ctx.get("X-Api-Key") || null, prefix: "key", headers: false }));
+            app.use(rateLimit({ limit: 1, key: "user", prefix: "user" }));
+            app.use(ctx => ctx.body = "ok");
+            const server = app.callback();
+            await request(server).get("/?user=1").expect(200);
+            await request(server).get("/?user=2").expect(200);
+            await request(server).get("/?user=1").expect(429);
+            await request(server).get("/").set("X-Api-Key", "a").expect(200);
+            const res = await request(server).get("/?user=3").set("X-Api-Key", "a").expect(429);
+            assert.strictEqual(res.headers["ratelimit-limit"], undefined);
+            assert.ok(res.headers["retry-after"]);
+        });
+        it("should skip and reset keys", async () => {
+            const app = new express();
+            app.silent = true;
+            const limiter = rateLimit({ limit: 1, key: () => "shared", skip: ctx => ctx.path === "/health" });
+            app.use(limiter);
+            app.use(ctx => ctx.body = "ok");
+            const server = app.callback();
+            await request(server).get("/").expect(200);
+            await request(server).get("/health").expect(200);
+            await request(server).get("/").expect(429);
+            limiter.reset("shared");
+            await request(server).get("/").expect(200);
+        });
+        it("should keep the headers on errors", async () => {
+            const app = new express();
+            app.silent = true;
+            app.use(rateLimit());
+            app.use(ctx => ctx.throw(400));
+            await request(app.callback()).get("/").expect("RateLimit-Remaining", "99").expect(400);
+        });
+        it("should count fixed windows", () => {
+            assert.deepStrictEqual(replay("fixed-window", [0, 100, 200, 300, 999, 1000, 1999]), [true, true, true, false, false, true, true]);
+        });
+        it("should weight the previous window when sliding", () => {
+            assert.deepStrictEqual(replay("sliding-window", [700, 800, 900, 1000, 1400, 1700, 2700]), [true, true, true, false, true, true, true]);
+        });
+        it("should refill token buckets", () => {
+            assert.deepStrictEqual(replay("token-bucket", [0, 0, 0, 0, 300, 340, 700]), [true, true, true, false, false, true, true]);
+        });
+        it("should prune expired states", () => {
+            const store = new MemoryStore();
+            const take = algorithms["fixed-window"]({ limit: 1, windowMs: 1000 });
+            store.take("a", 0, take);
+            store.take("b", Date.now(), take);
+            store.prune();
+            store.close();
+            assert.deepStrictEqual([...store.states.keys()], ["b"]);
+        });
+        it("should share hits between workers", async () => {
+            const emitter = new EventEmitter();
+            const bus = {
+                on: (eventName, fn) => emitter.on(eventName, fn),
+                send: (eventName, payload) => emitter.emit(eventName, eventName, payload)
+            };
+            const stores = [new ClusterStore({ bus }), new ClusterStore({ bus })];
+            const servers = stores.map(store => {
+                const app = new express();
+                app.silent = true;
+                app.use(rateLimit({ limit: 2, algorithm: "sliding-window", store }));
+                app.use(ctx => ctx.body = "ok");
+                return app.callback();
+            });
+            await request(servers[0]).get("/").expect(200);
+            await request(servers[1]).get("/").expect("RateLimit-Remaining", "0").expect(200);
+            await request(servers[0]).get("/").expect(429);
+            // own hits echoed back are ignored
+            emitter.emit("express.ratelimit", "express.ratelimit", { origin: stores[0].origin, key: "rl:x", at: Date.now(), algorithm: "sliding-window", limit: 2, windowMs: 60000 });
+            assert.strictEqual(stores[0].states.has("rl:x"), false);
+            stores.forEach(store => store.close());
+            emitter.emit("express.ratelimit", "express.ratelimit", { origin: "other", key: "rl:y", at: Date.now(), algorithm: "sliding-window", limit: 2, windowMs: 60000 });
+            assert.strictEqual(stores[0].states.has("rl:y"), false);
+            assert.throws(() => new ClusterStore(), /requires the thread plugin to be started or an event `bus`/);
+        });
+        it("should reject invalid options", () => {
+            assert.throws(() => rateLimit({ algorithm: "leaky" }), /Invalid algorithm "leaky"/);
+            assert.throws(() => rateLimit({ limit: 0 }), /limit must be a positive integer/);
+            assert.throws(() => rateLimit({ key: "session" }), /Invalid key "session"/);
+        });
+        it("should drop replayed hits of past windows", () => {
+            const emitter = new EventEmitter();
+            const bus = {
+                on: (eventName, fn) => emitter.on(eventName, fn),
+                send: (eventName, payload) => emitter.emit(eventName, eventName, payload)
+            };
+            const store = new ClusterStore({ bus });
+            const windowMs = 60000;
+            const algorithm = Object.assign(algorithms["fixed-window"]({ limit: 3, windowMs }), { options: { name: "fixed-window", limit: 3, windowMs } });
+            const now = Date.now();
+            assert.strictEqual(store.take("rl:a", now, algorithm).allowed, true);
+            assert.strictEqual(store.take("rl:a", now, algorithm).allowed, true);
+            // a hit of the previous window arriving late
+            emitter.emit("express.ratelimit", "express.ratelimit", { origin: "other", key: "rl:a", at: now - windowMs, algorithm: "fixed-window", limit: 3, windowMs });
+            emitter.emit("express.ratelimit", "express.ratelimit", { origin: "other", key: "rl:a", at: now, algorithm: "fixed-window", limit: 3, windowMs });
+            assert.strictEqual(store.take("rl:a", now, algorithm).allowed, false);
+            store.close();
+        });
+    });
+    describe("app cache test", () => {
+        const { cache } = express;
+        const { LRUStore, parseCacheControl } = cache;
+        const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+        const createApp = (options, handler) => {
+            const app = new express();
+            let calls = 0;
+            app.silent = true;
+            app.use(cache(options));
+            app.use(async ctx => {
+                calls++;
+                await handler(ctx, calls);
+            });
+            app.calls = () => calls;
+            return app;
+        }
+        it("should cache responses", async () => {
+            const app = createApp({ maxAge: 60 }, (ctx, calls) => {
+                ctx.set("X-Calls", String(calls));
+                ctx.body = { url: ctx.url, calls };
+            });
+            const server = app.callback();
+            await request(server).get("/gallery?page=1").expect("X-Cache", "MISS").expect(200, { url: "/gallery?page=1", calls: 1 });
+            const res = await request(server).get("/gallery?page=1").expect("X-Cache", "HIT").expect("X-Calls", "1")
+                .expect("Content-Type", /json/).expect(200, { url: "/gallery?page=1", calls: 1 });
+            assert.strictEqual(res.headers.age, "0");
+            await request(server).get("/gallery?page=2").expect(200, { url: "/gallery?page=2", calls: 2 });
+            await request(server).head("/gallery?page=1").expect("X-Cache", "HIT").expect(200);
+            await request(server).post("/gallery?page=1").expect(200, { url: "/gallery?page=1", calls: 3 });
+            assert.strictEqual(app.calls(), 3);
+        });
+        it("should cache streamed bodies", async () => {
+            const file = path.join(__dirname, "../package.json");
+            const app = createApp({}, ctx => {
+                ctx.set("Cache-Control", "public, max-age=60");
+                ctx.type = "json";
+                ctx.length = fs.statSync(file).size;
+                ctx.body = fs.createReadStream(file);
+            });
+            const server = app.callback();
+            const expected = fs.readFileSync(file, "utf-8");
+            let res = await request(server).get("/package").expect("X-Cache", "MISS").expect(200);
+            assert.strictEqual(JSON.stringify(res.body), JSON.stringify(JSON.parse(expected)));
+            res = await request(server).get("/package").expect("X-Cache", "HIT").expect("Content-Length", String(Buffer.byteLength(expected))).expect(200);
+            assert.strictEqual(JSON.stringify(res.body), JSON.stringify(JSON.parse(expected)));
+            assert.strictEqual(app.calls(), 1);
+        });
+        it("should honour response directives", async () => {
+            const app = createApp({ maxAge: 60 }, ctx => {
+                if (ctx.path === "/private") ctx.set("Cache-Control", "private, max-age=60");
+                if (ctx.path === "/no-store") ctx.set("Cache-Control", "no-store");
+                if (ctx.path === "/cookie") ctx.cookies.set("a", "b");
+                if (ctx.path === "/error") ctx.status = 500;
+                if (ctx.path === "/vary") ctx.set("Vary", "*");
+                ctx.body = ctx.path;
+            });
+            const server = app.callback();
+            for (const path of ["/private", "/no-store", "/cookie", "/error", "/vary"]) {
+                await request(server).get(path);
+                await request(server).get(path);
+            }
+            assert.strictEqual(app.calls(), 10);
+        });
+        it("should honour request directives", async () => {
+            const app = createApp({ maxAge: 60 }, (ctx, calls) => ctx.body = String(calls));
+            const server = app.callback();
+            await request(server).get("/").set("Cache-Control", "only-if-cached").expect(504);
+            await request(server).get("/").set("Cache-Control", "no-store").expect(200, "1");
+            await request(server).get("/").expect(200, "2");
+            await request(server).get("/").expect(200, "2");
+            await request(server).get("/").set("Cache-Control", "no-cache").expect(200, "3");
+            await request(server).get("/").set("Cache-Control", "max-age=0").expect(200, "4");
+            await request(server).get("/").set("Pragma", "no-cache").expect(200, "5");
+            await request(server).get("/").set("Cache-Control", "only-if-cached").expect(200, "5");
+        });
+        it("should cache variants by the Vary headers", async () => {
+            const app = createApp({ maxAge: 60 }, (ctx, calls) => {
+                ctx.vary("Accept-Language");
+                ctx.body = `${ctx.get("Accept-Language")} ${calls}`;
+            });
+            const server = app.callback();
+            await request(server).get("/").set("Accept-Language", "en").expect(200, "en 1");
+            await request(server).get("/").set("Accept-Language", "ja").expect(200, "ja 2");
+            await request(server).get("/").set("Accept-Language", "en").expect(200, "en 1");
+            await request(server).get("/").set("Accept-Language", "ja").expect(200, "ja 2");
+        });
+        it("should purge by tag", async () => {
+            const app = new express();
+            const gallery = cache({ maxAge: 60 });
+            let calls = 0;
+            app.use(gallery);
+            app.use(ctx => {
+                ctx.state.cacheTags = ctx.path === "/gallery" ? ["gallery"] : ["shader"];
+                ctx.body = String(++calls);
+            });
+            const server = app.callback();
+            await request(server).get("/gallery").expect(200, "1");
+            await request(server).get("/shaders/1").expect(200, "2");
+            assert.strictEqual(gallery.purge("gallery"), 2);
+            await request(server).get("/gallery").expect(200, "3");
+            await request(server).get("/shaders/1").expect(200, "2");
+        });
+        it("should serve stale responses while revalidating", async () => {
+            const app = createApp({ maxAge: 0 }, (ctx, calls) => {
+                ctx.set("Cache-Control", "max-age=1, stale-while-revalidate=60");
+                ctx.body = String(calls);
+            });
+            const server = app.callback();
+            await request(server).get("/").expect(200, "1");
+            await sleep(1050);
+            await request(server).get("/").expect("X-Cache", "STALE").expect(200, "1");
+            await sleep(50);
+            assert.strictEqual(app.calls(), 2);
+            await request(server).get("/").expect("X-Cache", "HIT").expect(200, "2");
+        });
+        it("should evict the least recently used entries", () => {
+            const store = new LRUStore({ maxSize: "1kb" });
+            store.set("a", 1, { size: 400, ttl: 1000 });
+            store.set("b", 2, { size: 400, ttl: 1000 });
+            assert.strictEqual(store.get("a"), 1);
+            store.set("c", 3, { size: 400, ttl: 1000 });
+            assert.deepStrictEqual([...store.entries.keys()], ["a", "c"]);
+            assert.strictEqual(store.size, 800);
+            store.set("d", 4, { size: 2048, ttl: 1000 });
+            assert.strictEqual(store.get("d"), undefined);
+            store.set("e", 5, { size: 1, ttl: -1 });
+            assert.strictEqual(store.get("e"), undefined);
+            assert.strictEqual(store.size, 800);
+        });
+        it("should parse Cache-Control", () => {
+            assert.deepStrictEqual(parseCacheControl('public, Max-Age=60, s-maxage="120", no-cache="set-cookie"'),
+                { public: true, "max-age": 60, "s-maxage": 120, "no-cache": '"set-cookie"' });
+            assert.deepStrictEqual(parseCacheControl(undefined), {});
+        });
+        it("should not share responses of authorized requests unless public", async () => {
+            const app = createApp({ maxAge: 60 }, (ctx, calls) => {
+                if (ctx.path === "/public") ctx.set("Cache-Control", "public, max-age=60");
+                if (ctx.path === "/shared") ctx.set("Cache-Control", "s-maxage=60");
+                ctx.body = { path: ctx.path, calls };
+            });
+            const server = app.callback();
+            await request(server).get("/user").set("Authorization", "Bearer a").expect(200, { path: "/user", calls: 1 });
+            await request(server).get("/user").set("Authorization", "Bearer b").expect(200, { path: "/user", calls: 2 });
+            await request(server).get("/user").expect("X-Cache", "MISS").expect(200, { path: "/user", calls: 3 });
+            await request(server).get("/user").set("Authorization", "Bearer a").expect(200, { path: "/user", calls: 4 });
+            await request(server).get("/public").set("Authorization", "Bearer a").expect(200, { path: "/public", calls: 5 });
+            await request(server).get("/public").set("Authorization", "Bearer b").expect("X-Cache", "HIT").expect(200, { path: "/public", calls: 5 });
+            await request(server).get("/shared").set("Authorization", "Bearer a").expect(200, { path: "/shared", calls: 6 });
+            await request(server).get("/shared").set("Authorization", "Bearer b").expect("X-Cache", "HIT").expect(200, { path: "/shared", calls: 6 });
+            await request(server).get("/user").set("Authorization", "Bearer a").set("Cache-Control", "only-if-cached").expect(504);
+        });
+        it("should bypass the cache for requests with cookies", async () => {
+            const app = createApp({ maxAge: 60 }, (ctx, calls) => {
+                ctx.body = { user: ctx.cookies.get("user") || null, calls };
+            });
+            const server = app.callback();
+            await request(server).get("/me").set("Cookie", "user=a").expect(200, { user: "a", calls: 1 });
+            await request(server).get("/me").set("Cookie", "user=b").expect(200, { user: "b", calls: 2 });
+            await request(server).get("/me").expect("X-Cache", "MISS").expect(200, { user: null, calls: 3 });
+            const res = await request(server).get("/me").set("Cookie", "user=a").expect(200, { user: "a", calls: 4 });
+            assert.strictEqual(res.headers["x-cache"], undefined);
+            const shared = createApp({ maxAge: 60, cookies: true }, (ctx, calls) => ctx.body = { calls });
+            const sharedServer = shared.callback();
+            await request(sharedServer).get("/").set("Cookie", "consent=1").expect(200, { calls: 1 });
+            await request(sharedServer).get("/").set("Cookie", "consent=2").expect("X-Cache", "HIT").expect(200, { calls: 1 });
+        });
+        it("should build the revalidation handler once", async () => {
+            const app = createApp({ maxAge: 0.05, staleWhileRevalidate: 60 }, (ctx, calls) => ctx.body = { calls });
+            const server = app.callback();
+            let callbacks = 0;
+            const callback = app.callback;
+            app.callback = function () {
+                callbacks++;
+                return callback.apply(this, arguments);
+            };
+            await request(server).get("/").expect(200, { calls: 1 });
+            for (let i = 2; i <= 4; i++) {
+                await sleep(80);
+                await request(server).get("/").expect("X-Cache", "STALE");
+                await sleep(20);
+                assert.strictEqual(app.calls(), i);
+            }
+            assert.strictEqual(callbacks, 1);
+        });
+        it("should keep the file of streamed bodies", async () => {
+            const file = path.join(__dirname, "../package.json");
+            const app = new express();
+            app.use(express.etag());
+            app.use(cache({ maxAge: 60 }));
+            app.use(ctx => {
+                ctx.type = "json";
+                ctx.body = fs.createReadStream(file);
+            });
+            const server = app.callback();
+            const { size, mtime } = fs.statSync(file);
+            await request(server).get("/package").expect("X-Cache", "MISS")
+                .expect("ETag", `W/"${size.toString(16)}-${mtime.getTime().toString(16)}"`).expect(200);
+        });
+    });
+    describe("app auth test", () => {
+        const { auth } = express;
+        const { requireAuth, requireRole, basic, bearer, apiKey, signJWT, verifyJWT, safeEqual } = auth;
+        const secret = "shader-secret";
+        const privateKey = fs.readFileSync(path.join(__dirname, "fixtures/agent2-key.pem"));
+        const publicKey = fs.readFileSync(path.join(__dirname, "fixtures/agent2-cert.pem"));
+        const users = { alice: { id: 1, name: "alice", roles: ["admin"] }, bob: { id: 2, name: "bob", role: "user" } };
+        const createApp = (...strategies) => {
+            const app = new express();
+            const router = express.router();
+            app.use(auth(...strategies));
+            router.get("/public", ctx => ctx.body = { user: ctx.state.user ?? null });
+            router.get("/me", requireAuth(), ctx => ctx.body = { user: ctx.state.user, strategy: ctx.state.authStrategy });
+            router.get("/admin", requireRole("admin"), ctx => ctx.body = "admin");
+            app.use(router.routes());
+            return app;
+        }
+        const basicStrategy = basic({ verify: (username, password) => password === "secret" && users[username] });
+        it("should authenticate with basic credentials", async () => {
+            const server = createApp(basicStrategy).callback();
+            await request(server).get("/me").auth("alice", "secret").expect(200, { user: users.alice, strategy: "basic" });
+            await request(server).get("/me").auth("alice", "wrong")
+                .expect("WWW-Authenticate", 'Basic realm="ShaderLab", charset="UTF-8"').expect(401);
+            await request(server).get("/me").set("Authorization", `Basic ${Buffer.from("alice").toString("base64")}`).expect(401);
+        });
+        it("should pass requests without credentials to the guards", async () => {
+            const server = createApp(basicStrategy).callback();
+            await request(server).get("/public").expect(200, { user: null });
+            await request(server).get("/me").expect("WWW-Authenticate", 'Basic realm="ShaderLab", charset="UTF-8"').expect(401);
+        });
+        it("should verify HS256 bearer tokens", async () => {
+            const server = createApp(bearer({ secret, issuer: "shaderlab", audience: "api" })).callback();
+            const token = signJWT({ sub: "1", iss: "shaderlab", aud: ["api", "web"] }, secret, { expiresIn: 60 });
+            const res = await request(server).get("/me").set("Authorization", `Bearer ${token}`).expect(200);
+            assert.strictEqual(res.body.user.sub, "1");
+            const invalid = async (token, message) => {
+                assert.throws(() => verifyJWT(token, { HS256: secret }, { issuer: "shaderlab", audience: "api" }), { message });
+                const res = await request(server).get("/me").set("Authorization", `Bearer ${token}`).set("Accept", "application/json").expect(401);
+                assert.strictEqual(res.body.detail, "Invalid token");
+                assert.strictEqual(res.headers["www-authenticate"], 'Bearer realm="ShaderLab", error="invalid_token", error_description="invalid token"');
+            }
+            await invalid(signJWT({ iss: "shaderlab", aud: "api" }, "other"), "Invalid signature");
+            await invalid(signJWT({ iss: "shaderlab", aud: "api" }, secret, { expiresIn: -1 }), "Token expired");
+            await invalid(signJWT({ iss: "shaderlab", aud: "api", nbf: Math.floor(Date.now() / 1000) + 60 }, secret), "Token not active");
+            await invalid(signJWT({ iss: "other", aud: "api" }, secret), "Unexpected issuer");
+            await invalid(signJWT({ iss: "shaderlab", aud: "web" }, secret), "Unexpected audience");
+            await invalid("abc", "Malformed token");
+            const unsigned = token.split(".").slice(0, 2).join(".").replace(/^[^.]+/, Buffer.from('{"alg":"none"}').toString("base64url")) + ".";
+            await invalid(unsigned, 'Unexpected algorithm "none"');
+            // token content never reaches the headers
+            const control = token.split(".").slice(0, 2).join(".").replace(/^[^.]+/, Buffer.from('{"alg":"x\\u0001y"}').toString("base64url")) + ".";
+            await invalid(control, 'Unexpected algorithm "x\u0001y"');
+        });
+        it("should verify RS256 bearer tokens", async () => {
+            const server = createApp(bearer({ publicKey, verify: payload => users[payload.sub] })).callback();
+            const token = signJWT({ sub: "alice" }, privateKey, { algorithm: "RS256" });
+            await request(server).get("/admin").set("Authorization", `Bearer ${token}`).expect(200, "admin");
+            // a HS256 token signed with the public key must not be accepted
+            const confused = signJWT({ sub: "alice" }, publicKey);
+            await request(server).get("/admin").set("Authorization", `Bearer ${confused}`).expect(401);
+            await request(server).get("/admin").set("Authorization", `Bearer ${signJWT({ sub: "eve" }, privateKey, { algorithm: "RS256" })}`).expect(401);
+            const keyObject = crypto.createPublicKey(publicKey);
+            const strategy = bearer({ publicKey: keyObject });
+            assert.strictEqual(await strategy.authenticate({ get: () => `Bearer ${token}` }).then(user => user.sub), "alice");
+            assert.throws(() => bearer({ publicKey: "not a key" }));
+        });
+        it("should authenticate with api keys", async () => {
+            const keys = { k1: users.bob };
+            const server = createApp(basicStrategy, apiKey({ verify: key => keys[key] })).callback();
+            await request(server).get("/me").set("X-Api-Key", "k1").expect(200, { user: users.bob, strategy: "apiKey" });
+            await request(server).get("/me?api_key=k1").expect(200, { user: users.bob, strategy: "apiKey" });
+            await request(server).get("/me?api_key=k2").expect("WWW-Authenticate", 'ApiKey header="X-Api-Key"').expect(401);
+            const res = await request(server).get("/me").expect(401);
+            assert.strictEqual(res.headers["www-authenticate"], 'Basic realm="ShaderLab", charset="UTF-8", ApiKey header="X-Api-Key"');
+        });
+        it("should check roles", async () => {
+            const server = createApp(basicStrategy).callback();
+            await request(server).get("/admin").auth("alice", "secret").expect(200, "admin");
+            await request(server).get("/admin").auth("bob", "secret").expect(403);
+            await request(server).get("/admin").expect(401);
+        });
+        it("should sign and verify tokens", () => {
+            const token = signJWT({ sub: "1" }, secret);
+            assert.strictEqual(verifyJWT(token, { HS256: secret }).sub, "1");
+            assert.throws(() => verifyJWT(token, { RS256: publicKey }), /Unexpected algorithm "HS256"/);
+            const expired = signJWT({ sub: "1" }, secret, { expiresIn: -5 });
+            assert.strictEqual(verifyJWT(expired, { HS256: secret }, { clockTolerance: 10 }).sub, "1");
+            assert.throws(() => signJWT({}, secret, { algorithm: "none" }), /Unsupported algorithm/);
+            assert.strictEqual(safeEqual("abc", "abc"), true);
+            assert.strictEqual(safeEqual("abc", "abd"), false);
+            assert.strictEqual(safeEqual("abc", "abcd"), false);
+        });
+        it("should reject invalid options", () => {
+            assert.throws(() => auth(), /at least one strategy/);
+            assert.throws(() => auth({}), /authenticate\(ctx\)/);
+            assert.throws(() => basic(), /verify function/);
+            assert.throws(() => bearer(), /secret or a publicKey/);
+            assert.throws(() => apiKey(), /verify function/);
+            assert.throws(() => requireRole(), /at least one role/);
+        });
+    });
+    describe("app csrf test", () => {
+        const { csrf } = express;
+        const { createToken, verifyToken } = csrf;
+        const createApp = (options, useSession = true) => {
+            const app = new express({ keys: ["shader", "lab"] });
+            app.silent = true;
+            if (useSession) app.use(express.session());
+            app.use(express.bodyParser());
+            app.use(csrf(options));
+            app.use(ctx => {
+                if (ctx.path === "/form") return ctx.body = ctx.state.csrfToken();
+                ctx.body = `${ctx.method} ok`;
+            });
+            return app;
+        }
+        it("should accept tokens from the session", async () => {
+            const agent = request.agent(createApp().callback());
+            const token = (await agent.get("/form").expect(200)).text;
+            await agent.post("/api/shaders").set("X-CSRF-Token", token).expect(200, "POST ok");
+            await agent.post("/api/shaders").send({ _csrf: token }).expect(200, "POST ok");
+            await agent.put("/api/shaders/1?_csrf=" + encodeURIComponent(token)).expect(200, "PUT ok");
+            const other = (await agent.get("/form")).text;
+            assert.notStrictEqual(other, token);
+            await agent.delete("/api/shaders/1").set("X-CSRF-Token", other).expect(200, "DELETE ok");
+        });
+        it("should reject missing and invalid tokens", async () => {
+            const agent = request.agent(createApp().callback());
+            await agent.post("/api/shaders").set("Accept", "application/json").expect(403)
+                .expect(res => assert.strictEqual(res.body.detail, "Missing CSRF token"));
+            await agent.post("/api/shaders").set("X-CSRF-Token", "a.b").expect(403);
+            const token = (await agent.get("/form")).text;
+            // a token of another session is invalid
+            const stranger = request.agent(createApp().callback());
+            await stranger.get("/form");
+            await stranger.post("/api/shaders").set("X-CSRF-Token", token).expect(403);
+            await agent.patch("/api/shaders/1").set("X-CSRF-Token", token.replace(/.$/, c => c === "A" ? "B" : "A")).expect(403);
+        });
+        it("should skip safe methods", async () => {
+            const server = createApp().callback();
+            await request(server).get("/").expect(200, "GET ok");
+            await request(server).head("/").expect(200);
+            await request(server).options("/").expect(200);
+        });
+        it("should use signed double submit cookies", async () => {
+            const agent = request.agent(createApp({ mode: "cookie", cookie: { key: "xsrf", path: "/" } }, false).callback());
+            const res = await agent.get("/form").expect(200);
+            const cookies = res.headers["set-cookie"].join(";");
+            assert.match(cookies, /xsrf=[\w-]+; path=\/; samesite=strict; httponly/);
+            assert.match(cookies, /xsrf\.sig=/);
+            await agent.post("/api/shaders").set("X-CSRF-Token", res.text).expect(200, "POST ok");
+            await request(agent.app).post("/api/shaders").set("X-CSRF-Token", res.text).expect(403);
+            await request(agent.app).post("/api/shaders").set("Cookie", "xsrf=forged").set("X-CSRF-Token", createToken("forged")).expect(403);
+        });
+        it("should require the session middleware in session mode", async () => {
+            await request(createApp({}, false).callback()).get("/").expect(500);
+            assert.throws(() => csrf({ mode: "header" }), /Invalid csrf mode "header"/);
+        });
+        it("should create and verify tokens", () => {
+            const token = createToken("secret");
+            assert.strictEqual(verifyToken("secret", token), true);
+            assert.strictEqual(verifyToken("other", token), false);
+            assert.strictEqual(verifyToken("secret", "nodot"), false);
+        });
+    });
+    describe("app service test", () => {
+        it("should construct singletons lazily once", async () => {
+            const app = new express();
+            let count = 0;
+            app.provide("config", app => ({ env: app.env, count: ++count }));
+            assert.strictEqual(count, 0);
+            app.use(ctx => ctx.body = ctx.inject("config"));
+            const server = app.callback();
+            await request(server).get("/").expect(200, { env: app.env, count: 1 });
+            await request(server).get("/").expect(200, { env: app.env, count: 1 });
+            assert.strictEqual(app.inject("config").count, 1);
+        });
+        it("should construct request services per request and dispose them", async () => {
+            const app = new express();
+            const disposed = [];
+            let count = 0;
+            app.provide("db", async () => ({ query: () => "shader" }));
+            app.provide("tx", async ctx => ({ id: ++count, db: await ctx.inject("db"), path: ctx.path }), {
+                scope: "request",
+                dispose: tx => disposed.push(tx.id)
+            });
+            app.use(async ctx => {
+                const tx = await ctx.inject("tx");
+                assert.strictEqual(await ctx.inject("tx"), tx);
+                ctx.body = { id: tx.id, path: tx.path, result: tx.db.query() };
+            });
+            const server = app.callback();
+            await request(server).get("/a").expect(200, { id: 1, path: "/a", result: "shader" });
+            await request(server).get("/b").expect(200, { id: 2, path: "/b", result: "shader" });
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(disposed, [1, 2]);
+            assert.throws(() => app.inject("tx"), /Request service "tx" can only be injected in a request/);
+        });
+        it("should dispose singletons on close in reverse order", async () => {
+            const app = new express();
+            const disposed = [];
+            app.provide("pool", () => ({ [Symbol.asyncDispose]: async () => disposed.push("pool") }));
+            app.provide("cache", () => ({ name: "cache" }), { dispose: cache => disposed.push(cache.name) });
+            app.provide("unused", () => assert.fail("constructed"));
+            app.inject("pool");
+            app.inject("cache");
+            const server = app.listen(0);
+            await new Promise(resolve => server.once("listening", resolve));
+            await app.close();
+            assert.deepStrictEqual(disposed, ["cache", "pool"]);
+        });
+        it("should emit disposal errors", async () => {
+            const app = new express();
+            const errors = [];
+            app.on("error", (err, ctx) => errors.push([err.message, ctx && ctx.path]));
+            app.provide("broken", () => ({}), { scope: "request", dispose: () => { throw new Error("dispose failed") } });
+            app.use(ctx => {
+                ctx.inject("broken");
+                ctx.body = "ok";
+            });
+            await request(app.callback()).get("/broken").expect(200, "ok");
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(errors, [["dispose failed", "/broken"]]);
+        });
+        it("should override services in tests", async () => {
+            const app = new express();
+            app.provide("shaders", () => ({ list: () => ["real"] }));
+            app.provide("user", ctx => ({ name: ctx.get("X-User") }), { scope: "request" });
+            app.use(ctx => ctx.body = { shaders: ctx.inject("shaders").list(), user: ctx.inject("user").name });
+            const server = app.callback();
+            await request(server).get("/").set("X-User", "alice").expect(200, { shaders: ["real"], user: "alice" });
+            app.override("shaders", () => ({ list: () => ["fake"] })).override("user", () => ({ name: "tester" }));
+            await request(server).get("/").set("X-User", "alice").expect(200, { shaders: ["fake"], user: "tester" });
+            app.restore("shaders");
+            await request(server).get("/").expect(200, { shaders: ["real"], user: "tester" });
+            app.restore();
+            await request(server).get("/").set("X-User", "bob").expect(200, { shaders: ["real"], user: "bob" });
+            assert.throws(() => app.override("missing", () => 1), /Unknown service "missing"/);
+        });
+        it("should retry rejected factories", async () => {
+            const app = new express();
+            let attempts = 0;
+            app.provide("remote", async () => {
+                if (++attempts === 1) throw new Error("connection refused");
+                return "connected";
+            });
+            await assert.rejects(app.inject("remote"), /connection refused/);
+            assert.strictEqual(await app.inject("remote"), "connected");
+            assert.strictEqual(await app.inject("remote"), "connected");
+            assert.strictEqual(attempts, 2);
+        });
+        it("should reject invalid services", async () => {
+            const app = new express();
+            app.silent = true;
+            assert.throws(() => app.provide("db", "pool"), /service "db" factory must be a function/);
+            assert.throws(() => app.provide("db", () => 1, { scope: "session" }), /Invalid scope "session"/);
+            app.provide("db", () => 1);
+            assert.throws(() => app.provide("db", () => 2), /service "db" is already provided/);
+            app.provide("a", ctx => ctx.inject("b"), { scope: "request" });
+            app.provide("b", ctx => ctx.inject("a"), { scope: "request" });
+            app.use(ctx => ctx.body = ctx.inject(ctx.query.name));
+            const server = app.callback();
+            await request(server).get("/?name=missing").expect(500);
+            await request(server).get("/?name=a").expect(500);
+            assert.throws(() => app.inject("missing"), /Unknown service "missing"/);
+            app.provide("c", app => app.inject("d"));
+            app.provide("d", app => app.inject("c"));
+            assert.throws(() => app.inject("c"), /^Error: Circular dependency: c -> d -> c$/);
+        });
+        it("should detect circular dependencies of async factories", async () => {
+            const app = new express();
+            const tick = () => new Promise(resolve => setImmediate(resolve));
+            app.provide("a", async app => {
+                await tick();
+                return { b: await app.inject("b") };
+            });
+            app.provide("b", async app => {
+                await tick();
+                return { a: await app.inject("a") };
+            });
+            app.provide("c", async app => ({ a: await app.inject("a") }));
+            await assert.rejects(app.inject("c"), /Circular dependency: c -> a -> b -> a/);
+            await assert.rejects(app.inject("a"), /Circular dependency: a -> b -> a/);
+            // concurrent injections are not circular
+            app.provide("pool", async () => {
+                await tick();
+                return "pool";
+            });
+            app.provide("repo", async app => ({ pool: await app.inject("pool") }));
+            const [pool, repo] = await Promise.all([app.inject("pool"), app.inject("repo")]);
+            assert.deepStrictEqual([pool, repo], ["pool", { pool: "pool" }]);
+        });
+        it("should dispose overridden singletons", async () => {
+            const app = new express();
+            const disposed = [];
+            app.provide("db", () => ({ name: "real" }), { dispose: db => disposed.push(db.name) });
+            app.provide("cache", () => ({ [Symbol.dispose]: () => disposed.push("cache") }));
+            app.provide("unused", () => ({ name: "unused" }), { dispose: () => assert.fail("disposed") });
+            app.inject("db");
+            app.inject("cache");
+            app.override("db", () => ({ name: "fake" }), { dispose: db => disposed.push(db.name) }).override("unused", () => ({}));
+            assert.strictEqual(app.inject("db").name, "fake");
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(disposed, ["real"]);
+            app.override("cache", () => ({}));
+            app.restore();
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(disposed, ["real", "cache", "fake"]);
+            assert.strictEqual(app.inject("db").name, "real");
+        });
+    });
+    describe("app hooks test", () => {
+        it("should run the hooks in order", async () => {
+            const app = new express();
+            const calls = [];
+            let finished;
+            const done = new Promise(resolve => finished = resolve);
+            app.addHook("onRequest", async ctx => calls.push(`onRequest ${ctx.path}`));
+            app.addHook("preHandler", ctx => calls.push(`preHandler ${ctx.params.id}`));
+            app.addHook("onSend", (ctx, body) => void calls.push(`onSend ${body}`));
+            app.addHook("onResponse", ctx => finished(calls.push(`onResponse ${ctx.status}`)));
+            app.use(async (ctx, next) => {
+                calls.push("middleware");
+                await next();
+            });
+            const router = express.router();
+            router.get("/shaders/:id", ctx => {
+                calls.push("handler");
+                ctx.body = "shader";
+            });
+            app.use(router.routes());
+            await request(app.callback()).get("/shaders/1").expect(200, "shader");
+            await done;
+            assert.deepStrictEqual(calls, ["onRequest /shaders/1", "middleware", "preHandler 1", "handler", "onSend shader", "onResponse 200"]);
+        });
+        it("should skip preHandler without a matched route", async () => {
+            const app = new express();
+            let called = false;
+            app.addHook("preHandler", () => called = true);
+            const router = express.router();
+            router.get("/shaders", ctx => ctx.body = []);
+            app.use(router.routes());
+            await request(app.callback()).get("/users").expect(404);
+            assert.strictEqual(called, false);
+        });
+        it("should answer in onRequest", async () => {
+            const app = new express();
+            app.addHook("onRequest", ctx => {
+                if (ctx.path === "/health") ctx.body = { status: "ok" };
+            });
+            app.use(ctx => ctx.body = "middleware");
+            const server = app.callback();
+            await request(server).get("/health").expect(200, { status: "ok" });
+            await request(server).get("/").expect(200, "middleware");
+        });
+        it("should transform the body in onSend", async () => {
+            const app = new express();
+            app.addHook("onSend", (ctx, body) => ctx.response.is("json") ? { data: body } : undefined);
+            app.addHook("onSend", async (ctx, body) => ctx.response.is("json") ? { ...body, requestedAt: 1 } : body.toUpperCase());
+            app.use(ctx => ctx.body = ctx.path === "/json" ? [1, 2] : "text");
+            const server = app.callback();
+            await request(server).get("/json").expect("Content-Type", /json/).expect(200, { data: [1, 2], requestedAt: 1 });
+            await request(server).get("/text").expect("Content-Length", "4").expect(200, "TEXT");
+        });
+        it("should route hook errors to ctx.onerror", async () => {
+            const app = new express();
+            app.silent = true;
+            const errors = [];
+            app.on("error", err => errors.push(err.message));
+            let sent = false;
+            app.addHook("onRequest", ctx => ctx.assert(ctx.path !== "/private", 403, "Forbidden path"));
+            app.addHook("onSend", () => {
+                sent = true;
+                throw new Error("send failed");
+            });
+            app.use(ctx => ctx.body = "ok");
+            const server = app.callback();
+            await request(server).get("/private").set("Accept", "text/plain").expect(403, "Forbidden path");
+            assert.strictEqual(sent, false);
+            await request(server).get("/").expect(500);
+            assert.deepStrictEqual(errors, ["Forbidden path", "send failed"]);
+        });
+        it("should report onResponse errors and inject request services", async () => {
+            const app = new express();
+            const events = [];
+            let finished;
+            const done = new Promise(resolve => finished = resolve);
+            app.on("error", (err, ctx) => finished(events.push(`${err.message} ${err.headerSent} ${ctx.path}`)));
+            app.provide("span", () => ({ name: "span" }), { scope: "request", dispose: span => events.push(`dispose ${span.name}`) });
+            app.addHook("onResponse", ctx => events.push(ctx.inject("span").name));
+            app.addHook("onResponse", async () => {
+                throw new Error("metrics down");
+            });
+            app.use(ctx => ctx.body = "ok");
+            await request(app.callback()).get("/traced").expect(200, "ok");
+            await done;
+            await new Promise(resolve => setImmediate(resolve));
+            assert.deepStrictEqual(events, ["span", "metrics down true /traced", "dispose span"]);
+        });
+        it("should reject invalid hooks", () => {
+            const app = new express();
+            assert.throws(() => app.addHook("onError", () => {}), /Invalid hook "onError"/);
+            assert.throws(() => app.addHook("onSend"), /hook must be a function!/);
+            assert.strictEqual(app.addHook("onSend", () => {}), app);
+        });
+        it("should run onSend before compression", async () => {
+            const app = new express();
+            let sent;
+            app.addHook("onSend", (ctx, body) => {
+                sent = body;
+                return ctx.response.is("json") ? { data: body } : body;
+            });
+            app.use(express.compression({ threshold: 0 }));
+            app.use(ctx => ctx.body = { items: "x".repeat(2048) });
+            await request(app.callback()).get("/").set("Accept-Encoding", "gzip")
+                .expect("Content-Encoding", "gzip").expect(200, { data: { items: "x".repeat(2048) } });
+            assert.deepStrictEqual(sent, { items: "x".repeat(2048) });
+        });
+        it("should run preHandler once before the route middleware", async () => {
+            const app = new express();
+            const calls = [];
+            app.addHook("preHandler", ctx => calls.push(`preHandler ${ctx.params.id}`));
+            const router = express.router();
+            router.use(async (ctx, next) => {
+                calls.push(`use ${ctx.params.id}`);
+                await next();
+            });
+            router.use("/shaders/:id", async (ctx, next) => {
+                calls.push(`use /shaders ${ctx.params.id}`);
+                await next();
+            });
+            router.get("/shaders/:id", (ctx, next) => {
+                calls.push("validate");
+                return next();
+            }, ctx => {
+                calls.push("handler");
+                ctx.body = "shader";
+            });
+            app.use(router.routes());
+            await request(app.callback()).get("/shaders/1").expect(200, "shader");
+            assert.deepStrictEqual(calls, ["preHandler 1", "use undefined", "use /shaders 1", "validate", "handler"]);
+        });
+    });
+    describe("app serializers test", () => {
+        const yaml = body => Object.entries(body).map(([key, value]) => `${key}: ${value}`).join("\n") + "\n";
+        it("should serialize BigInt, Map and Set as JSON", async () => {
+            const app = new express();
+            app.use(ctx => ctx.body = { id: 2n ** 64n, uniforms: new Map([["time", 1.5], ["mouse", new Set([1, 2])]]) });
+            await request(app.callback()).get("/")
+                .expect("Content-Type", "application/json; charset=utf-8")
+                .expect("Content-Length", "67")
+                .expect(200, { id: "18446744073709551616", uniforms: { time: 1.5, mouse: [1, 2] } });
+            assert.strictEqual(express.serialize.stringify([1n, new Set(["a"])]), '["1",["a"]]');
+        });
+        it("should negotiate the serializer by Accept", async () => {
+            const app = new express({ serializers: { yaml, "application/msgpack": body => Buffer.from([0x81, Object.keys(body).length]) } });
+            app.use(ctx => ctx.body = { name: "noise", passes: 2 });
+            const server = app.callback();
+            await request(server).get("/").expect("Content-Type", /json/).expect("Vary", "Accept").expect(200, { name: "noise", passes: 2 });
+            await request(server).get("/").set("Accept", "text/yaml, application/json;q=0.5")
+                .expect("Content-Type", "text/yaml; charset=utf-8").expect("Content-Length", "22").expect(200, "name: noise\npasses: 2\n");
+            const res = await request(server).get("/").set("Accept", "application/msgpack").buffer(true)
+                .parse((res, callback) => {
+                    const chunks = [];
+                    res.on("data", chunk => chunks.push(chunk));
+                    res.on("end", () => callback(null, Buffer.concat(chunks)));
+                })
+                .expect("Content-Type", "application/msgpack").expect(200);
+            assert.deepStrictEqual([...res.body], [0x81, 2]);
+            await request(server).get("/").set("Accept", "image/png").expect("Content-Type", /json/).expect(200);
+        });
+        it("should keep the type set by the application", async () => {
+            const app = new express({ serializers: { yaml, json: false } });
+            app.use(ctx => {
+                ctx.body = { name: "noise" };
+                ctx.type = "yaml";
+            });
+            await request(app.callback()).get("/").set("Accept", "application/json")
+                .expect("Content-Type", /yaml/).expect(200, "name: noise\n");
+        });
+        it("should serialize before compressing", async () => {
+            const app = new express({ serializers: { yaml } });
+            app.use(express.compression({ threshold: 0 }));
+            app.use(ctx => ctx.body = { name: "noise", id: 1n });
+            const server = app.callback();
+            await request(server).get("/").set("Accept", "text/yaml").set("Accept-Encoding", "gzip")
+                .expect("Content-Encoding", "gzip").expect("Content-Type", /yaml/).expect(200, "name: noise\nid: 1\n");
+            await request(server).get("/").set("Accept-Encoding", "gzip")
+                .expect("Content-Encoding", "gzip").expect(200, { name: "noise", id: "1" });
+        });
+        it("should cache and tag each representation", async () => {
+            const app = new express({ serializers: { yaml } });
+            let count = 0;
+            app.use(express.etag());
+            app.use(express.cache({ maxAge: 60 }));
+            app.use(ctx => ctx.body = { count: ++count });
+            const server = app.callback();
+            const json = await request(server).get("/").expect("X-Cache", "MISS").expect(200, { count: 1 });
+            const text = await request(server).get("/").set("Accept", "text/yaml").expect("X-Cache", "MISS").expect(200, "count: 2\n");
+            await request(server).get("/").set("Accept", "text/yaml").expect("X-Cache", "HIT").expect("Content-Type", /yaml/).expect(200, "count: 2\n");
+            await request(server).get("/").expect("X-Cache", "HIT").expect(200, { count: 1 });
+            assert.notStrictEqual(json.headers.etag, text.headers.etag);
+        });
+        it("should measure the negotiated representation", async () => {
+            const app = new express({ serializers: { yaml } });
+            const lengths = [];
+            app.use(async (ctx, next) => {
+                await next();
+                lengths.push(ctx.response.length);
+                assert.strictEqual(ctx.response.has("Content-Length"), false);
+            });
+            app.use(ctx => ctx.body = { name: "noise", passes: 2 });
+            const server = app.callback();
+            await request(server).head("/").set("Accept", "text/yaml")
+                .expect("Content-Type", "text/yaml; charset=utf-8").expect("Content-Length", "22").expect("Vary", "Accept").expect(200);
+            await request(server).head("/").expect("Content-Type", /json/).expect("Content-Length", "27").expect(200);
+            assert.deepStrictEqual(lengths, [22, 27]);
+        });
+    });
 });
@@ -63,6 +63,23 @@ describe("Proxy test", () => {
                     }, () => {}).end();
                 });
             });
+            describe("with signal option", () => {
+                it("should abort the proxied request when the signal aborts", done => {
+                    const ports = { source: gen.port, proxy: gen.port };
+                    const proxy = httpProxy({ target: `http://127.0.0.1:${ports.source}` });
+                    const controller = new AbortController();
+                    const source = http.createServer(() => controller.abort()).listen(ports.source);
+                    const server = http.createServer((req, res) => proxy.web(req, res, { signal: controller.signal })).listen(ports.proxy);
+                    proxy.on("error", (err, req, res) => {
+                        assert.strictEqual(err.name, "AbortError");
+                        res.destroy();
+                        source.close();
+                        server.close();
+                        done();
+                    });
+                    http.request({ hostname: "127.0.0.1", port: ports.proxy }, () => {}).on("error", () => {}).end();
+                });
+            });
             describe("with error response", () => {
                 it("should make the request and emit the error event", done => {
                     const ports = { source: gen.port, proxy: gen.port };
@@ -380,6 +397,30 @@ describe("Proxy test", () => {
                 assert.strictEqual(stubRequest.headers["x-forwarded-proto"], "http");
             });
         });
+        describe("requestId test", () => {
+            it("should not touch the request if not specified", () => {
+                const stubRequest = { headers: {} };
+                webPasses.requestId(stubRequest, {}, {});
+                assert.deepStrictEqual(stubRequest.headers, {});
+            });
+            it("should generate a missing request id", () => {
+                const stubRequest = { headers: {} };
+                webPasses.requestId(stubRequest, {}, { requestId: true });
+                assert.match(stubRequest.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+            });
+            it("should forward an existing request id", () => {
+                const stubRequest = { headers: { "x-correlation-id": "abc" } };
+                webPasses.requestId(stubRequest, {}, { requestId: "X-Correlation-Id" });
+                assert.deepStrictEqual(stubRequest.headers, { "x-correlation-id": "abc" });
+            });
+            it("should replace a malformed request id", () => {
+                for (const id of ["bad id\r\nX-Injected: 1", "a".repeat(201), "", ["a", "b"]]) {
+                    const stubRequest = { headers: { "x-request-id": id } };
+                    webPasses.requestId(stubRequest, {}, { requestId: true });
+                    assert.match(stubRequest.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+                }
+            });
+        });
         describe("using own http server", () => {
             it("", () => {})
         });
@@ -860,6 +901,13 @@ describe("Proxy test", () => {
                 assert.strictEqual(stubRequest.headers["x-forwarded-proto"], "wss");
             });
         });
+        describe("requestId test", () => {
+            it("should generate a missing request id", () => {
+                const stubRequest = { headers: {} };
+                wsPasses.requestId(stubRequest, {}, { requestId: true });
+                assert.match(stubRequest.headers["x-request-id"], /^[0-9a-f-]{36}$/);
+            });
+        });
     });
     describe("proxy shared module test", () => {
         const shared = require("../plugins/proxy/shared.js");
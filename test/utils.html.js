@@ -0,0 +1,23 @@
+const { escapeHtml } = require("../utils/html.js");
+const assert = require("node:assert");
+
+describe("Html test", () => {
+    describe("import target module test", () => {
+        it("should use default export", () => {
+            const defaultExport = require("../utils/html.js");
+            assert.strictEqual(typeof defaultExport, "function");
+        });
+        it("should use named export", () => {
+            assert.strictEqual(typeof escapeHtml, "function");
+        });
+    });
+    describe("escape html test", () => {
+        it("should escape special characters", () => {
+            assert.strictEqual(escapeHtml(`<a href="/?a=1&b='2'">`), "&#60;a href=&#34;/?a=1&#38;b=&#39;2&#39;&#34;&#62;");
+        });
+        it("should convert other values to strings", () => {
+            assert.strictEqual(escapeHtml(404), "404");
+            assert.strictEqual(escapeHtml(null), "null");
+        });
+    });
+});
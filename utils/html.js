@@ -0,0 +1,13 @@
+/**
+ * Escape special characters of html.
+ * @example
+ *    escapeHtml('<a href="/">'); // => "&#60;a href=&#34;/&#34;&#62;"
+ * @param {*} str
+ * @return {string}
+ */
+function escapeHtml(str) {
+    return String(str).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = escapeHtml;
+module.exports.escapeHtml = escapeHtml;